@@ -124,6 +124,34 @@ function redirectByRole(role) {
     }
 }
 
+/**
+ * Replace the page with an explanation for a suspended account
+ * @param {Object} profile - The suspended user's profile
+ */
+function showSuspendedAccountPage(profile) {
+    document.title = 'Account Suspended - MindSpace';
+    document.body.className = 'auth-page';
+    document.body.innerHTML = `
+        <div class="auth-card" style="max-width: 520px;">
+            <div class="auth-header">
+                <h1>Account Suspended</h1>
+                <p>Your MindSpace account${profile.status_changed_at ? ` was suspended on ${formatDate(profile.status_changed_at, profile.time_zone)}` : ' is suspended'}.</p>
+            </div>
+            ${profile.status_reason ? `
+                <div class="alert alert-warning" style="margin-bottom: var(--spacing-md);">
+                    <strong>Reason:</strong> ${escapeHtml(profile.status_reason)}
+                </div>
+            ` : ''}
+            <p style="margin-bottom: var(--spacing-lg);">
+                While your account is suspended you cannot sign in, book or manage sessions, or send messages.
+                If you think this is a mistake, or want to know what happens next, please contact support.
+            </p>
+            <a href="contact.html" class="btn btn-primary btn-block">Contact Support</a>
+            <a href="index.html" class="btn btn-secondary btn-block" style="margin-top: var(--spacing-sm);">Back to Home</a>
+        </div>
+    `;
+}
+
 /**
  * Guard dashboard access - must be called on every dashboard page
  * @param {string} expectedRole - Expected role for this dashboard
@@ -142,13 +170,20 @@ async function guardDashboard(expectedRole) {
         // Fetch profile to verify role
         const profile = await getUserProfile(user.id);
         
-        if (!profile) {
+        if (!profile || profile.deleted_at) {
             console.error('Profile not found for user');
             await supabaseClient.auth.signOut();
             window.location.href = 'login.html';
             return null;
         }
         
+        // Suspended accounts are told why instead of being redirected
+        if (profile.status === 'suspended') {
+            showSuspendedAccountPage(profile);
+            await supabaseClient.auth.signOut();
+            return null;
+        }
+        
         // Verify role matches expected
         if (profile.role !== expectedRole) {
             console.log(`Role mismatch: expected ${expectedRole}, got ${profile.role}`);
@@ -184,27 +219,39 @@ async function guardDashboard(expectedRole) {
 
 /**
  * Format date for display
- * @param {string} dateString - Date string
+ * @param {string} dateString - Date (YYYY-MM-DD) or timestamp string
+ * @param {string} [timeZone] - IANA time zone for timestamps (defaults to the browser's)
  * @returns {string} Formatted date
  */
-function formatDate(dateString) {
+function formatDate(dateString, timeZone) {
     if (!dateString) return 'N/A';
     const date = new Date(dateString);
+    // Bare dates parse as UTC midnight; format them in UTC so they don't shift a day
+    const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(dateString);
     return date.toLocaleDateString('en-US', {
         weekday: 'short',
         year: 'numeric',
         month: 'short',
-        day: 'numeric'
+        day: 'numeric',
+        timeZone: isDateOnly ? 'UTC' : timeZone
     });
 }
 
 /**
  * Format time for display
- * @param {string} timeString - Time string
+ * @param {string} timeString - Wall-clock time ("HH:MM[:SS]") or timestamp string
+ * @param {string} [timeZone] - IANA time zone for timestamps (defaults to the browser's)
  * @returns {string} Formatted time
  */
-function formatTime(timeString) {
+function formatTime(timeString, timeZone) {
     if (!timeString) return 'N/A';
+    if (timeString.includes('T') || timeString.includes(' ')) {
+        return new Date(timeString).toLocaleTimeString('en-US', {
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZone
+        });
+    }
     // Handle both "HH:MM" and "HH:MM:SS" formats
     const parts = timeString.split(':');
     const hours = parseInt(parts[0], 10);
@@ -215,7 +262,8 @@ function formatTime(timeString) {
 }
 
 /**
- * Format currency
+ * Format currency. Bookings.amount and Therapists.fee are whole dollars;
+ * payments, invoices and refunds store cents.
  * @param {number} amount - Amount in cents or dollars
  * @param {boolean} inCents - Whether amount is in cents
  * @returns {string} Formatted currency
@@ -370,6 +418,3613 @@ function debounce(func, wait = 300) {
     };
 }
 
+/**
+ * Save generated text as a file download
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// =====================================================
+// TIME ZONE HELPERS
+// =====================================================
+
+/**
+ * Get the browser's IANA time zone
+ * @returns {string} Time zone, e.g. 'America/New_York'
+ */
+function getBrowserTimeZone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch {
+        return 'UTC';
+    }
+}
+
+/**
+ * Get the short display name of a time zone at a given instant ("EST", "GMT+5:30")
+ * @param {string} timeZone - IANA time zone
+ * @param {string|Date} [instant] - Instant to evaluate (DST aware), defaults to now
+ * @returns {string} Short time zone name
+ */
+function getTimeZoneLabel(timeZone, instant = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+        .formatToParts(new Date(instant));
+    const namePart = parts.find(part => part.type === 'timeZoneName');
+    return namePart ? namePart.value : timeZone;
+}
+
+/**
+ * Get the offset of a time zone from UTC at a given instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getTimeZoneOffset(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+    const values = {};
+    parts.forEach(part => { values[part.type] = parseInt(part.value, 10); });
+    const asUtc = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock date and time in a time zone to an absolute instant
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @param {string} timeString - Time (HH:MM)
+ * @param {string} timeZone - IANA time zone the wall-clock time is in
+ * @returns {Date} Instant
+ */
+function zonedTimeToDate(dateString, timeString, timeZone) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const [hours, minutes] = timeString.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+    const offset = getTimeZoneOffset(new Date(wallClock), timeZone);
+    // Re-check the offset at the result in case the guess crossed a DST change
+    const correctedOffset = getTimeZoneOffset(new Date(wallClock - offset), timeZone);
+    return new Date(wallClock - correctedOffset);
+}
+
+/**
+ * Get the calendar date of an instant in a time zone
+ * @param {string|Date} instant - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function toZonedDateString(instant, timeZone) {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Date(instant).toLocaleDateString('en-CA', { timeZone });
+}
+
+/**
+ * Format a session start for the viewer, labelled with the viewer's zone
+ * @param {string} instant - Session start timestamp
+ * @param {string} timeZone - Viewer's IANA time zone
+ * @returns {string} e.g. "3:00 PM EST"
+ */
+function formatZonedTime(instant, timeZone) {
+    return `${formatTime(instant, timeZone)} ${getTimeZoneLabel(timeZone, instant)}`;
+}
+
+/**
+ * Describe a session start in the other party's time zone
+ * @param {string} instant - Session start timestamp
+ * @param {string} viewerTimeZone - Viewer's IANA time zone
+ * @param {string} counterpartTimeZone - Other party's IANA time zone
+ * @returns {string} e.g. "Tue, Mar 4, 12:00 PM PST", or '' when both parties see the same local time
+ */
+function formatCounterpartTime(instant, viewerTimeZone, counterpartTimeZone) {
+    if (!counterpartTimeZone) return '';
+    const date = new Date(instant);
+    if (getTimeZoneOffset(date, viewerTimeZone) === getTimeZoneOffset(date, counterpartTimeZone)) {
+        return '';
+    }
+    const day = date.toLocaleDateString('en-US', {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        timeZone: counterpartTimeZone
+    });
+    return `${day}, ${formatZonedTime(instant, counterpartTimeZone)}`;
+}
+
+/**
+ * Get the IANA time zones the browser knows about
+ * @returns {Array<string>} Time zone names
+ */
+function getTimeZoneNames() {
+    if (typeof Intl.supportedValuesOf === 'function') {
+        return Intl.supportedValuesOf('timeZone');
+    }
+    return ['UTC', 'America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles',
+        'Europe/London', 'Europe/Paris', 'Asia/Kolkata', 'Asia/Singapore', 'Australia/Sydney'];
+}
+
+/**
+ * Fill a <select> with time zone options
+ * @param {HTMLSelectElement} select - Select element
+ * @param {string} selected - Time zone to preselect
+ */
+function populateTimeZoneSelect(select, selected) {
+    const names = getTimeZoneNames();
+    if (selected && !names.includes(selected)) {
+        names.unshift(selected);
+    }
+    select.innerHTML = names.map(name => `<option value="${name}">${name.replace(/_/g, ' ')}</option>`).join('');
+    select.value = selected || getBrowserTimeZone();
+}
+
+/**
+ * Look up time zones for other users (therapists, or people you share a booking with)
+ * @param {Array<string>} userIds - User IDs
+ * @returns {Promise<Object>} Map of user ID to IANA time zone
+ */
+async function getTimeZones(userIds) {
+    if (userIds.length === 0) return {};
+    try {
+        const { data, error } = await supabaseClient.rpc('get_time_zones', { p_user_ids: userIds });
+        if (error) {
+            console.error('Error fetching time zones:', error);
+            return {};
+        }
+        return Object.fromEntries((data || []).map(row => [row.user_id, row.time_zone]));
+    } catch (error) {
+        console.error('Exception fetching time zones:', error);
+        return {};
+    }
+}
+
+// =====================================================
+// SCHEDULING HELPERS
+// =====================================================
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Format a Date as a local YYYY-MM-DD string (toISOString would shift to UTC)
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+function toDateString(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function shiftDateString(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Get open session slots for a therapist
+ * @param {string} therapistId - Therapist ID
+ * @param {string} fromDate - First date (YYYY-MM-DD, therapist's time zone)
+ * @param {string} toDate - Last date (YYYY-MM-DD, therapist's time zone)
+ * @returns {Promise<Array>} Slots as { slot_start, slot_end } timestamps
+ */
+async function getAvailableSlots(therapistId, fromDate, toDate) {
+    try {
+        const { data, error } = await supabaseClient.rpc('get_available_slots', {
+            p_therapist_id: therapistId,
+            p_from: fromDate,
+            p_to: toDate
+        });
+
+        if (error) {
+            console.error('Error fetching available slots:', error);
+            return [];
+        }
+        return data || [];
+    } catch (error) {
+        console.error('Exception fetching available slots:', error);
+        return [];
+    }
+}
+
+/**
+ * Turn a booking write error into a message for the user. Overlapping
+ * sessions are rejected by the database with an exclusion violation.
+ * @param {Object} error - Supabase error
+ * @returns {string} Error message
+ */
+function getBookingErrorMessage(error) {
+    if (error && error.code === '23P01') {
+        return 'That time overlaps another session with this therapist. Please choose a different time.';
+    }
+    return error && error.message ? error.message : 'An unexpected error occurred.';
+}
+
+/**
+ * Group slot rows by calendar date in a time zone
+ * @param {Array} slots - Rows from getAvailableSlots
+ * @param {string} timeZone - IANA time zone to group in
+ * @returns {Object} Map of YYYY-MM-DD to slots on that date
+ */
+function groupSlotsByDate(slots, timeZone) {
+    return slots.reduce((groups, slot) => {
+        const dateKey = toZonedDateString(slot.slot_start, timeZone);
+        (groups[dateKey] = groups[dateKey] || []).push(slot);
+        return groups;
+    }, {});
+}
+
+/**
+ * Get the later active occurrences in a booking's recurring series
+ * @param {Object} booking - Booking row
+ * @param {Array} bookings - Bookings to search (e.g. everything on the dashboard)
+ * @returns {Array} Pending/confirmed bookings in the same series starting after this one
+ */
+function getFollowingOccurrences(booking, bookings) {
+    if (!booking.series_id) return [];
+    return bookings.filter(b =>
+        b.series_id === booking.series_id &&
+        b.id !== booking.id &&
+        new Date(b.starts_at) > new Date(booking.starts_at) &&
+        ['pending', 'confirmed'].includes(b.status)
+    );
+}
+
+/**
+ * Describe where a booking sits in its recurring series
+ * @param {Object} booking - Booking row
+ * @param {Array} bookings - Bookings to search
+ * @returns {string} e.g. "Recurring · session 3 of 8", or '' for one-off bookings
+ */
+function describeSeriesOccurrence(booking, bookings) {
+    if (!booking.series_id) return '';
+    const series = bookings
+        .filter(b => b.series_id === booking.series_id)
+        .sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at));
+    return `Recurring · session ${series.findIndex(b => b.id === booking.id) + 1} of ${series.length}`;
+}
+
+// =====================================================
+// CANCELLATION POLICY
+// =====================================================
+
+/**
+ * Describe a therapist's cancellation and no-show policy
+ * @param {Object} therapist - Therapists row (policy columns and fee)
+ * @returns {string} Policy text
+ */
+function describeCancellationPolicy(therapist) {
+    const hours = therapist.cancellation_window_hours;
+    const lateFee = therapist.fee * therapist.late_cancel_fee_percent / 100;
+    const noShowFee = therapist.fee * therapist.no_show_fee_percent / 100;
+
+    const freeWindow = hours === 0
+        ? 'You can cancel a confirmed session free of charge any time before it starts.'
+        : `You can cancel a confirmed session free of charge up to ${hours} hour${hours === 1 ? '' : 's'} before it starts.`;
+    const late = hours === 0 || therapist.late_cancel_fee_percent === 0
+        ? ''
+        : ` Later cancellations are charged ${therapist.late_cancel_fee_percent}% of the fee (${formatCurrency(lateFee)}).`;
+    const noShow = therapist.no_show_fee_percent === 0
+        ? ' Missed sessions are not charged.'
+        : ` Missed sessions are charged ${therapist.no_show_fee_percent}% of the fee (${formatCurrency(noShowFee)}).`;
+
+    return freeWindow + late + noShow;
+}
+
+/**
+ * Work out the fee a client would owe for cancelling a booking now. Mirrors
+ * apply_cancellation_policy() in the database, which has the final say.
+ * @param {Object} booking - Booking row
+ * @param {Object} therapist - Therapists row (policy columns)
+ * @returns {number} Fee in dollars (0 if the cancellation is free)
+ */
+function getLateCancellationFee(booking, therapist) {
+    if (booking.status !== 'confirmed' || !therapist) return 0;
+    const windowStart = new Date(booking.starts_at).getTime() - therapist.cancellation_window_hours * 3600000;
+    if (Date.now() <= windowStart) return 0;
+    return booking.amount * therapist.late_cancel_fee_percent / 100;
+}
+
+/**
+ * Display label for a booking status (no_show reads as "no-show")
+ * @param {string} status - Bookings.status
+ * @returns {string} Label
+ */
+function formatBookingStatus(status) {
+    return status === 'no_show' ? 'no-show' : status;
+}
+
+// =====================================================
+// SESSION REMINDERS
+// =====================================================
+
+// Offsets a therapist can pick, in minutes before the session
+const REMINDER_OFFSET_OPTIONS = [10080, 2880, 1440, 120, 60, 15];
+
+/**
+ * Describe a reminder offset
+ * @param {number} minutes - Minutes before the session
+ * @returns {string} e.g. "24 hours before"
+ */
+function formatReminderOffset(minutes) {
+    if (minutes >= 2880 && minutes % 1440 === 0) return `${minutes / 1440} days before`;
+    if (minutes === 60) return '1 hour before';
+    if (minutes % 60 === 0) return `${minutes / 60} hours before`;
+    return `${minutes} minutes before`;
+}
+
+// =====================================================
+// BOOKING LIFECYCLE
+// Legal status changes live in booking_status_transitions and are enforced
+// by the database; every change is logged in booking_status_history.
+// =====================================================
+
+const BOOKING_ACTOR_LABELS = {
+    user: 'Client',
+    therapist: 'Therapist',
+    admin: 'Admin',
+    system: 'System'
+};
+
+/**
+ * Get a booking's status history, oldest first
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Array>} History rows
+ */
+async function getBookingHistory(bookingId) {
+    try {
+        const { data, error } = await supabaseClient
+            .from('booking_status_history')
+            .select('*')
+            .eq('booking_id', bookingId)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('Error loading booking history:', error);
+            return [];
+        }
+        return data || [];
+    } catch (error) {
+        console.error('Exception loading booking history:', error);
+        return [];
+    }
+}
+
+/**
+ * Render a booking's status history as a timeline
+ * @param {Array} entries - History rows, oldest first
+ * @param {string} timeZone - Viewer's time zone
+ * @returns {string} HTML
+ */
+function renderBookingTimeline(entries, timeZone) {
+    if (entries.length === 0) {
+        return '<p style="color: var(--text-secondary);">No history recorded.</p>';
+    }
+
+    return `
+        <ol class="timeline">
+            ${entries.map(entry => `
+                <li class="timeline-item">
+                    <div>
+                        <strong>${entry.from_status ? `${formatBookingStatus(entry.from_status)} → ${formatBookingStatus(entry.to_status)}` : `Booked (${formatBookingStatus(entry.to_status)})`}</strong>
+                        by ${BOOKING_ACTOR_LABELS[entry.actor_role] || entry.actor_role}
+                    </div>
+                    ${entry.reason ? `<div>${escapeHtml(entry.reason)}</div>` : ''}
+                    <div class="message-meta">${formatDate(entry.created_at, timeZone)}, ${formatZonedTime(entry.created_at, timeZone)}</div>
+                </li>
+            `).join('')}
+        </ol>
+    `;
+}
+
+/**
+ * Show or hide the timeline under a booking card (#timeline-<bookingId>)
+ * @param {string} bookingId - Booking ID
+ * @param {string} timeZone - Viewer's time zone
+ */
+async function toggleBookingTimeline(bookingId, timeZone) {
+    const container = document.getElementById(`timeline-${bookingId}`);
+    if (!container) return;
+
+    if (!container.classList.contains('hidden')) {
+        container.classList.add('hidden');
+        return;
+    }
+
+    container.innerHTML = '<div class="loading"><div class="loading-spinner"></div></div>';
+    container.classList.remove('hidden');
+    container.innerHTML = renderBookingTimeline(await getBookingHistory(bookingId), timeZone);
+}
+
+// =====================================================
+// RESCHEDULING
+// A negotiation is a series of rows in reschedule_proposals. Either side
+// proposes up to RESCHEDULE_MAX_SLOTS times; the other side accepts one,
+// declines, or counter-proposes. The database moves the session on accept.
+// =====================================================
+
+// Mirrors the limit in propose_reschedule()
+const RESCHEDULE_MAX_SLOTS = 3;
+
+const RESCHEDULE_STATUS_LABELS = {
+    open: 'Waiting for a reply',
+    accepted: 'Accepted',
+    declined: 'Declined',
+    countered: 'Countered',
+    withdrawn: 'Withdrawn',
+    closed: 'Closed with the session'
+};
+
+/**
+ * Get the caller's reschedule proposals grouped by booking, oldest first
+ * @returns {Promise<Object>} Map of booking ID to proposals
+ */
+async function getRescheduleProposals() {
+    try {
+        const { data, error } = await supabaseClient
+            .from('reschedule_proposals')
+            .select('*')
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('Error loading reschedule proposals:', error);
+            return {};
+        }
+
+        return (data || []).reduce((groups, proposal) => {
+            (groups[proposal.booking_id] = groups[proposal.booking_id] || []).push(proposal);
+            return groups;
+        }, {});
+    } catch (error) {
+        console.error('Exception loading reschedule proposals:', error);
+        return {};
+    }
+}
+
+/**
+ * Propose new times for a booking, replacing the caller's open proposal or
+ * countering the other side's
+ * @param {string} bookingId - Booking ID
+ * @param {Array<Date>} slots - Proposed start times
+ * @param {string} reason - Optional reason
+ * @param {string} scope - 'single' or 'following' (the rest of the series moves too)
+ * @returns {Promise<Object>} { data: proposal ID, error }
+ */
+async function proposeReschedule(bookingId, slots, reason, scope = 'single') {
+    const { data, error } = await supabaseClient.rpc('propose_reschedule', {
+        p_booking_id: bookingId,
+        p_slots: slots.map(slot => slot.toISOString()),
+        p_reason: reason || null,
+        p_scope: scope
+    });
+    if (error) {
+        console.error('Error proposing reschedule:', error);
+    }
+    return { data, error };
+}
+
+/**
+ * Accept one of the times in the other side's proposal, moving the session
+ * @param {string} proposalId - Proposal ID
+ * @param {string} startsAt - One of the proposal's slots
+ * @returns {Promise<Object>} { error }
+ */
+async function acceptRescheduleProposal(proposalId, startsAt) {
+    const { error } = await supabaseClient.rpc('accept_reschedule', {
+        p_proposal_id: proposalId,
+        p_starts_at: startsAt
+    });
+    if (error) {
+        console.error('Error accepting reschedule:', error);
+    }
+    return { error };
+}
+
+/**
+ * Decline the other side's proposal, or withdraw your own
+ * @param {string} proposalId - Proposal ID
+ * @returns {Promise<Object>} { error }
+ */
+async function declineRescheduleProposal(proposalId) {
+    const { error } = await supabaseClient.rpc('decline_reschedule', { p_proposal_id: proposalId });
+    if (error) {
+        console.error('Error declining reschedule:', error);
+    }
+    return { error };
+}
+
+/**
+ * Read the date/time rows of a proposal form (.slot-row elements holding a
+ * date and a time input). Empty rows are skipped.
+ * @param {HTMLElement} container - Element holding the rows
+ * @param {string} timeZone - Time zone the times are entered in
+ * @returns {Object} { slots: Array<Date>, error: string|null }
+ */
+function readProposedSlots(container, timeZone) {
+    const slots = [];
+
+    for (const row of container.querySelectorAll('.slot-row')) {
+        const date = row.querySelector('input[type="date"]').value;
+        const time = row.querySelector('input[type="time"]').value;
+        if (!date && !time) continue;
+        if (!date || !time) {
+            return { slots, error: 'Each proposed time needs both a date and a time.' };
+        }
+
+        const startsAt = zonedTimeToDate(date, time, timeZone);
+        if (startsAt <= new Date()) {
+            return { slots, error: 'Proposed times must be in the future.' };
+        }
+        slots.push(startsAt);
+    }
+
+    if (slots.length === 0) {
+        return { slots, error: 'Please propose at least one time.' };
+    }
+    return { slots, error: null };
+}
+
+/**
+ * Render the reschedule negotiation on a booking card: the open proposal with
+ * its actions, then earlier rounds. Buttons call the page's
+ * acceptProposedTime(proposalId, startsAt), declineProposal(proposalId) and
+ * openRescheduleModal(bookingId).
+ * @param {Array} proposals - The booking's proposals, oldest first
+ * @param {Object} booking - Booking row
+ * @param {string} viewerRole - 'user' or 'therapist'
+ * @param {string} counterpartName - Name of the other side, e.g. 'Your therapist'
+ * @param {string} timeZone - Viewer's time zone
+ * @returns {string} HTML
+ */
+function renderRescheduleThread(proposals, booking, viewerRole, counterpartName, timeZone) {
+    if (!proposals || proposals.length === 0) return '';
+
+    const when = instant => `${formatDate(instant, timeZone)} at ${formatZonedTime(instant, timeZone)}`;
+    const who = proposal => (proposal.proposer_role === viewerRole ? 'You' : counterpartName);
+    const scopeNote = proposal => (proposal.scope === 'following' ? ' (with the following sessions in the series)' : '');
+    const open = proposals.find(p => p.status === 'open');
+    const earlier = proposals.filter(p => p !== open).reverse();
+
+    let openHtml = '';
+    if (open && open.proposer_role === viewerRole) {
+        openHtml = `
+            <div class="alert alert-warning" style="margin-bottom: var(--spacing-md);">
+                <strong>You proposed moving this session${scopeNote(open)} to:</strong>
+                ${open.slots.map(slot => when(slot)).join(' or ')}.
+                ${open.reason ? `<br><strong>Reason:</strong> ${escapeHtml(open.reason)}` : ''}
+                <br>Waiting for a reply.
+                <div style="margin-top: var(--spacing-sm);">
+                    <button class="btn btn-secondary btn-sm" onclick="openRescheduleModal('${booking.id}')">Change Times</button>
+                    <button class="btn btn-outline btn-sm" onclick="declineProposal('${open.id}')">Withdraw</button>
+                </div>
+            </div>
+        `;
+    } else if (open) {
+        openHtml = `
+            <div class="alert alert-info" style="margin-bottom: var(--spacing-md);">
+                <strong>${counterpartName} proposes moving this session${scopeNote(open)}:</strong>
+                ${open.reason ? `<br><strong>Reason:</strong> ${escapeHtml(open.reason)}` : ''}
+                <div style="margin-top: var(--spacing-sm); display: flex; flex-wrap: wrap; gap: var(--spacing-xs);">
+                    ${open.slots.map(slot => `
+                        <button class="btn btn-success btn-sm" onclick="acceptProposedTime('${open.id}', '${slot}')">Accept ${when(slot)}</button>
+                    `).join('')}
+                </div>
+                <div style="margin-top: var(--spacing-sm);">
+                    <button class="btn btn-secondary btn-sm" onclick="openRescheduleModal('${booking.id}')">Propose Other Times</button>
+                    <button class="btn btn-danger btn-sm" onclick="declineProposal('${open.id}')">Decline</button>
+                </div>
+            </div>
+        `;
+    }
+
+    if (earlier.length === 0) {
+        return openHtml;
+    }
+
+    return `
+        ${openHtml}
+        <details style="margin-bottom: var(--spacing-md); font-size: var(--font-size-sm);">
+            <summary style="cursor: pointer; color: var(--text-secondary);">Reschedule history (${earlier.length})</summary>
+            <ol class="timeline" style="margin-top: var(--spacing-sm);">
+                ${earlier.map(proposal => `
+                    <li class="timeline-item">
+                        <div>
+                            <strong>${who(proposal)} proposed</strong> ${proposal.slots.map(slot => when(slot)).join(' or ')}${scopeNote(proposal)}
+                            instead of ${when(proposal.session_starts_at)}
+                        </div>
+                        ${proposal.reason ? `<div>${escapeHtml(proposal.reason)}</div>` : ''}
+                        <div>
+                            ${RESCHEDULE_STATUS_LABELS[proposal.status] || proposal.status}${proposal.accepted_starts_at ? `: ${when(proposal.accepted_starts_at)}` : ''}
+                        </div>
+                        <div class="message-meta">${formatDate(proposal.created_at, timeZone)}, ${formatZonedTime(proposal.created_at, timeZone)}</div>
+                    </li>
+                `).join('')}
+            </ol>
+        </details>
+    `;
+}
+
+/**
+ * Describe a reschedule proposal change made by the other side, for a live
+ * toast. Changes the viewer makes themselves return null.
+ * @param {Object|null} previous - Proposal as currently shown, or null if new
+ * @param {Object} next - Proposal after the change
+ * @param {string} viewerRole - 'user' or 'therapist'
+ * @param {string} counterpartName - Name of the other side
+ * @returns {string|null} Message
+ */
+function describeRescheduleChange(previous, next, viewerRole, counterpartName) {
+    if (!previous) {
+        return next.proposer_role === viewerRole ? null : `${counterpartName} proposed new times for a session.`;
+    }
+    if (previous.status !== 'open' || next.proposer_role !== viewerRole) {
+        return null;
+    }
+    if (next.status === 'accepted') {
+        return `${counterpartName} accepted one of your proposed times. The session has moved.`;
+    }
+    if (next.status === 'declined') {
+        return `${counterpartName} declined your proposed times.`;
+    }
+    return null;
+}
+
+// =====================================================
+// PAYMENTS
+// =====================================================
+
+const PAYMENT_STATUS_LABELS = {
+    pending: 'Unpaid',
+    succeeded: 'Paid',
+    failed: 'Payment failed',
+    void: 'Not charged',
+    refunded: 'Refunded',
+    partially_refunded: 'Partially refunded'
+};
+
+/**
+ * Total refunded against a payment, in cents
+ * @param {Object} payment - Payment row with embedded refunds
+ * @returns {number} Refunded cents
+ */
+function getRefundedCents(payment) {
+    return (payment.refunds || [])
+        .filter(r => r.status !== 'failed')
+        .reduce((sum, r) => sum + r.amount_cents, 0);
+}
+
+/**
+ * Money actually kept from a payment (collected minus refunds), in cents
+ * @param {Object} payment - Payment row with embedded refunds
+ * @returns {number} Net collected cents
+ */
+function getCollectedCents(payment) {
+    if (!['succeeded', 'partially_refunded', 'refunded'].includes(payment.status)) return 0;
+    return payment.amount_cents - getRefundedCents(payment);
+}
+
+/**
+ * Charge a pending payment. Only the mock provider is wired up: it accepts
+ * any well-formed card number except 4000 0000 0000 0002, which is declined.
+ * @param {string} paymentId - Payment ID
+ * @param {string} cardNumber - Card number as typed
+ * @returns {Promise<Object>} { data: payment row, error }
+ */
+async function chargePayment(paymentId, cardNumber) {
+    try {
+        const { data, error } = await supabaseClient.rpc('mock_charge_payment', {
+            p_payment_id: paymentId,
+            p_card_number: cardNumber
+        });
+
+        if (error) {
+            console.error('Error charging payment:', error);
+        }
+        return { data, error };
+    } catch (error) {
+        console.error('Exception charging payment:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Escape text for insertion into generated HTML
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a standalone, printable invoice or receipt for a booking. It reads as
+ * a receipt once the payment has been collected.
+ * @param {Object} invoice - Invoice row
+ * @param {Object} payment - Payment row with embedded refunds
+ * @param {Object} details - { patientName, patientEmail, therapistName, sessionTime }
+ * @returns {string} HTML document
+ */
+function buildInvoiceHtml(invoice, payment, details) {
+    const isPaid = ['succeeded', 'partially_refunded', 'refunded'].includes(payment.status);
+    const title = isPaid ? 'Receipt' : 'Invoice';
+    const refunds = (payment.refunds || []).filter(r => r.status !== 'failed');
+
+    const refundRows = refunds.map(r => `
+        <tr><td>Refund${r.reason ? ` (${escapeHtml(r.reason)})` : ''} on ${escapeHtml(formatDate(r.created_at))}</td>
+        <td class="amount">-${formatCurrency(r.amount_cents, true)}</td></tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>MindSpace ${title} ${escapeHtml(invoice.invoice_number)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1F2937; max-width: 640px; margin: 40px auto; padding: 0 20px; }
+    h1 { margin-bottom: 4px; }
+    .muted { color: #6B7280; }
+    table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+    td, th { padding: 8px 0; border-bottom: 1px solid #E5E7EB; text-align: left; }
+    .amount { text-align: right; }
+    .total td { font-weight: 600; border-bottom: none; }
+</style>
+</head>
+<body>
+    <h1>MindSpace ${title}</h1>
+    <p class="muted">${escapeHtml(invoice.invoice_number)} · Issued ${escapeHtml(formatDate(invoice.issued_at))}</p>
+    <p><strong>Billed to:</strong> ${escapeHtml(details.patientName)}${details.patientEmail ? ` &lt;${escapeHtml(details.patientEmail)}&gt;` : ''}<br>
+    <strong>Therapist:</strong> ${escapeHtml(details.therapistName)}<br>
+    <strong>Session:</strong> ${escapeHtml(details.sessionTime)}</p>
+    <table>
+        <tr><th>Description</th><th class="amount">Amount</th></tr>
+        <tr><td>${escapeHtml(invoice.description)}</td><td class="amount">${formatCurrency(invoice.amount_cents, true)}</td></tr>
+        ${refundRows}
+        <tr class="total"><td>${isPaid ? 'Net paid' : 'Amount due'}</td>
+        <td class="amount">${formatCurrency(isPaid ? getCollectedCents(payment) : invoice.amount_cents, true)}</td></tr>
+    </table>
+    <p class="muted">Status: ${PAYMENT_STATUS_LABELS[payment.status] || payment.status}${payment.paid_at ? ` · Paid ${escapeHtml(formatDate(payment.paid_at))}` : ''}${payment.card_last4 ? ` · Card ending ${escapeHtml(payment.card_last4)}` : ''}</p>
+</body>
+</html>`;
+}
+
+/**
+ * Download an invoice or receipt as an HTML file
+ * @param {Object} invoice - Invoice row
+ * @param {Object} payment - Payment row with embedded refunds
+ * @param {Object} details - See buildInvoiceHtml
+ */
+function downloadInvoice(invoice, payment, details) {
+    downloadFile(buildInvoiceHtml(invoice, payment, details), `mindspace-${invoice.invoice_number}.html`, 'text/html;charset=utf-8');
+}
+
+// =====================================================
+// MESSAGING
+// =====================================================
+
+const MESSAGE_ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+const MESSAGE_ATTACHMENT_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf'];
+
+/**
+ * Open the message thread between the two people on a booking
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<string|null>} Thread ID or null on error
+ */
+async function openMessageThread(bookingId) {
+    try {
+        const { data, error } = await supabaseClient.rpc('open_message_thread', { p_booking_id: bookingId });
+        if (error) {
+            console.error('Error opening message thread:', error);
+            return null;
+        }
+        return data;
+    } catch (error) {
+        console.error('Exception opening message thread:', error);
+        return null;
+    }
+}
+
+/**
+ * Get all messages in a thread, oldest first
+ * @param {string} threadId - Thread ID
+ * @returns {Promise<Array>} Messages
+ */
+async function getThreadMessages(threadId) {
+    try {
+        const { data, error } = await supabaseClient
+            .from('messages')
+            .select('*')
+            .eq('thread_id', threadId)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('Error loading messages:', error);
+            return [];
+        }
+        return data || [];
+    } catch (error) {
+        console.error('Exception loading messages:', error);
+        return [];
+    }
+}
+
+/**
+ * Check an attachment before upload
+ * @param {File} file - Selected file
+ * @returns {string|null} Error message, or null if the file is allowed
+ */
+function validateMessageAttachment(file) {
+    if (!MESSAGE_ATTACHMENT_TYPES.includes(file.type)) {
+        return 'Attachments must be an image (PNG, JPEG, GIF, WebP) or a PDF.';
+    }
+    if (file.size > MESSAGE_ATTACHMENT_MAX_BYTES) {
+        return 'Attachments must be 10 MB or smaller.';
+    }
+    return null;
+}
+
+/**
+ * Send a message, uploading an attachment first if there is one
+ * @param {string} threadId - Thread ID
+ * @param {string} senderId - Current user's ID
+ * @param {string} body - Message text (may be empty when attaching a file)
+ * @param {File|null} file - Optional attachment
+ * @returns {Promise<Object>} { error }
+ */
+async function sendMessage(threadId, senderId, body, file = null) {
+    try {
+        const message = { thread_id: threadId, sender_id: senderId, body: body || null };
+
+        if (file) {
+            const safeName = file.name.replace(/[^a-zA-Z0-9._-]/g, '_');
+            const path = `${threadId}/${crypto.randomUUID()}-${safeName}`;
+            const { error: uploadError } = await supabaseClient.storage
+                .from('message-attachments')
+                .upload(path, file, { contentType: file.type });
+
+            if (uploadError) {
+                console.error('Error uploading attachment:', uploadError);
+                return { error: uploadError };
+            }
+
+            message.attachment_path = path;
+            message.attachment_name = file.name;
+            message.attachment_type = file.type;
+            message.attachment_size = file.size;
+        }
+
+        const { error } = await supabaseClient.from('messages').insert(message);
+        if (error) {
+            console.error('Error sending message:', error);
+        }
+        return { error };
+    } catch (error) {
+        console.error('Exception sending message:', error);
+        return { error };
+    }
+}
+
+/**
+ * Mark the other participant's messages in a thread as read
+ * @param {string} threadId - Thread ID
+ */
+async function markThreadRead(threadId) {
+    const { error } = await supabaseClient.rpc('mark_thread_read', { p_thread_id: threadId });
+    if (error) {
+        console.error('Error marking thread read:', error);
+    }
+}
+
+/**
+ * Get the current user's unread message counts
+ * @returns {Promise<Array>} Rows of { thread_id, user_id, therapist_id, unread }
+ */
+async function getUnreadMessageCounts() {
+    try {
+        const { data, error } = await supabaseClient.rpc('get_unread_message_counts');
+        if (error) {
+            console.error('Error loading unread counts:', error);
+            return [];
+        }
+        return data || [];
+    } catch (error) {
+        console.error('Exception loading unread counts:', error);
+        return [];
+    }
+}
+
+/**
+ * Open an attachment in a new tab through a short-lived signed URL
+ * @param {string} path - Storage path in the message-attachments bucket
+ */
+async function openMessageAttachment(path) {
+    const { data, error } = await supabaseClient.storage
+        .from('message-attachments')
+        .createSignedUrl(path, 60);
+
+    if (error) {
+        console.error('Error opening attachment:', error);
+        alert('Could not open the attachment. Please try again.');
+        return;
+    }
+    window.open(data.signedUrl, '_blank', 'noopener');
+}
+
+/**
+ * Render a thread as HTML. The viewer's own messages show a read receipt.
+ * @param {Array} messages - Messages, oldest first
+ * @param {string} viewerId - Current user's ID
+ * @param {string} timeZone - Viewer's time zone
+ * @returns {string} HTML
+ */
+function renderMessageList(messages, viewerId, timeZone) {
+    if (messages.length === 0) {
+        return '<p class="text-center" style="color: var(--text-secondary);">No messages yet. Say hello!</p>';
+    }
+
+    return messages.map(message => {
+        const isOwn = message.sender_id === viewerId;
+        const sentAt = `${formatDate(message.created_at, timeZone)}, ${formatZonedTime(message.created_at, timeZone)}`;
+        const receipt = isOwn
+            ? (message.read_at ? ` · Read ${formatZonedTime(message.read_at, timeZone)}` : ' · Sent')
+            : '';
+
+        return `
+            <div class="message ${isOwn ? 'message-own' : ''}">
+                ${message.body ? `<div class="message-body">${escapeHtml(message.body)}</div>` : ''}
+                ${message.attachment_path ? `
+                    <button type="button" class="message-attachment" onclick="openMessageAttachment('${escapeHtml(message.attachment_path)}')">
+                        📎 ${escapeHtml(message.attachment_name || 'Attachment')}
+                    </button>
+                ` : ''}
+                <div class="message-meta">${sentAt}${receipt}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+// =====================================================
+// NOTIFICATIONS
+// Shared by every dashboard. Pages provide the bell (#notifications-btn with
+// #notification-count) and #notifications-modal; initNotificationBell() wires
+// them up.
+// =====================================================
+
+// Events people can choose channels for. Safety alerts (assessment_risk,
+// risk_flag_raised, risk_flag_updated) are left out so they cannot be muted.
+const NOTIFICATION_EVENTS = {
+    user: [
+        { type: 'booking_confirmed', label: 'Session confirmed' },
+        { type: 'booking_rejected', label: 'Session declined' },
+        { type: 'booking_cancelled', label: 'Session cancelled by your therapist' },
+        { type: 'booking_completed', label: 'Session completed' },
+        { type: 'booking_no_show', label: 'Missed session' },
+        { type: 'reschedule_suggested', label: 'Therapist proposes new times' },
+        { type: 'reschedule_accepted', label: 'Your proposed time accepted' },
+        { type: 'reschedule_declined', label: 'Your proposed times declined' },
+        { type: 'session_reminder', label: 'Session reminders' },
+        { type: 'assessment_assigned', label: 'New questionnaire from your therapist' },
+        { type: 'account_deletion_requested', label: 'Account deletion scheduled' },
+        { type: 'support_ticket_replied', label: 'Support replied to your message' },
+        { type: 'account_reactivated', label: 'Account reactivated' }
+    ],
+    therapist: [
+        { type: 'booking_requested', label: 'New booking request' },
+        { type: 'booking_cancelled', label: 'Session cancelled by a client' },
+        { type: 'reschedule_requested', label: 'Client proposes new times' },
+        { type: 'reschedule_accepted', label: 'Your proposed time accepted' },
+        { type: 'reschedule_declined', label: 'Your proposed times declined' },
+        { type: 'therapist_approved', label: 'Application approved' },
+        { type: 'therapist_rejected', label: 'Application not approved' },
+        { type: 'session_reminder', label: 'Session reminders' },
+        { type: 'assessment_completed', label: 'Client completed a questionnaire' },
+        { type: 'license_expiring', label: 'License expiring soon' },
+        { type: 'license_expired', label: 'License expired' },
+        { type: 'account_deletion_requested', label: 'Account deletion scheduled' },
+        { type: 'support_ticket_replied', label: 'Support replied to your message' },
+        { type: 'account_reactivated', label: 'Account reactivated' }
+    ],
+    admin: [
+        { type: 'therapist_applied', label: 'New therapist application' },
+        { type: 'license_expiring', label: 'Therapist license expiring' },
+        { type: 'license_expired', label: 'Therapist license expired' },
+        { type: 'account_deletion_requested', label: 'Account deletion requested' },
+        { type: 'support_ticket_opened', label: 'New support message' },
+        { type: 'support_ticket_replied', label: 'Reply on a support ticket' }
+    ]
+};
+
+let notificationUserId = null;
+let notificationRole = null;
+let notificationTimeZone = null;
+
+/**
+ * Get the current user's in-app notifications, newest first
+ * @param {number} limit - Maximum rows
+ * @returns {Promise<Array>} Notifications
+ */
+async function getNotifications(limit = 30) {
+    try {
+        const { data, error } = await supabaseClient
+            .from('notifications')
+            .select('*')
+            .eq('in_app', true)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) {
+            console.error('Error loading notifications:', error);
+            return [];
+        }
+        return data || [];
+    } catch (error) {
+        console.error('Exception loading notifications:', error);
+        return [];
+    }
+}
+
+/**
+ * Count the current user's unread in-app notifications
+ * @returns {Promise<number>} Unread count
+ */
+async function getUnreadNotificationCount() {
+    const { count, error } = await supabaseClient
+        .from('notifications')
+        .select('id', { count: 'exact', head: true })
+        .eq('in_app', true)
+        .is('read_at', null);
+
+    if (error) {
+        console.error('Error counting notifications:', error);
+        return 0;
+    }
+    return count || 0;
+}
+
+/**
+ * Mark notifications as read
+ * @param {Array<string>|null} ids - Notification IDs, or null for all
+ */
+async function markNotificationsRead(ids = null) {
+    const { error } = await supabaseClient.rpc('mark_notifications_read', { p_ids: ids });
+    if (error) {
+        console.error('Error marking notifications read:', error);
+    }
+}
+
+/**
+ * Get the current user's saved preferences keyed by event type
+ * @returns {Promise<Object>} { [event_type]: { in_app, email, sms } }
+ */
+async function getNotificationPreferences() {
+    try {
+        const { data, error } = await supabaseClient
+            .from('notification_preferences')
+            .select('event_type, in_app, email, sms');
+
+        if (error) {
+            console.error('Error loading notification preferences:', error);
+            return {};
+        }
+
+        const preferences = {};
+        (data || []).forEach(row => {
+            preferences[row.event_type] = row;
+        });
+        return preferences;
+    } catch (error) {
+        console.error('Exception loading notification preferences:', error);
+        return {};
+    }
+}
+
+/**
+ * Render notifications as HTML
+ * @param {Array} notifications - Notifications, newest first
+ * @param {string} timeZone - Viewer's time zone
+ * @returns {string} HTML
+ */
+function renderNotificationList(notifications, timeZone) {
+    if (notifications.length === 0) {
+        return '<p class="text-center" style="color: var(--text-secondary);">You\'re all caught up.</p>';
+    }
+
+    return notifications.map(notification => `
+        <div class="notification-item ${notification.read_at ? '' : 'notification-unread'}">
+            <div class="notification-title">${escapeHtml(notification.title)}</div>
+            <div>${escapeHtml(notification.body)}</div>
+            <div class="message-meta">${formatDate(notification.created_at, timeZone)}, ${formatZonedTime(notification.created_at, timeZone)}</div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Render the per-event preference checkboxes for a role. Events without a
+ * saved row show the defaults (in-app and email on, SMS off).
+ * @param {string} role - 'user', 'therapist' or 'admin'
+ * @param {Object} preferences - Saved preferences keyed by event type
+ * @returns {string} HTML
+ */
+function renderNotificationPreferences(role, preferences) {
+    const rows = (NOTIFICATION_EVENTS[role] || []).map(event => {
+        const pref = preferences[event.type] || { in_app: true, email: true, sms: false };
+        return `
+            <tr data-event-type="${event.type}">
+                <td>${event.label}</td>
+                <td class="text-center"><input type="checkbox" data-channel="in_app" ${pref.in_app ? 'checked' : ''}></td>
+                <td class="text-center"><input type="checkbox" data-channel="email" ${pref.email ? 'checked' : ''}></td>
+                <td class="text-center"><input type="checkbox" data-channel="sms" ${pref.sms ? 'checked' : ''}></td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <table class="table">
+            <thead>
+                <tr><th>Event</th><th>In-app</th><th>Email</th><th>SMS</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <p class="form-hint">Text messages go to the phone number on your profile.</p>
+    `;
+}
+
+/**
+ * Refresh the unread count on the bell
+ */
+async function refreshNotificationCount() {
+    const badge = document.getElementById('notification-count');
+    if (!badge) return;
+
+    const count = await getUnreadNotificationCount();
+    badge.textContent = count > 99 ? '99+' : count;
+    badge.classList.toggle('hidden', count === 0);
+}
+
+/**
+ * Open the notifications modal: list, then preferences
+ */
+async function openNotificationsModal() {
+    const list = document.getElementById('notification-list');
+    document.getElementById('notifications-error').innerHTML = '';
+    document.getElementById('notifications-success').innerHTML = '';
+    list.innerHTML = '<div class="loading"><div class="loading-spinner"></div></div>';
+    document.getElementById('notifications-modal').classList.remove('hidden');
+
+    const [notifications, preferences] = await Promise.all([
+        getNotifications(),
+        getNotificationPreferences()
+    ]);
+
+    list.innerHTML = renderNotificationList(notifications, notificationTimeZone);
+    document.getElementById('notification-preferences').innerHTML =
+        renderNotificationPreferences(notificationRole, preferences);
+}
+
+function closeNotificationsModal() {
+    document.getElementById('notifications-modal').classList.add('hidden');
+}
+
+/**
+ * Mark everything read and refresh the modal and bell
+ */
+async function markAllNotificationsRead() {
+    await markNotificationsRead();
+    const notifications = await getNotifications();
+    document.getElementById('notification-list').innerHTML = renderNotificationList(notifications, notificationTimeZone);
+    await refreshNotificationCount();
+}
+
+/**
+ * Save the preference checkboxes in the notifications modal
+ */
+async function saveNotificationPreferences() {
+    const errorContainer = document.getElementById('notifications-error');
+    const successContainer = document.getElementById('notifications-success');
+    const saveBtn = document.getElementById('save-notification-preferences-btn');
+
+    errorContainer.innerHTML = '';
+    successContainer.innerHTML = '';
+
+    const rows = [...document.querySelectorAll('#notification-preferences tr[data-event-type]')].map(row => ({
+        user_id: notificationUserId,
+        event_type: row.dataset.eventType,
+        in_app: row.querySelector('[data-channel="in_app"]').checked,
+        email: row.querySelector('[data-channel="email"]').checked,
+        sms: row.querySelector('[data-channel="sms"]').checked,
+        updated_at: new Date().toISOString()
+    }));
+
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Saving...';
+
+    try {
+        const { error } = await supabaseClient
+            .from('notification_preferences')
+            .upsert(rows, { onConflict: 'user_id,event_type' });
+
+        if (error) {
+            console.error('Error saving notification preferences:', error);
+            errorContainer.innerHTML = '<div class="error-message">Failed to save preferences. Please try again.</div>';
+            return;
+        }
+
+        successContainer.innerHTML = '<div class="success-message">Notification preferences saved.</div>';
+    } catch (error) {
+        console.error('Exception saving notification preferences:', error);
+        errorContainer.innerHTML = '<div class="error-message">An error occurred. Please try again.</div>';
+    } finally {
+        saveBtn.disabled = false;
+        saveBtn.textContent = 'Save Preferences';
+    }
+}
+
+/**
+ * Wire up the notification bell on a dashboard and keep its count current
+ * through a realtime subscription
+ * @param {string} userId - Current user's ID
+ * @param {string} role - 'user', 'therapist' or 'admin'
+ * @param {string} timeZone - Viewer's time zone
+ */
+function initNotificationBell(userId, role, timeZone) {
+    notificationUserId = userId;
+    notificationRole = role;
+    notificationTimeZone = timeZone;
+
+    document.getElementById('notifications-btn').addEventListener('click', openNotificationsModal);
+    document.getElementById('mark-notifications-read-btn').addEventListener('click', markAllNotificationsRead);
+    document.getElementById('save-notification-preferences-btn').addEventListener('click', saveNotificationPreferences);
+
+    refreshNotificationCount();
+    subscribeToChanges('notifications', `user_id=eq.${userId}`, debounce(refreshNotificationCount, 500));
+}
+
+// =====================================================
+// REALTIME
+// Supabase only delivers changes to rows the subscriber can SELECT, so the
+// existing RLS policies scope every subscription.
+// =====================================================
+
+/**
+ * Subscribe to inserts, updates and deletes on a table
+ * @param {string} table - Table name
+ * @param {string|null} filter - Optional row filter, e.g. 'therapist_id=eq.<id>'
+ * @param {Function} onChange - Called with (eventType, newRow, oldRow)
+ * @returns {Object} Realtime channel
+ */
+function subscribeToChanges(table, filter, onChange) {
+    const options = { event: '*', schema: 'public', table };
+    if (filter) {
+        options.filter = filter;
+    }
+
+    return supabaseClient
+        .channel(`${table}:${filter || 'all'}`)
+        .on('postgres_changes', options, payload => onChange(payload.eventType, payload.new, payload.old))
+        .subscribe((status, error) => {
+            if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                console.error(`Error subscribing to ${table}:`, error || status);
+            }
+        });
+}
+
+/**
+ * Apply a realtime change to a list of rows
+ * @param {Array} rows - Current rows
+ * @param {string} eventType - 'INSERT', 'UPDATE' or 'DELETE'
+ * @param {Object} newRow - Row after the change
+ * @param {Object} oldRow - Row before the change (only the id for deletes)
+ * @returns {Array} New list of rows
+ */
+function applyRowChange(rows, eventType, newRow, oldRow) {
+    if (eventType === 'DELETE') {
+        return rows.filter(row => row.id !== oldRow.id);
+    }
+
+    const index = rows.findIndex(row => row.id === newRow.id);
+    if (index === -1) {
+        return [newRow, ...rows];
+    }
+
+    const updated = rows.slice();
+    updated[index] = newRow;
+    return updated;
+}
+
+/**
+ * Describe a booking change made by the other party, for a live toast.
+ * Changes the viewer makes themselves return null.
+ * @param {Object|null} previous - Booking as currently shown, or null if new
+ * @param {Object} next - Booking after the change
+ * @param {string} role - Viewer's role, 'user' or 'therapist'
+ * @param {string} timeZone - Viewer's time zone
+ * @param {Array} bookings - Bookings currently shown (to collapse a new series into one toast)
+ * @returns {string|null} Message
+ */
+function describeBookingChange(previous, next, role, timeZone, bookings) {
+    const when = `${formatDate(next.starts_at, timeZone)} at ${formatZonedTime(next.starts_at, timeZone)}`;
+
+    if (!previous) {
+        if (role !== 'therapist') return null;
+        if (next.series_id && bookings.some(b => b.series_id === next.series_id)) return null;
+        return `New booking request for ${when}${next.series_id ? ' (recurring)' : ''}.`;
+    }
+
+    if (role === 'therapist') {
+        if (next.status === 'cancelled' && previous.status !== 'cancelled') {
+            return `A client cancelled the session on ${when}.`;
+        }
+        return null;
+    }
+
+    if (next.status !== previous.status && ['confirmed', 'rejected', 'completed', 'no_show'].includes(next.status)) {
+        return `Your session on ${when} is now ${formatBookingStatus(next.status)}.`;
+    }
+    return null;
+}
+
+// =====================================================
+// AUDIT LOG
+// Changes to profiles, Therapists and Bookings are logged by database
+// triggers; pages log views with logRecordView(). Only admins can read it.
+// =====================================================
+
+const AUDIT_TABLES = ['profiles', 'Therapists', 'Bookings'];
+
+const AUDIT_ACTION_LABELS = {
+    insert: 'Created',
+    update: 'Updated',
+    delete: 'Deleted',
+    view: 'Viewed',
+    export: 'Exported',
+    erase: 'Erased'
+};
+
+const AUDIT_LOG_LIMIT = 500;
+
+/**
+ * Record that the signed-in user opened a record. Failures are logged only.
+ * @param {string} tableName - 'profiles', 'Therapists' or 'Bookings'
+ * @param {string} recordId - Record ID (user_id for profiles)
+ */
+async function logRecordView(tableName, recordId) {
+    try {
+        const { error } = await supabaseClient.rpc('log_record_view', {
+            p_table_name: tableName,
+            p_record_id: recordId
+        });
+
+        if (error) {
+            console.error('Error logging record view:', error);
+        }
+    } catch (error) {
+        console.error('Exception logging record view:', error);
+    }
+}
+
+/**
+ * Search the audit log, newest first, up to AUDIT_LOG_LIMIT entries
+ * @param {Object} filters - { actorId, tableName, recordId, fromDate, toDate } (all optional;
+ *   dates are YYYY-MM-DD, inclusive, in timeZone)
+ * @param {string} timeZone - Time zone the dates are in
+ * @returns {Promise<Array|null>} Entries, or null on error
+ */
+async function getAuditLog(filters, timeZone) {
+    try {
+        let query = supabaseClient
+            .from('audit_log')
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(AUDIT_LOG_LIMIT);
+
+        if (filters.actorId) query = query.eq('actor_id', filters.actorId);
+        if (filters.tableName) query = query.eq('table_name', filters.tableName);
+        if (filters.recordId) query = query.eq('record_id', filters.recordId);
+        if (filters.fromDate) {
+            query = query.gte('created_at', zonedTimeToDate(filters.fromDate, '00:00', timeZone).toISOString());
+        }
+        if (filters.toDate) {
+            query = query.lt('created_at', zonedTimeToDate(shiftDateString(filters.toDate, 1), '00:00', timeZone).toISOString());
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Error loading audit log:', error);
+            return null;
+        }
+        return data || [];
+    } catch (error) {
+        console.error('Exception loading audit log:', error);
+        return null;
+    }
+}
+
+/**
+ * Format a value from an audit entry for display
+ * @param {*} value - JSON value
+ * @returns {string} Text
+ */
+function formatAuditValue(value) {
+    if (value === null || value === undefined) return '(empty)';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Describe what an audit entry changed
+ * @param {Object} entry - audit_log row
+ * @returns {string} e.g. "status: pending → confirmed; city: (empty) → Pune"
+ */
+function describeAuditChanges(entry) {
+    if (entry.action === 'update') {
+        return Object.keys(entry.new_data || {})
+            .map(key => `${key}: ${formatAuditValue(entry.old_data[key])} → ${formatAuditValue(entry.new_data[key])}`)
+            .join('; ');
+    }
+    if (entry.action === 'insert') return 'Record created';
+    if (entry.action === 'delete') return 'Record deleted';
+    if (entry.action === 'export') return 'Personal data exported';
+    if (entry.action === 'erase') return 'Account closed; personal details removed';
+    return 'Record viewed';
+}
+
+/**
+ * Quote a value for a CSV cell. Text that a spreadsheet would run as a
+ * formula is prefixed with an apostrophe.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV export of audit entries. Old and new values are included as JSON.
+ * @param {Array} entries - audit_log rows
+ * @param {Object} actorNames - Map of user ID to display name
+ * @returns {string} CSV text
+ */
+function buildAuditCsv(entries, actorNames) {
+    const header = ['Time (UTC)', 'Actor ID', 'Actor', 'Actor Role', 'Action', 'Table', 'Record ID', 'Changes', 'Old Data', 'New Data'];
+    const rows = entries.map(entry => [
+        new Date(entry.created_at).toISOString(),
+        entry.actor_id,
+        entry.actor_id ? (actorNames[entry.actor_id] || '') : 'System',
+        entry.actor_role,
+        AUDIT_ACTION_LABELS[entry.action] || entry.action,
+        entry.table_name,
+        entry.record_id,
+        describeAuditChanges(entry),
+        entry.old_data ? JSON.stringify(entry.old_data) : '',
+        entry.new_data ? JSON.stringify(entry.new_data) : ''
+    ]);
+
+    return [header, ...rows].map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// =====================================================
+// ANALYTICS
+// Admin reporting from get_admin_analytics(). Sessions count on their
+// session date in the admin's time zone; money is collected net of refunds.
+// =====================================================
+
+const ANALYTICS_INTERVALS = {
+    day: 'Daily',
+    week: 'Weekly',
+    month: 'Monthly'
+};
+
+// Mirrors the limit in get_admin_analytics()
+const ANALYTICS_MAX_DAYS = 731;
+
+/**
+ * Load platform analytics for a range of session dates (admins only)
+ * @param {string} fromDate - First session date (YYYY-MM-DD, inclusive)
+ * @param {string} toDate - Last session date (YYYY-MM-DD, inclusive)
+ * @param {string} interval - 'day', 'week' or 'month'
+ * @param {string} timeZone - Time zone the dates are in
+ * @returns {Promise<Object>} { data: { summary, periods, therapists, specializations }, error }
+ */
+async function getAdminAnalytics(fromDate, toDate, interval, timeZone) {
+    const { data, error } = await supabaseClient.rpc('get_admin_analytics', {
+        p_from: fromDate,
+        p_to: toDate,
+        p_time_zone: timeZone,
+        p_interval: interval
+    });
+    if (error) {
+        console.error('Error loading analytics:', error);
+    }
+    return { data, error };
+}
+
+/**
+ * Format a ratio as a percentage
+ * @param {number|null} ratio - e.g. 0.125
+ * @returns {string} e.g. "12.5%", or "—" when there is nothing to compare
+ */
+function formatPercent(ratio) {
+    if (ratio === null || ratio === undefined) return '—';
+    return `${Math.round(ratio * 1000) / 10}%`;
+}
+
+/**
+ * Label an analytics bucket
+ * @param {string} periodStart - First date of the bucket (YYYY-MM-DD)
+ * @param {string} interval - 'day', 'week' or 'month'
+ * @returns {string} e.g. "Oct 2026", "Week of Oct 19" or "Oct 19"
+ */
+function formatAnalyticsPeriod(periodStart, interval) {
+    const date = new Date(`${periodStart}T00:00:00Z`);
+    if (interval === 'month') {
+        return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+    }
+    const day = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    return interval === 'week' ? `Week of ${day}` : day;
+}
+
+/**
+ * Render the booking funnel as horizontal bars, each step with its
+ * conversion from the step before
+ * @param {Object} summary - summary from getAdminAnalytics()
+ * @returns {string} HTML
+ */
+function renderAnalyticsFunnel(summary) {
+    const steps = [
+        { label: 'Requested', value: summary.bookings, from: null },
+        { label: 'Confirmed', value: summary.confirmed, from: summary.bookings },
+        { label: 'Completed', value: summary.completed, from: summary.confirmed }
+    ];
+    const max = Math.max(summary.bookings, 1);
+
+    return steps.map(step => `
+        <div style="margin-bottom: var(--spacing-sm);">
+            <div style="display: flex; justify-content: space-between; font-size: var(--font-size-sm);">
+                <span>${step.label}</span>
+                <span class="font-semibold">
+                    ${step.value}
+                    ${step.from !== null ? `<span style="color: var(--text-secondary); font-weight: 400;">(${formatPercent(step.from ? step.value / step.from : null)})</span>` : ''}
+                </span>
+            </div>
+            <div style="background-color: var(--bg-secondary); border-radius: var(--border-radius); height: 12px;">
+                <div style="background-color: var(--primary-color); border-radius: var(--border-radius); height: 12px; width: ${step.value / max * 100}%;"></div>
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Render one measure over the analytics buckets as a bar chart
+ * @param {Array} periods - periods from getAdminAnalytics()
+ * @param {string} key - Measure, e.g. 'bookings' or 'revenue_cents'
+ * @param {string} interval - 'day', 'week' or 'month'
+ * @param {Function} formatValue - Formats a value for labels
+ * @param {string} title - Chart title, also used as its accessible label
+ * @returns {string} HTML
+ */
+function renderAnalyticsBarChart(periods, key, interval, formatValue, title) {
+    const width = 320;
+    const height = 120;
+    const pad = 12;
+    const max = Math.max(...periods.map(p => p[key]), 1);
+    const slot = (width - 2 * pad) / Math.max(periods.length, 1);
+    const barWidth = Math.max(slot * 0.7, 1);
+    const total = periods.reduce((sum, p) => sum + p[key], 0);
+
+    const bars = periods.map((p, i) => {
+        const barHeight = p[key] / max * (height - 2 * pad);
+        return `
+            <rect x="${pad + i * slot + (slot - barWidth) / 2}" y="${height - pad - barHeight}" width="${barWidth}" height="${barHeight}" fill="var(--primary-color)">
+                <title>${formatAnalyticsPeriod(p.period_start, interval)}: ${formatValue(p[key])}</title>
+            </rect>
+        `;
+    }).join('');
+
+    return `
+        <div style="margin-bottom: var(--spacing-md);">
+            <div style="display: flex; justify-content: space-between; margin-bottom: var(--spacing-xs);">
+                <span style="font-weight: 600;">${title}</span>
+                <span class="font-semibold">${formatValue(total)}</span>
+            </div>
+            <svg viewBox="0 0 ${width} ${height}" width="100%" style="background-color: var(--bg-secondary); border-radius: var(--border-radius);" role="img" aria-label="${title} by period">
+                <line x1="${pad}" x2="${width - pad}" y1="${height - pad}" y2="${height - pad}" stroke="var(--border-color)"/>
+                ${bars}
+            </svg>
+            ${periods.length > 0 ? `
+                <div style="display: flex; justify-content: space-between; font-size: var(--font-size-sm); color: var(--text-secondary);">
+                    <span>${formatAnalyticsPeriod(periods[0].period_start, interval)}</span>
+                    <span>Peak ${formatValue(Math.max(...periods.map(p => p[key])))}</span>
+                    <span>${formatAnalyticsPeriod(periods[periods.length - 1].period_start, interval)}</span>
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Format cents as a plain decimal for spreadsheets
+ * @param {number} cents - Amount in cents
+ * @returns {string} e.g. "120.00"
+ */
+function formatCsvAmount(cents) {
+    return (cents / 100).toFixed(2);
+}
+
+/**
+ * Build a CSV export of the analytics trend, one row per bucket
+ * @param {Object} analytics - Result of getAdminAnalytics()
+ * @param {string} interval - 'day', 'week' or 'month'
+ * @returns {string} CSV text
+ */
+function buildAnalyticsPeriodsCsv(analytics, interval) {
+    const header = ['Period Start', 'Period', 'Sessions', 'Confirmed', 'Completed', 'Cancelled', 'Rejected', 'New Clients', 'Revenue (USD)'];
+    const rows = analytics.periods.map(p => [
+        p.period_start,
+        formatAnalyticsPeriod(p.period_start, interval),
+        p.bookings,
+        p.confirmed,
+        p.completed,
+        p.cancelled,
+        p.rejected,
+        p.new_clients,
+        formatCsvAmount(p.revenue_cents)
+    ]);
+
+    return [header, ...rows].map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Build a CSV export of the per-therapist analytics. Rates are percentages.
+ * @param {Object} analytics - Result of getAdminAnalytics()
+ * @returns {string} CSV text
+ */
+function buildAnalyticsTherapistsCsv(analytics) {
+    const percent = ratio => ratio === null ? '' : (ratio * 100).toFixed(2);
+    const header = ['Therapist ID', 'Therapist', 'Specialization', 'Sessions', 'Confirmed', 'Completed', 'Cancelled', 'Late Cancellations', 'Rejected', 'No-Shows',
+        'Cancellation Rate (%)', 'Rejection Rate (%)', 'Booked Hours', 'Offered Hours', 'Utilization (%)', 'Revenue (USD)'];
+    const rows = analytics.therapists.map(t => [
+        t.therapist_id,
+        t.name,
+        t.specialization,
+        t.bookings,
+        t.confirmed,
+        t.completed,
+        t.cancelled,
+        t.late_cancellations,
+        t.rejected,
+        t.no_show,
+        percent(t.cancellation_rate),
+        percent(t.rejection_rate),
+        (t.booked_minutes / 60).toFixed(2),
+        (t.offered_minutes / 60).toFixed(2),
+        percent(t.utilization),
+        formatCsvAmount(t.revenue_cents)
+    ]);
+
+    return [header, ...rows].map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// =====================================================
+// REVIEWS
+// Clients rate completed sessions; reviews are public once an admin approves
+// them. Therapists.rating_average / rating_count cover approved reviews only.
+// =====================================================
+
+const REVIEW_STATUS_LABELS = {
+    pending: 'Awaiting moderation',
+    approved: 'Published',
+    rejected: 'Not published'
+};
+
+const REVIEW_COMMENT_MAX_LENGTH = 2000;
+
+/**
+ * Render a star rating
+ * @param {number} rating - Rating from 1 to 5 (may be fractional)
+ * @returns {string} HTML
+ */
+function renderStars(rating) {
+    const filled = Math.round(Number(rating) || 0);
+    return `<span class="rating-stars" title="${Number(rating).toFixed(1)} out of 5">${'★'.repeat(filled)}${'☆'.repeat(5 - filled)}</span>`;
+}
+
+/**
+ * Render a therapist's aggregate rating for cards and previews
+ * @param {Object} therapist - Therapists row
+ * @returns {string} HTML
+ */
+function renderTherapistRating(therapist) {
+    if (!therapist.rating_count) {
+        return '<span class="rating">No reviews yet</span>';
+    }
+    return `
+        <span class="rating">
+            ${renderStars(therapist.rating_average)}
+            <strong>${Number(therapist.rating_average).toFixed(1)}</strong>
+            (${therapist.rating_count} review${therapist.rating_count !== 1 ? 's' : ''})
+        </span>
+    `;
+}
+
+/**
+ * Get a therapist's approved reviews, newest first
+ * @param {string} therapistId - Therapist ID
+ * @param {number} limit - Maximum number of reviews
+ * @returns {Promise<Array>} Reviews
+ */
+async function getTherapistReviews(therapistId, limit = 5) {
+    try {
+        const { data, error } = await supabaseClient
+            .from('reviews')
+            .select('id, rating, comment, created_at')
+            .eq('therapist_id', therapistId)
+            .eq('status', 'approved')
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) {
+            console.error('Error loading reviews:', error);
+            return [];
+        }
+        return data || [];
+    } catch (error) {
+        console.error('Exception loading reviews:', error);
+        return [];
+    }
+}
+
+// =====================================================
+// THERAPIST SEARCH
+// Filtering, sorting and paging run in search_therapists(). The filters are
+// mirrored in the therapists.html query string so searches can be shared.
+// =====================================================
+
+const THERAPIST_SORT_OPTIONS = {
+    relevance: 'Best match',
+    newest: 'Newest',
+    rating: 'Highest rated',
+    fee_asc: 'Fee: low to high',
+    fee_desc: 'Fee: high to low',
+    experience: 'Most experienced',
+    availability: 'Soonest available'
+};
+
+const THERAPIST_GENDERS = {
+    female: 'Female',
+    male: 'Male',
+    'non-binary': 'Non-binary'
+};
+
+const THERAPIST_LANGUAGES = [
+    'English', 'Spanish', 'French', 'German', 'Portuguese', 'Italian',
+    'Mandarin', 'Cantonese', 'Hindi', 'Bengali', 'Urdu', 'Tamil', 'Arabic', 'Russian'
+];
+
+// Query string parameter -> search_therapists() argument
+const THERAPIST_SEARCH_PARAMS = {
+    q: 'p_query',
+    specialization: 'p_specialization',
+    min_fee: 'p_min_fee',
+    max_fee: 'p_max_fee',
+    min_experience: 'p_min_experience',
+    gender: 'p_gender',
+    language: 'p_language',
+    sort: 'p_sort'
+};
+
+const THERAPIST_SEARCH_PAGE_SIZE = 12;
+
+/**
+ * Read search filters from a query string. Unknown parameters are ignored.
+ * @param {string} queryString - e.g. window.location.search
+ * @returns {Object} Filters keyed by query parameter name
+ */
+function getTherapistSearchFilters(queryString) {
+    const params = new URLSearchParams(queryString);
+    const filters = {};
+    Object.keys(THERAPIST_SEARCH_PARAMS).forEach(key => {
+        const value = (params.get(key) || '').trim();
+        if (value) filters[key] = value;
+    });
+    if (filters.sort && !THERAPIST_SORT_OPTIONS[filters.sort]) {
+        delete filters.sort;
+    }
+    return filters;
+}
+
+/**
+ * Build the query string for a set of search filters
+ * @param {Object} filters - Filters keyed by query parameter name
+ * @returns {string} Query string including '?', or '' when there are no filters
+ */
+function buildTherapistSearchQuery(filters) {
+    const params = new URLSearchParams();
+    Object.keys(THERAPIST_SEARCH_PARAMS).forEach(key => {
+        if (filters[key]) params.set(key, filters[key]);
+    });
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+/**
+ * Search approved therapists
+ * @param {Object} filters - Filters keyed by query parameter name
+ * @param {string|null} cursor - next_cursor from the previous page
+ * @param {number} limit - Page size
+ * @returns {Promise<Object|null>} { results, nextCursor }, or null on error
+ */
+async function searchTherapists(filters, cursor = null, limit = THERAPIST_SEARCH_PAGE_SIZE) {
+    const args = { p_cursor: cursor, p_limit: limit };
+    Object.entries(THERAPIST_SEARCH_PARAMS).forEach(([key, arg]) => {
+        if (!filters[key]) return;
+        args[arg] = ['min_fee', 'max_fee', 'min_experience'].includes(key)
+            ? parseInt(filters[key], 10)
+            : filters[key];
+    });
+
+    try {
+        const { data, error } = await supabaseClient.rpc('search_therapists', args);
+
+        if (error) {
+            console.error('Error searching therapists:', error);
+            return null;
+        }
+        return { results: data.results || [], nextCursor: data.next_cursor || null };
+    } catch (error) {
+        console.error('Exception searching therapists:', error);
+        return null;
+    }
+}
+
+/**
+ * Render language checkboxes for therapist profile forms
+ * @param {Array<string>} selected - Languages to check
+ * @returns {string} HTML
+ */
+function renderLanguageCheckboxes(selected) {
+    return THERAPIST_LANGUAGES.map(language => `
+        <label style="display: flex; align-items: center; gap: var(--spacing-sm); font-size: var(--font-size-sm); cursor: pointer;">
+            <input type="checkbox" name="language" value="${language}" ${selected.includes(language) ? 'checked' : ''}>
+            <span>${language}</span>
+        </label>
+    `).join('');
+}
+
+/**
+ * Get the languages checked in a container rendered by renderLanguageCheckboxes()
+ * @param {HTMLElement} container - Container element
+ * @returns {Array<string>} Languages
+ */
+function getCheckedLanguages(container) {
+    return Array.from(container.querySelectorAll('input[name="language"]:checked')).map(input => input.value);
+}
+
+// =====================================================
+// THERAPIST MATCHING
+// Answers from find-match.html are ranked by match_therapists(), which
+// explains each recommendation.
+// =====================================================
+
+// Client-facing wording for each Specialization value
+const MATCH_CONCERNS = {
+    Anxiety: 'Anxiety, worry or panic',
+    Depression: 'Low mood or depression',
+    Trauma: 'Trauma or PTSD',
+    Relationships: 'Relationship difficulties',
+    Family: 'Family issues',
+    Addiction: 'Addiction or substance use',
+    'Eating Disorders': 'Eating or body image',
+    'Stress Management': 'Stress or burnout',
+    Grief: 'Grief or loss',
+    'LGBTQ+': 'LGBTQ+ identity or experiences',
+    Career: 'Work or career'
+};
+
+const MATCH_AVAILABILITY_OPTIONS = {
+    weekday_mornings: 'Weekday mornings (6am–12pm)',
+    weekday_afternoons: 'Weekday afternoons (12–5pm)',
+    weekday_evenings: 'Weekday evenings (5–10pm)',
+    weekends: 'Weekends'
+};
+
+/**
+ * Rank therapists against questionnaire answers
+ * @param {Object} answers - { concerns, gender, language, maxFee, availability, timeZone }
+ * @param {number} limit - Number of matches
+ * @returns {Promise<Array|null>} Matches (best first, each with reasons), or null on error
+ */
+async function matchTherapists(answers, limit = 5) {
+    try {
+        const { data, error } = await supabaseClient.rpc('match_therapists', {
+            p_concerns: answers.concerns || [],
+            p_gender: answers.gender || null,
+            p_language: answers.language || null,
+            p_max_fee: answers.maxFee || null,
+            p_availability: answers.availability || [],
+            p_time_zone: answers.timeZone || getBrowserTimeZone(),
+            p_limit: limit
+        });
+
+        if (error) {
+            console.error('Error matching therapists:', error);
+            return null;
+        }
+        return data || [];
+    } catch (error) {
+        console.error('Exception matching therapists:', error);
+        return null;
+    }
+}
+
+// =====================================================
+// ASSESSMENTS
+// Therapists assign PHQ-9 / GAD-7 questionnaires; clients answer them in
+// user-dashboard.html. validate_assessment() does the scoring, so pages only
+// send the answers. Risk alerts (assessment_risk) cannot be muted.
+// =====================================================
+
+const ASSESSMENT_RESPONSE_OPTIONS = [
+    { value: 0, label: 'Not at all' },
+    { value: 1, label: 'Several days' },
+    { value: 2, label: 'More than half the days' },
+    { value: 3, label: 'Nearly every day' }
+];
+
+const ASSESSMENT_INSTRUMENTS = {
+    phq9: {
+        name: 'PHQ-9',
+        title: 'Depression screening (PHQ-9)',
+        prompt: 'Over the last 2 weeks, how often have you been bothered by any of the following problems?',
+        maxScore: 27,
+        bands: [5, 10, 15, 20],
+        riskItem: 8,  // zero-based index of item 9
+        items: [
+            'Little interest or pleasure in doing things',
+            'Feeling down, depressed, or hopeless',
+            'Trouble falling or staying asleep, or sleeping too much',
+            'Feeling tired or having little energy',
+            'Poor appetite or overeating',
+            'Feeling bad about yourself, or that you are a failure or have let yourself or your family down',
+            'Trouble concentrating on things, such as reading the newspaper or watching television',
+            'Moving or speaking so slowly that other people could have noticed, or the opposite: being so fidgety or restless that you have been moving around a lot more than usual',
+            'Thoughts that you would be better off dead, or of hurting yourself in some way'
+        ]
+    },
+    gad7: {
+        name: 'GAD-7',
+        title: 'Anxiety screening (GAD-7)',
+        prompt: 'Over the last 2 weeks, how often have you been bothered by the following problems?',
+        maxScore: 21,
+        bands: [5, 10, 15],
+        riskItem: null,
+        items: [
+            'Feeling nervous, anxious, or on edge',
+            'Not being able to stop or control worrying',
+            'Worrying too much about different things',
+            'Trouble relaxing',
+            'Being so restless that it is hard to sit still',
+            'Becoming easily annoyed or irritable',
+            'Feeling afraid, as if something awful might happen'
+        ]
+    }
+};
+
+const ASSESSMENT_SEVERITY_LABELS = {
+    minimal: 'Minimal',
+    mild: 'Mild',
+    moderate: 'Moderate',
+    moderately_severe: 'Moderately severe',
+    severe: 'Severe'
+};
+
+// Badge colours reuse the booking status palette
+const ASSESSMENT_SEVERITY_BADGES = {
+    minimal: 'badge-completed',
+    mild: 'badge-confirmed',
+    moderate: 'badge-pending',
+    moderately_severe: 'badge-no_show',
+    severe: 'badge-cancelled'
+};
+
+/**
+ * Render a severity badge with the score
+ * @param {Object} assessment - Completed assessments row
+ * @returns {string} HTML
+ */
+function renderSeverityBadge(assessment) {
+    if (assessment.score === null || assessment.score === undefined) {
+        return '';
+    }
+    const instrument = ASSESSMENT_INSTRUMENTS[assessment.instrument];
+    return `<span class="badge ${ASSESSMENT_SEVERITY_BADGES[assessment.severity] || ''}">${assessment.score}/${instrument.maxScore} · ${ASSESSMENT_SEVERITY_LABELS[assessment.severity] || assessment.severity}</span>`;
+}
+
+/**
+ * Render a client's scores on one questionnaire as a line chart, oldest first,
+ * with the severity band boundaries as guides
+ * @param {Array} assessments - assessments rows (any order, any status)
+ * @param {string} instrument - 'phq9' or 'gad7'
+ * @param {string} timeZone - Viewer's time zone
+ * @returns {string} HTML (empty when there are no scores)
+ */
+function renderScoreTrend(assessments, instrument, timeZone) {
+    const definition = ASSESSMENT_INSTRUMENTS[instrument];
+    const scores = assessments
+        .filter(a => a.instrument === instrument && a.status === 'completed')
+        .sort((a, b) => new Date(a.completed_at) - new Date(b.completed_at));
+
+    if (scores.length === 0) {
+        return '';
+    }
+
+    const width = 320;
+    const height = 120;
+    const pad = 12;
+    const x = index => scores.length === 1 ? width / 2 : pad + index * (width - 2 * pad) / (scores.length - 1);
+    const y = score => height - pad - score / definition.maxScore * (height - 2 * pad);
+
+    const guides = definition.bands.map(band => `
+        <line x1="${pad}" x2="${width - pad}" y1="${y(band)}" y2="${y(band)}" stroke="var(--border-color)" stroke-dasharray="4 4"/>
+    `).join('');
+    const line = `<polyline fill="none" stroke="var(--primary-color)" stroke-width="2" points="${scores.map((a, i) => `${x(i)},${y(a.score)}`).join(' ')}"/>`;
+    const points = scores.map((a, i) => `
+        <circle cx="${x(i)}" cy="${y(a.score)}" r="4" fill="${a.risk_flag ? 'var(--danger-color)' : 'var(--primary-color)'}">
+            <title>${formatDate(a.completed_at, timeZone)}: ${a.score} (${ASSESSMENT_SEVERITY_LABELS[a.severity]})</title>
+        </circle>
+    `).join('');
+
+    const first = scores[0];
+    const latest = scores[scores.length - 1];
+    const change = latest.score - first.score;
+    const summary = scores.length === 1
+        ? `One score so far: ${latest.score} on ${formatDate(latest.completed_at, timeZone)}.`
+        : `Latest ${latest.score} on ${formatDate(latest.completed_at, timeZone)}, ${change === 0 ? 'unchanged' : `${change < 0 ? 'down' : 'up'} ${Math.abs(change)}`} from ${first.score} across ${scores.length} scores.`;
+
+    return `
+        <div style="margin-bottom: var(--spacing-md);">
+            <div style="font-weight: 600; margin-bottom: var(--spacing-xs);">${definition.name}</div>
+            <svg viewBox="0 0 ${width} ${height}" width="100%" style="max-width: ${width}px; background-color: var(--bg-secondary); border-radius: var(--border-radius);" role="img" aria-label="${definition.name} scores over time">
+                ${guides}${line}${points}
+            </svg>
+            <p class="form-hint">${summary}</p>
+        </div>
+    `;
+}
+
+// =====================================================
+// CLINICAL NOTES
+// Private to the treating therapist. Clients see only the session summary
+// (Bookings.next_session_notes). validate_clinical_note() enforces locking.
+// =====================================================
+
+const CLINICAL_NOTE_TEMPLATES = {
+    soap: {
+        name: 'SOAP',
+        sections: [
+            { key: 'subjective', label: 'Subjective', hint: 'What the client reported: mood, symptoms, events since the last session' },
+            { key: 'objective', label: 'Objective', hint: 'What you observed: presentation, affect, behaviour, measures' },
+            { key: 'assessment', label: 'Assessment', hint: 'Your clinical impression and progress toward goals' },
+            { key: 'plan', label: 'Plan', hint: 'Interventions, homework and focus for the next session' }
+        ]
+    },
+    dap: {
+        name: 'DAP',
+        sections: [
+            { key: 'data', label: 'Data', hint: 'What the client said and what you observed' },
+            { key: 'assessment', label: 'Assessment', hint: 'Your interpretation and progress toward goals' },
+            { key: 'plan', label: 'Plan', hint: 'Next steps, homework and focus for the next session' }
+        ]
+    }
+};
+
+// Mirrors the interval in validate_clinical_note()
+const CLINICAL_NOTE_LOCK_HOURS = 72;
+
+const CLINICAL_NOTE_SECTION_MAX_LENGTH = 10000;
+
+/**
+ * Whether a clinical note can no longer be edited
+ * @param {Object} note - clinical_notes row
+ * @returns {boolean} True once signed or past locks_at
+ */
+function isClinicalNoteLocked(note) {
+    return Boolean(note.signed_at) || new Date(note.locks_at) <= new Date();
+}
+
+/**
+ * Describe a note's signing state
+ * @param {Object} note - clinical_notes row
+ * @param {string} timeZone - Viewer's time zone
+ * @returns {string} Status text
+ */
+function describeClinicalNoteStatus(note, timeZone) {
+    const when = instant => `${formatDate(instant, timeZone)} at ${formatZonedTime(instant, timeZone)}`;
+
+    if (note.signed_at) {
+        return `Signed and locked on ${when(note.signed_at)}`;
+    }
+    if (isClinicalNoteLocked(note)) {
+        return `Locked unsigned on ${when(note.locks_at)}`;
+    }
+    return `Draft, editable until ${when(note.locks_at)}`;
+}
+
+// =====================================================
+// CREDENTIALS
+// License and ID documents live in the private credential-documents bucket,
+// one folder per therapist. Only the therapist and admins can read them.
+// =====================================================
+
+const CREDENTIAL_DOCUMENT_KINDS = {
+    license: 'License',
+    id: 'Photo ID'
+};
+
+const CREDENTIAL_DOCUMENT_MAX_BYTES = 10 * 1024 * 1024;
+const CREDENTIAL_DOCUMENT_TYPES = ['image/png', 'image/jpeg', 'application/pdf'];
+
+// Mirrors the first warning in process_license_expiries()
+const LICENSE_EXPIRY_WARNING_DAYS = 30;
+
+/**
+ * Check a credential document before upload
+ * @param {File} file - Selected file
+ * @returns {string|null} Error message, or null if the file is allowed
+ */
+function validateCredentialDocument(file) {
+    if (!CREDENTIAL_DOCUMENT_TYPES.includes(file.type)) {
+        return 'Documents must be a PNG or JPEG image or a PDF.';
+    }
+    if (file.size > CREDENTIAL_DOCUMENT_MAX_BYTES) {
+        return 'Documents must be 10 MB or smaller.';
+    }
+    return null;
+}
+
+/**
+ * Upload a credential document and record it against the therapist
+ * @param {string} therapistId - Therapist ID (also the storage folder)
+ * @param {string} kind - 'license' or 'id'
+ * @param {File} file - Selected file
+ * @returns {Promise<Object>} { data, error } with the credential_documents row
+ */
+async function uploadCredentialDocument(therapistId, kind, file) {
+    try {
+        const safeName = file.name.replace(/[^a-zA-Z0-9._-]/g, '_');
+        const path = `${therapistId}/${crypto.randomUUID()}-${safeName}`;
+        const { error: uploadError } = await supabaseClient.storage
+            .from('credential-documents')
+            .upload(path, file, { contentType: file.type });
+
+        if (uploadError) {
+            console.error('Error uploading credential document:', uploadError);
+            return { data: null, error: uploadError };
+        }
+
+        const { data, error } = await supabaseClient
+            .from('credential_documents')
+            .insert({
+                therapist_id: therapistId,
+                kind: kind,
+                storage_path: path,
+                file_name: file.name,
+                file_type: file.type,
+                file_size: file.size
+            })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error saving credential document:', error);
+            await supabaseClient.storage.from('credential-documents').remove([path]);
+        }
+        return { data, error };
+    } catch (error) {
+        console.error('Exception uploading credential document:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Get a therapist's credential documents, newest first
+ * @param {string} therapistId - Therapist ID
+ * @returns {Promise<Array>} credential_documents rows
+ */
+async function getCredentialDocuments(therapistId) {
+    try {
+        const { data, error } = await supabaseClient
+            .from('credential_documents')
+            .select('*')
+            .eq('therapist_id', therapistId)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Error loading credential documents:', error);
+            return [];
+        }
+        return data || [];
+    } catch (error) {
+        console.error('Exception loading credential documents:', error);
+        return [];
+    }
+}
+
+/**
+ * Delete a credential document and its file
+ * @param {Object} doc - credential_documents row
+ * @returns {Promise<Object>} { error }
+ */
+async function deleteCredentialDocument(doc) {
+    try {
+        const { error } = await supabaseClient
+            .from('credential_documents')
+            .delete()
+            .eq('id', doc.id);
+
+        if (error) {
+            console.error('Error deleting credential document:', error);
+            return { error };
+        }
+
+        const { error: removeError } = await supabaseClient.storage
+            .from('credential-documents')
+            .remove([doc.storage_path]);
+        if (removeError) {
+            console.error('Error removing credential file:', removeError);
+        }
+        return { error: null };
+    } catch (error) {
+        console.error('Exception deleting credential document:', error);
+        return { error };
+    }
+}
+
+/**
+ * Open a credential document in a new tab through a short-lived signed URL
+ * @param {string} path - Storage path in the credential-documents bucket
+ */
+async function openCredentialDocument(path) {
+    const { data, error } = await supabaseClient.storage
+        .from('credential-documents')
+        .createSignedUrl(path, 60);
+
+    if (error) {
+        console.error('Error opening credential document:', error);
+        alert('Could not open the document. Please try again.');
+        return;
+    }
+    window.open(data.signedUrl, '_blank', 'noopener');
+}
+
+/**
+ * Days until a therapist's license expires (UTC dates, as the expiry job uses)
+ * @param {Object} therapist - Therapists row
+ * @returns {number|null} Days remaining (negative once lapsed), or null without an expiry date
+ */
+function getLicenseDaysRemaining(therapist) {
+    if (!therapist.license_expires_on) return null;
+    const today = new Date().toISOString().split('T')[0];
+    return Math.round((new Date(`${therapist.license_expires_on}T00:00:00Z`) - new Date(`${today}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Render a badge for a therapist's license state
+ * @param {Object} therapist - Therapists row
+ * @returns {string} HTML
+ */
+function renderLicenseStatus(therapist) {
+    const days = getLicenseDaysRemaining(therapist);
+
+    if (days === null) {
+        return '<span class="badge badge-pending">No expiry date</span>';
+    }
+    if (days < 0) {
+        return `<span class="badge badge-cancelled">Expired ${formatDate(therapist.license_expires_on)}</span>`;
+    }
+    if (days <= LICENSE_EXPIRY_WARNING_DAYS) {
+        return `<span class="badge badge-pending">Expires ${formatDate(therapist.license_expires_on)}</span>`;
+    }
+    if (!therapist.license_verified_at) {
+        return `<span class="badge badge-pending">Unverified · expires ${formatDate(therapist.license_expires_on)}</span>`;
+    }
+    return `<span class="badge badge-approved">Verified · expires ${formatDate(therapist.license_expires_on)}</span>`;
+}
+
+/**
+ * Render a list of credential documents with View (and optionally Delete) buttons
+ * @param {Array} docs - credential_documents rows
+ * @param {Object} options - { onDelete: name of a global function taking the document ID }
+ * @returns {string} HTML
+ */
+function renderCredentialDocuments(docs, options = {}) {
+    if (docs.length === 0) {
+        return '<p class="form-hint">No documents uploaded.</p>';
+    }
+
+    return docs.map(doc => `
+        <div style="display: flex; justify-content: space-between; align-items: center; gap: var(--spacing-sm); padding: var(--spacing-xs) 0; font-size: var(--font-size-sm);">
+            <span><strong>${CREDENTIAL_DOCUMENT_KINDS[doc.kind] || doc.kind}:</strong> ${escapeHtml(doc.file_name)}</span>
+            <span style="display: flex; gap: var(--spacing-xs);">
+                <button type="button" class="btn btn-secondary btn-sm" onclick="openCredentialDocument('${escapeHtml(doc.storage_path)}')">View</button>
+                ${options.onDelete ? `<button type="button" class="btn btn-danger btn-sm" onclick="${options.onDelete}('${doc.id}')">Delete</button>` : ''}
+            </span>
+        </div>
+    `).join('');
+}
+
+// =====================================================
+// PRIVACY
+// "Download my data" and account deletion for clients and therapists.
+// Both dashboards carry the same #export-data-btn, #delete-account-btn and
+// #account-deletion-status markup in their profile modal;
+// initAccountPrivacy() wires it. Admins complete requests from
+// admin-dashboard.html once the grace period is over.
+// =====================================================
+
+// Mirrors the grace period in request_account_deletion()
+const ACCOUNT_DELETION_GRACE_DAYS = 30;
+
+const ACCOUNT_DELETION_STATUS_LABELS = {
+    pending: 'Grace period',
+    cancelled: 'Cancelled',
+    completed: 'Completed'
+};
+
+let privacyTimeZone = null;
+
+/**
+ * Export everything held about the signed-in user
+ * @returns {Promise<Object>} { data: export document, error }
+ */
+async function exportMyData() {
+    const { data, error } = await supabaseClient.rpc('export_my_data');
+    if (error) {
+        console.error('Error exporting data:', error);
+    }
+    return { data, error };
+}
+
+/**
+ * Get the signed-in user's pending deletion request
+ * @returns {Promise<Object|null>} account_deletion_requests row, or null when there is none
+ */
+async function getAccountDeletionRequest() {
+    try {
+        const { data, error } = await supabaseClient
+            .from('account_deletion_requests')
+            .select('*')
+            .eq('status', 'pending')
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error loading deletion request:', error);
+            return null;
+        }
+        return data;
+    } catch (error) {
+        console.error('Exception loading deletion request:', error);
+        return null;
+    }
+}
+
+/**
+ * Ask for the signed-in user's account to be closed after the grace period
+ * @param {string} reason - Optional reason
+ * @returns {Promise<Object>} { data: request ID, error }
+ */
+async function requestAccountDeletion(reason) {
+    const { data, error } = await supabaseClient.rpc('request_account_deletion', {
+        p_reason: reason || null
+    });
+    if (error) {
+        console.error('Error requesting account deletion:', error);
+    }
+    return { data, error };
+}
+
+/**
+ * Cancel the signed-in user's pending deletion request
+ * @returns {Promise<Object>} { error }
+ */
+async function cancelAccountDeletion() {
+    const { error } = await supabaseClient.rpc('cancel_account_deletion');
+    if (error) {
+        console.error('Error cancelling account deletion:', error);
+    }
+    return { error };
+}
+
+/**
+ * Get deletion requests for the admin queue, soonest first, with the
+ * requester's profile attached as `profile`
+ * @param {string} status - 'pending', 'completed', 'cancelled' or '' for all
+ * @returns {Promise<Array|null>} Requests, or null on error
+ */
+async function getAccountDeletionRequests(status) {
+    try {
+        let query = supabaseClient
+            .from('account_deletion_requests')
+            .select('*')
+            .order('scheduled_for', { ascending: true });
+
+        if (status) query = query.eq('status', status);
+
+        const { data: requests, error } = await query;
+
+        if (error) {
+            console.error('Error loading deletion requests:', error);
+            return null;
+        }
+        if (requests.length === 0) {
+            return [];
+        }
+
+        const { data: profiles, error: profileError } = await supabaseClient
+            .from('profiles')
+            .select('user_id, full_name, email, role')
+            .in('user_id', [...new Set(requests.map(r => r.user_id))]);
+
+        if (profileError) {
+            console.error('Error loading deletion request profiles:', profileError);
+        }
+
+        return requests.map(request => ({
+            ...request,
+            profile: (profiles || []).find(p => p.user_id === request.user_id) || null
+        }));
+    } catch (error) {
+        console.error('Exception loading deletion requests:', error);
+        return null;
+    }
+}
+
+/**
+ * Close an account whose grace period is over (admins only)
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} { error }
+ */
+async function completeAccountDeletion(requestId) {
+    const { error } = await supabaseClient.rpc('complete_account_deletion', {
+        p_request_id: requestId
+    });
+    if (error) {
+        console.error('Error completing account deletion:', error);
+    }
+    return { error };
+}
+
+/**
+ * Render the profile modal's notice for a pending deletion request
+ * @param {Object|null} request - Pending account_deletion_requests row
+ * @param {string} timeZone - Viewer's time zone
+ * @returns {string} HTML (empty when nothing is pending)
+ */
+function renderAccountDeletionStatus(request, timeZone) {
+    if (!request) {
+        return '';
+    }
+    return `
+        <div class="alert alert-warning" style="margin-bottom: var(--spacing-md);">
+            Your account will close on ${formatDate(request.scheduled_for, timeZone)} at ${formatZonedTime(request.scheduled_for, timeZone)}.
+            Upcoming sessions will be cancelled then, and your name and contact details removed.
+            <div style="margin-top: var(--spacing-sm);">
+                <button type="button" class="btn btn-secondary btn-sm" id="cancel-deletion-btn">Keep My Account</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Show whether the signed-in user's account is scheduled to close, and
+ * offer deletion only when it is not
+ * @returns {Promise<void>}
+ */
+async function refreshAccountDeletionStatus() {
+    const request = await getAccountDeletionRequest();
+
+    document.getElementById('account-deletion-status').innerHTML = renderAccountDeletionStatus(request, privacyTimeZone);
+    document.getElementById('delete-account-btn').classList.toggle('hidden', !!request);
+
+    const cancelBtn = document.getElementById('cancel-deletion-btn');
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', handleCancelAccountDeletion);
+    }
+}
+
+/**
+ * Download the signed-in user's data as a JSON file
+ * @returns {Promise<void>}
+ */
+async function handleExportData() {
+    const exportBtn = document.getElementById('export-data-btn');
+
+    exportBtn.disabled = true;
+    exportBtn.textContent = 'Preparing...';
+
+    const { data, error } = await exportMyData();
+
+    exportBtn.disabled = false;
+    exportBtn.textContent = 'Download My Data';
+
+    if (error) {
+        alert(`Failed to export your data: ${error.message}`);
+        return;
+    }
+
+    const today = toZonedDateString(new Date(), privacyTimeZone);
+    downloadFile(JSON.stringify(data, null, 2), `mindspace-data-${today}.json`, 'application/json');
+}
+
+/**
+ * Confirm and request deletion of the signed-in user's account
+ * @returns {Promise<void>}
+ */
+async function handleDeleteAccount() {
+    if (!confirm(`Delete your account? It closes in ${ACCOUNT_DELETION_GRACE_DAYS} days and you can cancel until then. ` +
+        'After that, upcoming sessions are cancelled, your name and contact details are removed, ' +
+        'and so are your support messages, review text and saved card digits. ' +
+        'Sessions, payments, clinical records and your messages with therapists or clients are kept, ' +
+        'without your name or contact details.')) return;
+
+    const reason = prompt('Why are you leaving? (optional)');
+    if (reason === null) return;
+
+    const { error } = await requestAccountDeletion(reason.trim());
+    if (error) {
+        alert(`Failed to request deletion: ${error.message}`);
+        return;
+    }
+
+    await refreshAccountDeletionStatus();
+    showSuccess('Your account is scheduled to close. You can cancel from your profile.');
+}
+
+/**
+ * Cancel the signed-in user's pending deletion request
+ * @returns {Promise<void>}
+ */
+async function handleCancelAccountDeletion() {
+    const { error } = await cancelAccountDeletion();
+    if (error) {
+        alert(`Failed to cancel: ${error.message}`);
+        return;
+    }
+
+    await refreshAccountDeletionStatus();
+    showSuccess('Your account will stay open.');
+}
+
+/**
+ * Wire up the profile modal's data export and account deletion controls
+ * @param {string} timeZone - Viewer's time zone
+ */
+function initAccountPrivacy(timeZone) {
+    privacyTimeZone = timeZone;
+
+    document.getElementById('export-data-btn').addEventListener('click', handleExportData);
+    document.getElementById('delete-account-btn').addEventListener('click', handleDeleteAccount);
+}
+
+// =====================================================
+// SUPPORT
+// The contact page files support tickets. Signed-in senders follow their
+// tickets from #support-modal, which both dashboards carry and
+// initSupportTickets() wires; admins triage and answer them from
+// admin-dashboard.html. Guests get replies by email.
+// =====================================================
+
+// Same options as the contact form's subject select
+const SUPPORT_SUBJECTS = {
+    general: 'General Inquiry',
+    support: 'Technical Support',
+    billing: 'Billing Question',
+    therapist: 'Therapist Application',
+    feedback: 'Feedback',
+    other: 'Other'
+};
+
+const SUPPORT_TICKET_STATUS_LABELS = {
+    open: 'Open',
+    in_progress: 'In progress',
+    closed: 'Closed'
+};
+
+const SUPPORT_TICKET_STATUS_BADGES = {
+    open: 'badge-pending',
+    in_progress: 'badge-confirmed',
+    closed: 'badge-completed'
+};
+
+const SUPPORT_TICKET_PRIORITIES = {
+    low: 'Low',
+    normal: 'Normal',
+    high: 'High',
+    urgent: 'Urgent'
+};
+
+// Mirrors the limit in submit_support_ticket() and reply_to_support_ticket()
+const SUPPORT_MESSAGE_MAX_LENGTH = 5000;
+
+let supportTimeZone = null;
+
+/**
+ * File a message from the contact page. The signed-in user, if any, is
+ * attached by the database.
+ * @param {Object} ticket - { name, email, subject, message }
+ * @returns {Promise<Object>} { data: ticket ID, error }
+ */
+async function submitSupportTicket(ticket) {
+    const { data, error } = await supabaseClient.rpc('submit_support_ticket', {
+        p_name: ticket.name,
+        p_email: ticket.email,
+        p_subject: ticket.subject,
+        p_message: ticket.message
+    });
+    if (error) {
+        console.error('Error submitting support ticket:', error);
+    }
+    return { data, error };
+}
+
+/**
+ * Get the signed-in user's tickets with their replies, newest first
+ * @returns {Promise<Array|null>} Tickets, or null on error
+ */
+async function getMySupportTickets() {
+    try {
+        const { data, error } = await supabaseClient
+            .from('support_tickets')
+            .select('*, support_ticket_replies(*)')
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Error loading support tickets:', error);
+            return null;
+        }
+        return data || [];
+    } catch (error) {
+        console.error('Exception loading support tickets:', error);
+        return null;
+    }
+}
+
+/**
+ * Get tickets for the admin queue with their replies, newest first
+ * @param {Object} filters - { status: 'active' (open or in progress), a status or '' for all,
+ *                             assignedTo: an admin's ID, 'unassigned' or '' for anyone }
+ * @returns {Promise<Array|null>} Tickets, or null on error
+ */
+async function getSupportTickets(filters = {}) {
+    try {
+        let query = supabaseClient
+            .from('support_tickets')
+            .select('*, support_ticket_replies(*)')
+            .order('created_at', { ascending: false });
+
+        if (filters.status === 'active') {
+            query = query.in('status', ['open', 'in_progress']);
+        } else if (filters.status) {
+            query = query.eq('status', filters.status);
+        }
+
+        if (filters.assignedTo === 'unassigned') {
+            query = query.is('assigned_to', null);
+        } else if (filters.assignedTo) {
+            query = query.eq('assigned_to', filters.assignedTo);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Error loading support tickets:', error);
+            return null;
+        }
+        return data || [];
+    } catch (error) {
+        console.error('Exception loading support tickets:', error);
+        return null;
+    }
+}
+
+/**
+ * Reply on a ticket, as support (admins) or as its sender
+ * @param {string} ticketId - Ticket ID
+ * @param {string} body - Reply text
+ * @returns {Promise<Object>} { data: reply ID, error }
+ */
+async function replyToSupportTicket(ticketId, body) {
+    const { data, error } = await supabaseClient.rpc('reply_to_support_ticket', {
+        p_ticket_id: ticketId,
+        p_body: body
+    });
+    if (error) {
+        console.error('Error replying to support ticket:', error);
+    }
+    return { data, error };
+}
+
+/**
+ * Set a ticket's status, priority and assignee (admins only)
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} changes - { status, priority, assignedTo } (assignedTo null to unassign)
+ * @returns {Promise<Object>} { error }
+ */
+async function updateSupportTicket(ticketId, changes) {
+    const { error } = await supabaseClient.rpc('update_support_ticket', {
+        p_ticket_id: ticketId,
+        p_status: changes.status,
+        p_priority: changes.priority,
+        p_assigned_to: changes.assignedTo || null
+    });
+    if (error) {
+        console.error('Error updating support ticket:', error);
+    }
+    return { error };
+}
+
+/**
+ * Render a ticket's conversation: the original message, then the replies
+ * @param {Object} ticket - support_tickets row with support_ticket_replies
+ * @param {string} viewerRole - 'user' (the sender) or 'admin'
+ * @param {string} timeZone - Viewer's time zone
+ * @returns {string} HTML
+ */
+function renderSupportThread(ticket, viewerRole, timeZone) {
+    const sentAt = instant => `${formatDate(instant, timeZone)}, ${formatZonedTime(instant, timeZone)}`;
+    const replies = [...(ticket.support_ticket_replies || [])]
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+    // Each side sees its own messages on the right
+    const entries = [
+        { from_support: false, body: ticket.message, created_at: ticket.created_at },
+        ...replies
+    ].map(entry => {
+        const isOwn = entry.from_support === (viewerRole === 'admin');
+        const author = entry.from_support ? 'MindSpace Support' : (viewerRole === 'admin' ? ticket.name : 'You');
+
+        return `
+            <div class="message ${isOwn ? 'message-own' : ''}">
+                <div class="message-body">${escapeHtml(entry.body)}</div>
+                <div class="message-meta">${escapeHtml(author)} · ${sentAt(entry.created_at)}</div>
+            </div>
+        `;
+    });
+
+    return `<div class="message-list">${entries.join('')}</div>`;
+}
+
+/**
+ * Render the signed-in user's tickets for #support-modal
+ * @param {Array} tickets - Tickets with replies
+ * @param {string} timeZone - Viewer's time zone
+ * @returns {string} HTML
+ */
+function renderSupportTicketList(tickets, timeZone) {
+    if (tickets.length === 0) {
+        return `
+            <p class="text-center" style="color: var(--text-secondary);">
+                You have not contacted support yet. <a href="contact.html">Send us a message</a>.
+            </p>
+        `;
+    }
+
+    return tickets.map(ticket => `
+        <div class="card" style="margin-bottom: var(--spacing-md);">
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: var(--spacing-md); margin-bottom: var(--spacing-sm);">
+                <strong>${SUPPORT_SUBJECTS[ticket.subject] || ticket.subject}</strong>
+                <span class="badge ${SUPPORT_TICKET_STATUS_BADGES[ticket.status] || ''}">${SUPPORT_TICKET_STATUS_LABELS[ticket.status] || ticket.status}</span>
+            </div>
+            ${renderSupportThread(ticket, 'user', timeZone)}
+            ${ticket.status === 'closed' ? `
+                <p class="form-hint">This conversation is closed. <a href="contact.html">Send a new message</a> if you need more help.</p>
+            ` : `
+                <div class="form-group">
+                    <textarea id="support-reply-${ticket.id}" class="form-textarea" rows="2" maxlength="${SUPPORT_MESSAGE_MAX_LENGTH}" placeholder="Add a reply..."></textarea>
+                </div>
+                <button type="button" class="btn btn-primary btn-sm" data-reply-ticket="${ticket.id}">Send Reply</button>
+            `}
+        </div>
+    `).join('');
+}
+
+/**
+ * Reload the tickets in #support-modal
+ * @returns {Promise<void>}
+ */
+async function refreshSupportTickets() {
+    const list = document.getElementById('support-ticket-list');
+    const tickets = await getMySupportTickets();
+
+    if (!tickets) {
+        list.innerHTML = '<div class="error-message">Failed to load your support requests. Please try again.</div>';
+        return;
+    }
+
+    list.innerHTML = renderSupportTicketList(tickets, supportTimeZone);
+}
+
+/**
+ * Open the signed-in user's support requests
+ * @returns {Promise<void>}
+ */
+async function openSupportModal() {
+    document.getElementById('support-error').innerHTML = '';
+    document.getElementById('support-ticket-list').innerHTML = '<div class="loading"><div class="loading-spinner"></div></div>';
+    document.getElementById('support-modal').classList.remove('hidden');
+
+    await refreshSupportTickets();
+}
+
+function closeSupportModal() {
+    document.getElementById('support-modal').classList.add('hidden');
+}
+
+/**
+ * Send the sender's reply typed under a ticket
+ * @param {HTMLButtonElement} button - The ticket's Send Reply button
+ * @returns {Promise<void>}
+ */
+async function handleSupportReply(button) {
+    const ticketId = button.dataset.replyTicket;
+    const errorContainer = document.getElementById('support-error');
+    const body = document.getElementById(`support-reply-${ticketId}`).value.trim();
+
+    errorContainer.innerHTML = '';
+
+    if (!body) {
+        errorContainer.innerHTML = '<div class="error-message">Write a reply first.</div>';
+        return;
+    }
+
+    button.disabled = true;
+    button.textContent = 'Sending...';
+
+    const { error } = await replyToSupportTicket(ticketId, body);
+
+    if (error) {
+        errorContainer.innerHTML = `<div class="error-message">${escapeHtml(error.message)}</div>`;
+        button.disabled = false;
+        button.textContent = 'Send Reply';
+        return;
+    }
+
+    await refreshSupportTickets();
+}
+
+/**
+ * Wire up a dashboard's support requests link and modal
+ * @param {string} timeZone - Viewer's time zone
+ */
+function initSupportTickets(timeZone) {
+    supportTimeZone = timeZone;
+
+    document.getElementById('support-tickets-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        openSupportModal();
+    });
+
+    document.getElementById('support-ticket-list').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-reply-ticket]');
+        if (button) handleSupportReply(button);
+    });
+}
+
+// =====================================================
+// ACCOUNT ADMINISTRATION
+// Suspension, reactivation, role changes and forced sign-out for
+// admin-dashboard.html. Each goes through a database function that checks
+// the rules and records the reason in account_actions. guardDashboard()
+// turns suspended accounts away with showSuspendedAccountPage().
+// =====================================================
+
+const ACCOUNT_ROLE_LABELS = {
+    user: 'Client',
+    therapist: 'Therapist',
+    admin: 'Admin'
+};
+
+const ACCOUNT_STATUS_LABELS = {
+    active: 'Active',
+    suspended: 'Suspended'
+};
+
+const ACCOUNT_ACTION_LABELS = {
+    suspend: 'Suspended',
+    reactivate: 'Reactivated',
+    change_role: 'Role changed',
+    sign_out: 'Signed out'
+};
+
+/**
+ * Get accounts for the admin list, newest first. Closed accounts are left out.
+ * @param {Object} filters - { role: a role or '' for all, status: a status or '' for all }
+ * @returns {Promise<Array|null>} Profiles, or null on error
+ */
+async function getAccounts(filters = {}) {
+    try {
+        let query = supabaseClient
+            .from('profiles')
+            .select('user_id, full_name, email, role, status, status_reason, status_changed_at, created_at')
+            .is('deleted_at', null)
+            .order('created_at', { ascending: false });
+
+        if (filters.role) query = query.eq('role', filters.role);
+        if (filters.status) query = query.eq('status', filters.status);
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Error loading accounts:', error);
+            return null;
+        }
+        return data || [];
+    } catch (error) {
+        console.error('Exception loading accounts:', error);
+        return null;
+    }
+}
+
+/**
+ * Get the admin actions taken on an account, newest first
+ * @param {string} userId - Account's user ID
+ * @returns {Promise<Array|null>} account_actions rows, or null on error
+ */
+async function getAccountActions(userId) {
+    try {
+        const { data, error } = await supabaseClient
+            .from('account_actions')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Error loading account actions:', error);
+            return null;
+        }
+        return data || [];
+    } catch (error) {
+        console.error('Exception loading account actions:', error);
+        return null;
+    }
+}
+
+/**
+ * Suspend a client or therapist account (admins only)
+ * @param {string} userId - Account's user ID
+ * @param {string} reason - Why, shown to the account holder
+ * @returns {Promise<Object>} { error }
+ */
+async function suspendAccount(userId, reason) {
+    const { error } = await supabaseClient.rpc('suspend_account', {
+        p_user_id: userId,
+        p_reason: reason
+    });
+    if (error) {
+        console.error('Error suspending account:', error);
+    }
+    return { error };
+}
+
+/**
+ * Reactivate a suspended account (admins only)
+ * @param {string} userId - Account's user ID
+ * @param {string} reason - Why
+ * @returns {Promise<Object>} { error }
+ */
+async function reactivateAccount(userId, reason) {
+    const { error } = await supabaseClient.rpc('reactivate_account', {
+        p_user_id: userId,
+        p_reason: reason
+    });
+    if (error) {
+        console.error('Error reactivating account:', error);
+    }
+    return { error };
+}
+
+/**
+ * Change an account's role (admins only)
+ * @param {string} userId - Account's user ID
+ * @param {string} role - 'user', 'therapist' or 'admin'
+ * @param {string} reason - Why
+ * @returns {Promise<Object>} { error }
+ */
+async function changeAccountRole(userId, role, reason) {
+    const { error } = await supabaseClient.rpc('change_account_role', {
+        p_user_id: userId,
+        p_role: role,
+        p_reason: reason
+    });
+    if (error) {
+        console.error('Error changing account role:', error);
+    }
+    return { error };
+}
+
+/**
+ * Sign an account out of every device (admins only)
+ * @param {string} userId - Account's user ID
+ * @param {string} reason - Why
+ * @returns {Promise<Object>} { error }
+ */
+async function forceSignOut(userId, reason) {
+    const { error } = await supabaseClient.rpc('force_sign_out', {
+        p_user_id: userId,
+        p_reason: reason
+    });
+    if (error) {
+        console.error('Error signing account out:', error);
+    }
+    return { error };
+}
+
+/**
+ * Describe an account action for the history list
+ * @param {Object} action - account_actions row
+ * @returns {string} Text, e.g. 'Role changed from Client to Admin'
+ */
+function describeAccountAction(action) {
+    const label = ACCOUNT_ACTION_LABELS[action.action] || action.action;
+    if (action.action === 'change_role') {
+        return `${label} from ${ACCOUNT_ROLE_LABELS[action.old_role] || action.old_role} to ${ACCOUNT_ROLE_LABELS[action.new_role] || action.new_role}`;
+    }
+    return label;
+}
+
+// =====================================================
+// RISK ESCALATION
+// Therapists raise risk flags on clients; therapists and admins record each
+// step in the flag's trail. The database functions check who may act and
+// notify everyone else on the flag. Clients never see flags, only the crisis
+// resources banner (initCrisisBanner()) while one is open.
+// =====================================================
+
+const RISK_SEVERITY_LABELS = {
+    low: 'Low',
+    moderate: 'Moderate',
+    high: 'High',
+    imminent: 'Imminent'
+};
+
+// Badge colours reuse the booking status palette
+const RISK_SEVERITY_BADGES = {
+    low: 'badge-confirmed',
+    moderate: 'badge-pending',
+    high: 'badge-no_show',
+    imminent: 'badge-cancelled'
+};
+
+const RISK_FLAG_ACTION_LABELS = {
+    raised: 'Flag raised',
+    note: 'Note',
+    severity_changed: 'Severity changed',
+    contacted_client: 'Contacted the client',
+    contacted_emergency_contact: 'Contacted the emergency contact',
+    contacted_emergency_services: 'Contacted emergency services',
+    resolved: 'Resolved',
+    reopened: 'Reopened'
+};
+
+const RISK_NOTES_MAX_LENGTH = 5000;
+
+// Crisis lines by country, as published by each service. Review them when
+// adding a region. 'default' is used when the country is unknown.
+const CRISIS_RESOURCES = {
+    US: {
+        region: 'the United States',
+        emergency: '911',
+        lines: [
+            { name: '988 Suicide & Crisis Lifeline', detail: 'Call or text 988', href: 'tel:988' },
+            { name: 'Crisis Text Line', detail: 'Text HOME to 741741', href: 'sms:741741' }
+        ]
+    },
+    CA: {
+        region: 'Canada',
+        emergency: '911',
+        lines: [
+            { name: '9-8-8 Suicide Crisis Helpline', detail: 'Call or text 988', href: 'tel:988' }
+        ]
+    },
+    GB: {
+        region: 'the United Kingdom',
+        emergency: '999',
+        lines: [
+            { name: 'Samaritans', detail: 'Call 116 123', href: 'tel:116123' },
+            { name: 'Shout', detail: 'Text SHOUT to 85258', href: 'sms:85258' }
+        ]
+    },
+    IE: {
+        region: 'Ireland',
+        emergency: '112',
+        lines: [
+            { name: 'Samaritans', detail: 'Call 116 123', href: 'tel:116123' },
+            { name: '50808', detail: 'Text HELLO to 50808', href: 'sms:50808' }
+        ]
+    },
+    AU: {
+        region: 'Australia',
+        emergency: '000',
+        lines: [
+            { name: 'Lifeline', detail: 'Call 13 11 14', href: 'tel:131114' }
+        ]
+    },
+    NZ: {
+        region: 'New Zealand',
+        emergency: '111',
+        lines: [
+            { name: 'Need to talk?', detail: 'Call or text 1737', href: 'tel:1737' }
+        ]
+    },
+    IN: {
+        region: 'India',
+        emergency: '112',
+        lines: [
+            { name: 'Tele MANAS', detail: 'Call 14416', href: 'tel:14416' }
+        ]
+    },
+    default: {
+        region: null,
+        emergency: null,
+        lines: [
+            { name: 'Find A Helpline', detail: 'Free, confidential crisis lines in your country', href: 'https://findahelpline.com' }
+        ]
+    }
+};
+
+// Profiles store a time zone, not a country, so the country is inferred
+// from it. Exact names first, then prefixes.
+const CRISIS_TIME_ZONE_COUNTRIES = {
+    'America/New_York': 'US',
+    'America/Chicago': 'US',
+    'America/Denver': 'US',
+    'America/Phoenix': 'US',
+    'America/Los_Angeles': 'US',
+    'America/Anchorage': 'US',
+    'America/Juneau': 'US',
+    'America/Adak': 'US',
+    'America/Detroit': 'US',
+    'America/Boise': 'US',
+    'Pacific/Honolulu': 'US',
+    'America/Toronto': 'CA',
+    'America/Vancouver': 'CA',
+    'America/Edmonton': 'CA',
+    'America/Winnipeg': 'CA',
+    'America/Regina': 'CA',
+    'America/Halifax': 'CA',
+    'America/Moncton': 'CA',
+    'America/St_Johns': 'CA',
+    'America/Whitehorse': 'CA',
+    'Europe/London': 'GB',
+    'Europe/Belfast': 'GB',
+    'Europe/Dublin': 'IE',
+    'Pacific/Auckland': 'NZ',
+    'Pacific/Chatham': 'NZ',
+    'Asia/Kolkata': 'IN',
+    'Asia/Calcutta': 'IN'
+};
+
+const CRISIS_TIME_ZONE_PREFIXES = [
+    ['America/Indiana/', 'US'],
+    ['America/Kentucky/', 'US'],
+    ['America/North_Dakota/', 'US'],
+    ['US/', 'US'],
+    ['Canada/', 'CA'],
+    ['Australia/', 'AU']
+];
+
+/**
+ * Get the crisis lines for a time zone's country
+ * @param {string} timeZone - IANA time zone, e.g. 'Europe/London'
+ * @returns {Object} CRISIS_RESOURCES entry (the default one when unknown)
+ */
+function getCrisisResources(timeZone) {
+    let country = CRISIS_TIME_ZONE_COUNTRIES[timeZone];
+    if (!country && timeZone) {
+        const match = CRISIS_TIME_ZONE_PREFIXES.find(([prefix]) => timeZone.startsWith(prefix));
+        country = match ? match[1] : null;
+    }
+    return CRISIS_RESOURCES[country] || CRISIS_RESOURCES.default;
+}
+
+/**
+ * Render the emergency number and crisis lines for a time zone's country
+ * @param {string} timeZone - IANA time zone of the person the lines are for
+ * @returns {string} HTML list
+ */
+function renderCrisisResources(timeZone) {
+    const resources = getCrisisResources(timeZone);
+    return `
+        <ul style="margin: var(--spacing-xs) 0 0; padding-left: var(--spacing-lg);">
+            <li>
+                <strong>Emergency:</strong>
+                ${resources.emergency ? `call <a href="tel:${resources.emergency}">${resources.emergency}</a>` : 'call your local emergency number'}
+            </li>
+            ${resources.lines.map(line => `
+                <li>
+                    <a href="${line.href}"${line.href.startsWith('http') ? ' target="_blank" rel="noopener"' : ''}><strong>${line.name}</strong></a>: ${line.detail}
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+/**
+ * Get risk flags, most recently updated first. RLS limits therapists to the
+ * flags they raised.
+ * @param {Object} filters - { status: 'open', 'resolved' or '' for all, userId: a client }
+ * @returns {Promise<Array|null>} risk_flags rows, or null on error
+ */
+async function getRiskFlags(filters = {}) {
+    try {
+        let query = supabaseClient
+            .from('risk_flags')
+            .select('*')
+            .order('updated_at', { ascending: false });
+
+        if (filters.status) query = query.eq('status', filters.status);
+        if (filters.userId) query = query.eq('user_id', filters.userId);
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Error loading risk flags:', error);
+            return null;
+        }
+        return data || [];
+    } catch (error) {
+        console.error('Exception loading risk flags:', error);
+        return null;
+    }
+}
+
+/**
+ * Get a risk flag's escalation trail, oldest first
+ * @param {string} flagId - Risk flag ID
+ * @returns {Promise<Array|null>} risk_flag_events rows, or null on error
+ */
+async function getRiskFlagEvents(flagId) {
+    try {
+        const { data, error } = await supabaseClient
+            .from('risk_flag_events')
+            .select('*')
+            .eq('flag_id', flagId)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('Error loading risk flag events:', error);
+            return null;
+        }
+        return data || [];
+    } catch (error) {
+        console.error('Exception loading risk flag events:', error);
+        return null;
+    }
+}
+
+/**
+ * Raise a risk flag on one of the therapist's clients
+ * @param {string} userId - Client's user ID
+ * @param {string} severity - 'low', 'moderate', 'high' or 'imminent'
+ * @param {string} notes - What the therapist saw and did
+ * @param {string|null} bookingId - Session it came up in
+ * @returns {Promise<Object>} { data: new flag ID, error }
+ */
+async function raiseRiskFlag(userId, severity, notes, bookingId = null) {
+    const { data, error } = await supabaseClient.rpc('raise_risk_flag', {
+        p_user_id: userId,
+        p_severity: severity,
+        p_notes: notes,
+        p_booking_id: bookingId
+    });
+    if (error) {
+        console.error('Error raising risk flag:', error);
+    }
+    return { data, error };
+}
+
+/**
+ * Record the next step on a risk flag
+ * @param {string} flagId - Risk flag ID
+ * @param {string} action - A RISK_FLAG_ACTION_LABELS key other than 'raised'
+ * @param {string} notes - What was done
+ * @param {string|null} severity - New severity, for 'severity_changed'
+ * @returns {Promise<Object>} { error }
+ */
+async function updateRiskFlag(flagId, action, notes, severity = null) {
+    const { error } = await supabaseClient.rpc('update_risk_flag', {
+        p_flag_id: flagId,
+        p_action: action,
+        p_notes: notes,
+        p_severity: severity
+    });
+    if (error) {
+        console.error('Error updating risk flag:', error);
+    }
+    return { error };
+}
+
+/**
+ * Get the flagged client's contact details and emergency contact. Each call
+ * is logged as a view of their profile.
+ * @param {string} flagId - Risk flag ID
+ * @returns {Promise<Object>} { data: contact or null, error }
+ */
+async function getRiskFlagContact(flagId) {
+    const { data, error } = await supabaseClient.rpc('get_risk_flag_contact', {
+        p_flag_id: flagId
+    });
+    if (error) {
+        console.error('Error loading emergency contact:', error);
+    }
+    return { data: data && data.length ? data[0] : null, error };
+}
+
+/**
+ * Render a flagged client's contact details, emergency contact and the
+ * crisis lines for their time zone
+ * @param {Object} contact - Row from getRiskFlagContact()
+ * @returns {string} HTML
+ */
+function renderRiskFlagContact(contact) {
+    const phone = value => value ? `<a href="tel:${escapeHtml(value.replace(/[^\d+]/g, ''))}">${escapeHtml(value)}</a>` : 'not given';
+    const resources = getCrisisResources(contact.time_zone);
+
+    return `
+        <div class="grid grid-cols-2" style="gap: var(--spacing-md); margin-bottom: var(--spacing-md);">
+            <div>
+                <strong>Client</strong>
+                <div>${escapeHtml(contact.full_name || contact.email || 'Unknown')}</div>
+                <div style="font-size: var(--font-size-sm);">Phone: ${phone(contact.phone)}</div>
+                ${contact.email ? `<div style="font-size: var(--font-size-sm);">${escapeHtml(contact.email)}</div>` : ''}
+                ${contact.city ? `<div style="font-size: var(--font-size-sm); color: var(--text-secondary);">${escapeHtml(contact.city)} · ${escapeHtml(contact.time_zone || '')}</div>` : ''}
+            </div>
+            <div>
+                <strong>Emergency contact</strong>
+                ${contact.emergency_contact_name || contact.emergency_contact_phone ? `
+                    <div>${escapeHtml(contact.emergency_contact_name || 'Name not given')}</div>
+                    <div style="font-size: var(--font-size-sm);">Phone: ${phone(contact.emergency_contact_phone)}</div>
+                ` : '<div style="color: var(--text-secondary);">None on file</div>'}
+            </div>
+        </div>
+        <div style="margin-bottom: var(--spacing-md);">
+            <strong>Crisis lines${resources.region ? ` in ${resources.region}` : ''}</strong>
+            <span style="font-size: var(--font-size-sm); color: var(--text-secondary);">(from the client's time zone)</span>
+            ${renderCrisisResources(contact.time_zone)}
+        </div>
+    `;
+}
+
+/**
+ * Render a risk flag's escalation trail
+ * @param {Array} events - risk_flag_events rows, oldest first
+ * @param {string} timeZone - Viewer's time zone
+ * @param {Function} describeActor - (event) => name to show for who acted
+ * @returns {string} HTML
+ */
+function renderRiskFlagTrail(events, timeZone, describeActor) {
+    if (events.length === 0) {
+        return '<p class="form-hint">Nothing recorded yet.</p>';
+    }
+
+    return `
+        <ol class="timeline">
+            ${events.map(event => `
+                <li class="timeline-item">
+                    <div>
+                        <strong>${RISK_FLAG_ACTION_LABELS[event.action] || event.action}</strong>
+                        by ${escapeHtml(describeActor(event))}
+                        ${event.action === 'raised' || event.action === 'severity_changed' ? `<span class="badge ${RISK_SEVERITY_BADGES[event.severity] || ''}">${RISK_SEVERITY_LABELS[event.severity] || event.severity}</span>` : ''}
+                    </div>
+                    <div style="white-space: pre-wrap;">${escapeHtml(event.notes)}</div>
+                    <div class="message-meta">${formatDate(event.created_at, timeZone)}, ${formatZonedTime(event.created_at, timeZone)}</div>
+                </li>
+            `).join('')}
+        </ol>
+    `;
+}
+
+/**
+ * Whether the signed-in client has an open risk flag
+ * @returns {Promise<boolean>} False on error
+ */
+async function hasOpenRiskFlag() {
+    const { data, error } = await supabaseClient.rpc('has_open_risk_flag');
+    if (error) {
+        console.error('Error checking risk flags:', error);
+        return false;
+    }
+    return Boolean(data);
+}
+
+/**
+ * Show crisis resources in #crisis-banner while the client has an open risk
+ * flag. The banner cannot be dismissed and does not mention the flag.
+ * @param {string} timeZone - Client's time zone, used to pick the crisis lines
+ */
+async function initCrisisBanner(timeZone) {
+    const banner = document.getElementById('crisis-banner');
+    if (!banner || !(await hasOpenRiskFlag())) return;
+
+    banner.innerHTML = `
+        <div class="alert alert-warning" role="region" aria-label="Crisis support" style="margin-bottom: var(--spacing-lg);">
+            <strong>You don't have to go through a hard time alone.</strong>
+            If you are in danger or thinking about harming yourself, please reach out now. These services are free and confidential:
+            ${renderCrisisResources(timeZone)}
+            <div style="margin-top: var(--spacing-sm);">You can also message your therapist from any of your sessions below.</div>
+        </div>
+    `;
+}
+
+// =====================================================
+// CALENDAR EXPORT (iCalendar / RFC 5545)
+// =====================================================
+
+/**
+ * Format an instant as an iCalendar UTC date-time (YYYYMMDDTHHMMSSZ)
+ * @param {string|Date} instant - Timestamp
+ * @returns {string} iCalendar date-time
+ */
+function formatIcsTimestamp(instant) {
+    return new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a value for an iCalendar TEXT property
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeIcsText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r/g, '')
+        .replace(/\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets, as iCalendar requires
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line ending in CRLF
+ */
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    let result = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        if (octets + size > 75) {
+            result += '\r\n ';
+            octets = 1;
+        }
+        result += char;
+        octets += size;
+    }
+    return result + '\r\n';
+}
+
+/**
+ * Build the content lines of a VEVENT for a booking. The UID matches the one
+ * used by the calendar_feed() function, so a downloaded event and a feed
+ * subscription update the same calendar entry.
+ * @param {Object} booking - Booking row
+ * @param {string} summary - Event title
+ * @returns {Array<string>} Unfolded content lines
+ */
+function buildBookingIcsEvent(booking, summary) {
+    const statusMap = { pending: 'TENTATIVE', cancelled: 'CANCELLED', rejected: 'CANCELLED', no_show: 'CANCELLED' };
+    const description = booking.meeting_link
+        ? `MindSpace therapy session\nJoin: ${booking.meeting_link}`
+        : 'MindSpace therapy session';
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:booking-${booking.id}@mindspace`,
+        `DTSTAMP:${formatIcsTimestamp(booking.updated_at || booking.created_at || new Date())}`,
+        `DTSTART:${formatIcsTimestamp(booking.starts_at)}`,
+        `DTEND:${formatIcsTimestamp(booking.ends_at)}`,
+        `SEQUENCE:${booking.calendar_sequence || 0}`,
+        `STATUS:${statusMap[booking.status] || 'CONFIRMED'}`,
+        `SUMMARY:${escapeIcsText(summary)}`,
+        `DESCRIPTION:${escapeIcsText(description)}`
+    ];
+    if (booking.meeting_link) {
+        lines.push(`URL:${booking.meeting_link}`);
+        lines.push(`LOCATION:${escapeIcsText(booking.meeting_link)}`);
+    }
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Wrap VEVENT lines in a VCALENDAR document
+ * @param {Array<string>} eventLines - Content lines from buildBookingIcsEvent
+ * @returns {string} iCalendar document
+ */
+function buildIcsCalendar(eventLines) {
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//MindSpace//Sessions//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        ...eventLines,
+        'END:VCALENDAR'
+    ].map(foldIcsLine).join('');
+}
+
+/**
+ * Download a single booking as an .ics file
+ * @param {Object} booking - Booking row
+ * @param {string} summary - Event title
+ */
+function downloadBookingIcs(booking, summary) {
+    const ics = buildIcsCalendar(buildBookingIcsEvent(booking, summary));
+    downloadFile(ics, `mindspace-session-${toZonedDateString(booking.starts_at, 'UTC')}.ics`, 'text/calendar;charset=utf-8');
+}
+
+/**
+ * Build the subscribable feed URL for a feed token. Calendar apps can't send
+ * headers, so the anon key goes in the query string.
+ * @param {string} token - Feed token
+ * @returns {string} Feed URL
+ */
+function getCalendarFeedUrl(token) {
+    const params = new URLSearchParams({ token, apikey: SUPABASE_ANON_KEY });
+    return `${SUPABASE_URL}/rest/v1/rpc/calendar_feed?${params.toString()}`;
+}
+
+/**
+ * Get the current user's calendar feed URL, issuing a token on first use
+ * @param {boolean} reset - Replace the token so old subscriptions stop working
+ * @returns {Promise<string|null>} Feed URL or null on error
+ */
+async function fetchCalendarFeedUrl(reset = false) {
+    try {
+        const { data, error } = await supabaseClient.rpc(
+            reset ? 'reset_calendar_feed_token' : 'get_calendar_feed_token'
+        );
+
+        if (error) {
+            console.error('Error fetching calendar feed token:', error);
+            return null;
+        }
+        return getCalendarFeedUrl(data);
+    } catch (error) {
+        console.error('Exception fetching calendar feed token:', error);
+        return null;
+    }
+}
+
 // =====================================================
 // EXPORT FOR MODULES (if using ES modules)
 // =====================================================
@@ -382,6 +4037,7 @@ if (typeof module !== 'undefined' && module.exports) {
         hasRole,
         guardDashboard,
         redirectByRole,
+        showSuspendedAccountPage,
         formatDate,
         formatTime,
         formatCurrency,
@@ -393,6 +4049,198 @@ if (typeof module !== 'undefined' && module.exports) {
         showError,
         showSuccess,
         clearMessages,
-        debounce
+        debounce,
+        downloadFile,
+        getBrowserTimeZone,
+        getTimeZoneLabel,
+        getTimeZoneOffset,
+        zonedTimeToDate,
+        toZonedDateString,
+        formatZonedTime,
+        formatCounterpartTime,
+        getTimeZoneNames,
+        populateTimeZoneSelect,
+        getTimeZones,
+        DAY_NAMES,
+        toDateString,
+        shiftDateString,
+        getAvailableSlots,
+        getBookingErrorMessage,
+        groupSlotsByDate,
+        getFollowingOccurrences,
+        describeSeriesOccurrence,
+        describeCancellationPolicy,
+        getLateCancellationFee,
+        formatBookingStatus,
+        REMINDER_OFFSET_OPTIONS,
+        formatReminderOffset,
+        BOOKING_ACTOR_LABELS,
+        getBookingHistory,
+        renderBookingTimeline,
+        toggleBookingTimeline,
+        RESCHEDULE_MAX_SLOTS,
+        RESCHEDULE_STATUS_LABELS,
+        getRescheduleProposals,
+        proposeReschedule,
+        acceptRescheduleProposal,
+        declineRescheduleProposal,
+        readProposedSlots,
+        renderRescheduleThread,
+        describeRescheduleChange,
+        PAYMENT_STATUS_LABELS,
+        getRefundedCents,
+        getCollectedCents,
+        chargePayment,
+        escapeHtml,
+        buildInvoiceHtml,
+        downloadInvoice,
+        MESSAGE_ATTACHMENT_MAX_BYTES,
+        MESSAGE_ATTACHMENT_TYPES,
+        openMessageThread,
+        getThreadMessages,
+        validateMessageAttachment,
+        sendMessage,
+        markThreadRead,
+        getUnreadMessageCounts,
+        openMessageAttachment,
+        renderMessageList,
+        NOTIFICATION_EVENTS,
+        getNotifications,
+        getUnreadNotificationCount,
+        markNotificationsRead,
+        getNotificationPreferences,
+        renderNotificationList,
+        renderNotificationPreferences,
+        refreshNotificationCount,
+        openNotificationsModal,
+        closeNotificationsModal,
+        markAllNotificationsRead,
+        saveNotificationPreferences,
+        initNotificationBell,
+        subscribeToChanges,
+        applyRowChange,
+        describeBookingChange,
+        AUDIT_TABLES,
+        AUDIT_ACTION_LABELS,
+        AUDIT_LOG_LIMIT,
+        logRecordView,
+        getAuditLog,
+        formatAuditValue,
+        describeAuditChanges,
+        toCsvCell,
+        buildAuditCsv,
+        ANALYTICS_INTERVALS,
+        ANALYTICS_MAX_DAYS,
+        getAdminAnalytics,
+        formatPercent,
+        formatAnalyticsPeriod,
+        renderAnalyticsFunnel,
+        renderAnalyticsBarChart,
+        formatCsvAmount,
+        buildAnalyticsPeriodsCsv,
+        buildAnalyticsTherapistsCsv,
+        REVIEW_STATUS_LABELS,
+        REVIEW_COMMENT_MAX_LENGTH,
+        renderStars,
+        renderTherapistRating,
+        getTherapistReviews,
+        THERAPIST_SORT_OPTIONS,
+        THERAPIST_GENDERS,
+        THERAPIST_LANGUAGES,
+        THERAPIST_SEARCH_PARAMS,
+        THERAPIST_SEARCH_PAGE_SIZE,
+        getTherapistSearchFilters,
+        buildTherapistSearchQuery,
+        searchTherapists,
+        renderLanguageCheckboxes,
+        getCheckedLanguages,
+        MATCH_CONCERNS,
+        MATCH_AVAILABILITY_OPTIONS,
+        matchTherapists,
+        ASSESSMENT_RESPONSE_OPTIONS,
+        ASSESSMENT_INSTRUMENTS,
+        ASSESSMENT_SEVERITY_LABELS,
+        ASSESSMENT_SEVERITY_BADGES,
+        renderSeverityBadge,
+        renderScoreTrend,
+        CLINICAL_NOTE_TEMPLATES,
+        CLINICAL_NOTE_LOCK_HOURS,
+        CLINICAL_NOTE_SECTION_MAX_LENGTH,
+        isClinicalNoteLocked,
+        describeClinicalNoteStatus,
+        CREDENTIAL_DOCUMENT_KINDS,
+        CREDENTIAL_DOCUMENT_MAX_BYTES,
+        CREDENTIAL_DOCUMENT_TYPES,
+        LICENSE_EXPIRY_WARNING_DAYS,
+        validateCredentialDocument,
+        uploadCredentialDocument,
+        getCredentialDocuments,
+        deleteCredentialDocument,
+        openCredentialDocument,
+        getLicenseDaysRemaining,
+        renderLicenseStatus,
+        renderCredentialDocuments,
+        ACCOUNT_DELETION_GRACE_DAYS,
+        ACCOUNT_DELETION_STATUS_LABELS,
+        exportMyData,
+        getAccountDeletionRequest,
+        requestAccountDeletion,
+        cancelAccountDeletion,
+        getAccountDeletionRequests,
+        completeAccountDeletion,
+        renderAccountDeletionStatus,
+        refreshAccountDeletionStatus,
+        initAccountPrivacy,
+        SUPPORT_SUBJECTS,
+        SUPPORT_TICKET_STATUS_LABELS,
+        SUPPORT_TICKET_STATUS_BADGES,
+        SUPPORT_TICKET_PRIORITIES,
+        SUPPORT_MESSAGE_MAX_LENGTH,
+        submitSupportTicket,
+        getMySupportTickets,
+        getSupportTickets,
+        replyToSupportTicket,
+        updateSupportTicket,
+        renderSupportThread,
+        renderSupportTicketList,
+        refreshSupportTickets,
+        openSupportModal,
+        closeSupportModal,
+        handleSupportReply,
+        initSupportTickets,
+        ACCOUNT_ROLE_LABELS,
+        ACCOUNT_STATUS_LABELS,
+        ACCOUNT_ACTION_LABELS,
+        getAccounts,
+        getAccountActions,
+        suspendAccount,
+        reactivateAccount,
+        changeAccountRole,
+        forceSignOut,
+        describeAccountAction,
+        RISK_SEVERITY_LABELS,
+        RISK_SEVERITY_BADGES,
+        RISK_FLAG_ACTION_LABELS,
+        RISK_NOTES_MAX_LENGTH,
+        CRISIS_RESOURCES,
+        getCrisisResources,
+        renderCrisisResources,
+        getRiskFlags,
+        getRiskFlagEvents,
+        raiseRiskFlag,
+        updateRiskFlag,
+        getRiskFlagContact,
+        renderRiskFlagContact,
+        renderRiskFlagTrail,
+        hasOpenRiskFlag,
+        initCrisisBanner,
+        formatIcsTimestamp,
+        escapeIcsText,
+        foldIcsLine,
+        buildBookingIcsEvent,
+        buildIcsCalendar,
+        downloadBookingIcs,
+        getCalendarFeedUrl,
+        fetchCalendarFeedUrl
     };
 }
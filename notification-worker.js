@@ -0,0 +1,308 @@
+/**
+ * MindSpace Teletherapy Platform - Notification Worker
+ * On every poll it queues due session reminders (send_due_reminders) and
+ * license expiry warnings (process_license_expiries, which also deactivates
+ * therapists whose license has lapsed), refreshes therapists' cached next
+ * open slot (refresh_next_available_slots), disables sign-in for accounts an
+ * admin has closed (complete_account_deletion), bans or unbans suspended and
+ * reactivated accounts (suspend_account / reactivate_account), then drains
+ * the email/SMS outbox (notification_deliveries) and hands each send to a
+ * transport. Needs Node 18+ (built-in fetch) and the service role key,
+ * so run it on a server, never in the browser:
+ *
+ *   SUPABASE_URL=https://<project>.supabase.co \
+ *   SUPABASE_SERVICE_ROLE_KEY=<service role key> \
+ *   node notification-worker.js [--once] [--now=<ISO timestamp>]
+ *
+ * --now runs the reminder and license jobs against a simulated clock, e.g.
+ * --now=2026-03-01T08:00:00Z sends whatever would be due at that moment.
+ * Each later poll advances the simulated clock by the poll interval.
+ *
+ * Environment:
+ *   NOTIFY_EMAIL_TRANSPORT  Transport for email (default: console)
+ *   NOTIFY_SMS_TRANSPORT    Transport for SMS (default: console)
+ *   NOTIFY_OUTBOX_FILE      File used by the 'file' transport (default: notifications.log)
+ *   NOTIFY_POLL_SECONDS     Seconds between polls (default: 30)
+ */
+
+const fs = require('fs');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const OUTBOX_FILE = process.env.NOTIFY_OUTBOX_FILE || 'notifications.log';
+const POLL_SECONDS = Number(process.env.NOTIFY_POLL_SECONDS) || 30;
+const BATCH_SIZE = 20;
+
+// =====================================================
+// TRANSPORTS
+// Each transport exposes send(delivery) and throws on failure. To add a
+// real provider (SMTP, SendGrid, Twilio, ...) add an entry here and select
+// it with NOTIFY_EMAIL_TRANSPORT / NOTIFY_SMS_TRANSPORT.
+// =====================================================
+
+const transports = {
+    // Development stand-in: print the message
+    console: {
+        async send(delivery) {
+            console.log(`[${delivery.channel}] to ${delivery.destination}: ${formatMessage(delivery)}`);
+        }
+    },
+
+    // Development stand-in: append the message to a local file as JSON lines
+    file: {
+        async send(delivery) {
+            const entry = {
+                sent_at: new Date().toISOString(),
+                channel: delivery.channel,
+                to: delivery.destination,
+                event_type: delivery.event_type,
+                subject: delivery.title,
+                text: formatMessage(delivery)
+            };
+            fs.appendFileSync(OUTBOX_FILE, JSON.stringify(entry) + '\n');
+        }
+    }
+};
+
+/**
+ * Build the message text for a delivery. SMS gets the short form.
+ * @param {Object} delivery - Row from claim_notification_deliveries()
+ * @returns {string} Message text
+ */
+function formatMessage(delivery) {
+    if (delivery.channel === 'sms') {
+        return `MindSpace: ${delivery.body}`;
+    }
+    return `${delivery.title}\n\n${delivery.body}${delivery.link ? `\n\nOpen MindSpace: ${delivery.link}` : ''}`;
+}
+
+/**
+ * Pick the configured transport for a channel
+ * @param {string} channel - 'email' or 'sms'
+ * @returns {Object} Transport
+ */
+function getTransport(channel) {
+    const name = channel === 'sms'
+        ? (process.env.NOTIFY_SMS_TRANSPORT || 'console')
+        : (process.env.NOTIFY_EMAIL_TRANSPORT || 'console');
+
+    if (!transports[name]) {
+        throw new Error(`Unknown ${channel} transport: ${name}`);
+    }
+    return transports[name];
+}
+
+// =====================================================
+// OUTBOX
+// =====================================================
+
+/**
+ * Call a database function through PostgREST with the service role key
+ * @param {string} fn - Function name
+ * @param {Object} params - Named parameters
+ * @returns {Promise<any>} Parsed response body
+ */
+async function rpc(fn, params) {
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/rpc/${fn}`, {
+        method: 'POST',
+        headers: {
+            apikey: SERVICE_ROLE_KEY,
+            Authorization: `Bearer ${SERVICE_ROLE_KEY}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(params)
+    });
+
+    if (!response.ok) {
+        throw new Error(`${fn} failed: ${response.status} ${await response.text()}`);
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+}
+
+/**
+ * Queue the session reminders that are due at a given time
+ * @param {Date} now - Job clock (real or simulated)
+ * @returns {Promise<number>} Number of reminders queued
+ */
+async function sendDueReminders(now) {
+    return rpc('send_due_reminders', { p_now: now.toISOString() });
+}
+
+/**
+ * Warn about expiring licenses and deactivate lapsed therapists
+ * @param {Date} now - Job clock (real or simulated)
+ * @returns {Promise<number>} Number of therapists warned or deactivated
+ */
+async function processLicenseExpiries(now) {
+    return rpc('process_license_expiries', { p_now: now.toISOString() });
+}
+
+/**
+ * Refresh the cached next open slot of therapists whose slot has passed, so
+ * searches sorted by availability stay accurate as time moves on
+ * @returns {Promise<number>} Number of therapists refreshed
+ */
+async function refreshNextAvailableSlots() {
+    return rpc('refresh_next_available_slots', {});
+}
+
+/**
+ * Disable sign-in for closed accounts. The auth user is kept (profiles and
+ * the records that must be retained hang off it) but banned, and its email
+ * and metadata are replaced so the address can sign up again. An account
+ * that fails is logged and retried on the next poll.
+ * @returns {Promise<number>} Number of accounts updated
+ */
+async function removeDeletedLogins() {
+    const pending = await rpc('get_pending_login_removals', {});
+    let updated = 0;
+
+    for (const account of pending) {
+        try {
+            await updateAuthUser(account.user_id, {
+                email: account.email,
+                email_confirm: true,
+                user_metadata: {},
+                ban_duration: '876000h'
+            });
+            await rpc('mark_login_removed', { p_request_id: account.request_id });
+            updated++;
+        } catch (error) {
+            console.error(`Error disabling sign-in for closed account ${account.user_id}:`, error);
+        }
+    }
+
+    return updated;
+}
+
+/**
+ * Ban suspended accounts from signing in and lift the ban on reactivated
+ * ones, in the order the admins acted. A change that fails is logged and
+ * retried on the next poll; later changes to the same account wait for it,
+ * so they are never applied out of order.
+ * @returns {Promise<number>} Number of changes applied
+ */
+async function syncLoginBans() {
+    const pending = await rpc('get_pending_login_bans', {});
+    const failedUsers = new Set();
+    let applied = 0;
+
+    for (const change of pending) {
+        if (failedUsers.has(change.user_id)) continue;
+        try {
+            await updateAuthUser(change.user_id, { ban_duration: change.banned ? '876000h' : 'none' });
+            await rpc('mark_login_ban_synced', { p_action_id: change.action_id });
+            applied++;
+        } catch (error) {
+            console.error(`Error syncing sign-in ban for account ${change.user_id}:`, error);
+            failedUsers.add(change.user_id);
+        }
+    }
+
+    return applied;
+}
+
+/**
+ * Update an auth user through the Supabase admin API
+ * @param {string} userId - Auth user ID
+ * @param {Object} attributes - Attributes to change
+ */
+async function updateAuthUser(userId, attributes) {
+    const response = await fetch(`${SUPABASE_URL}/auth/v1/admin/users/${userId}`, {
+        method: 'PUT',
+        headers: {
+            apikey: SERVICE_ROLE_KEY,
+            Authorization: `Bearer ${SERVICE_ROLE_KEY}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(attributes)
+    });
+
+    if (!response.ok) {
+        throw new Error(`Updating auth user ${userId} failed: ${response.status} ${await response.text()}`);
+    }
+}
+
+/**
+ * Claim and send one batch of deliveries
+ * @returns {Promise<number>} Number of deliveries processed
+ */
+async function processBatch() {
+    const deliveries = await rpc('claim_notification_deliveries', { p_limit: BATCH_SIZE });
+
+    for (const delivery of deliveries) {
+        let sendError = null;
+        try {
+            await getTransport(delivery.channel).send(delivery);
+        } catch (error) {
+            console.error(`Error sending ${delivery.channel} ${delivery.delivery_id}:`, error);
+            sendError = error.message || String(error);
+        }
+        await rpc('complete_notification_delivery', {
+            p_delivery_id: delivery.delivery_id,
+            p_error: sendError
+        });
+    }
+
+    return deliveries.length;
+}
+
+async function main() {
+    if (!SUPABASE_URL || !SERVICE_ROLE_KEY) {
+        console.error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set');
+        process.exit(1);
+    }
+
+    const once = process.argv.includes('--once');
+    const nowArg = process.argv.find(arg => arg.startsWith('--now='));
+    const clockOffsetMs = nowArg ? new Date(nowArg.slice('--now='.length)).getTime() - Date.now() : 0;
+
+    if (isNaN(clockOffsetMs)) {
+        console.error('--now must be an ISO timestamp, e.g. --now=2026-03-01T08:00:00Z');
+        process.exit(1);
+    }
+
+    do {
+        try {
+            const now = new Date(Date.now() + clockOffsetMs);
+            const reminders = await sendDueReminders(now);
+            if (reminders > 0) {
+                console.log(`Queued ${reminders} reminder(s) at ${now.toISOString()}`);
+            }
+            const licenses = await processLicenseExpiries(now);
+            if (licenses > 0) {
+                console.log(`Processed ${licenses} license expiry notice(s) at ${now.toISOString()}`);
+            }
+            const slots = await refreshNextAvailableSlots();
+            if (slots > 0) {
+                console.log(`Refreshed the next open slot of ${slots} therapist(s)`);
+            }
+            const logins = await removeDeletedLogins();
+            if (logins > 0) {
+                console.log(`Disabled sign-in for ${logins} closed account(s)`);
+            }
+            const bans = await syncLoginBans();
+            if (bans > 0) {
+                console.log(`Updated sign-in bans for ${bans} suspended or reactivated account(s)`);
+            }
+
+            // Keep draining while full batches come back
+            while (await processBatch() === BATCH_SIZE) { /* next batch */ }
+        } catch (error) {
+            console.error('Exception processing outbox:', error);
+            if (once) process.exitCode = 1;
+        }
+
+        if (!once) {
+            await new Promise(resolve => setTimeout(resolve, POLL_SECONDS * 1000));
+        }
+    } while (!once);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { transports, formatMessage, sendDueReminders, processLicenseExpiries, refreshNextAvailableSlots, removeDeletedLogins, syncLoginBans, processBatch };
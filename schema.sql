@@ -5,6 +5,7 @@
 -- EXTENSIONS
 -- =====================================================
 extension if not exists "uuid-ossp";
+create extension if not exists btree_gist;
 
 -- =====================================================
 -- TABLE: profiles (lowercase)
@@ -23,8 +24,13 @@ create table if not exists public.profiles (
     emergency_contact_name text null,
     emergency_contact_phone text null,
     profile_picture_url text null,
-    status text null,
+    time_zone text not null default 'UTC',  -- IANA name, e.g. 'America/New_York'
+    status text not null default 'active' check (status in ('active', 'suspended')),
+    status_reason text null,  -- why the account was last suspended or reactivated
+    status_changed_at timestamp with time zone null,
+    status_changed_by uuid null references public.profiles(user_id) on delete set null,
     approved boolean null,
+    deleted_at timestamp with time zone null,  -- account closed; personal details scrubbed
     created_at timestamp with time zone default now(),
     updated_at timestamp with time zone default now()
 );
@@ -43,12 +49,54 @@ create table if not exists public."Therapists" (
     fee integer not null check (fee >= 0),
     bio text null,
     experience integer null check (experience >= 0),
-    license text null,
+    license text null,  -- qualifications, e.g. 'Licensed Psychologist, PhD'
+    license_number text null,
+    license_issuer text null,  -- issuing state or board
+    license_expires_on date null,
+    -- Set when an admin approves the current license details; cleared when the therapist changes them
+    license_verified_at timestamp with time zone null,
+    license_verified_by uuid null references public.profiles(user_id) on delete set null,
+    gender text null check (gender in ('male', 'female', 'non-binary', 'prefer-not-to-say')),
+    languages text[] not null default '{English}',
+    session_length integer not null default 50 check (session_length between 15 and 240),
+    cancellation_window_hours integer not null default 24 check (cancellation_window_hours between 0 and 168),
+    late_cancel_fee_percent integer not null default 50 check (late_cancel_fee_percent between 0 and 100),
+    no_show_fee_percent integer not null default 100 check (no_show_fee_percent between 0 and 100),
+    -- Minutes before a confirmed session that reminders go out (5 minutes to 7 days)
+    reminder_offsets_minutes integer[] not null default '{1440,60}'
+        check (cardinality(reminder_offsets_minutes) <= 6
+               and 5 <= all (reminder_offsets_minutes)
+               and 10080 >= all (reminder_offsets_minutes)),
     "Active" boolean default true,
     approval_status text default 'pending' check (approval_status in ('pending', 'approved', 'rejected')),
+    -- Approved reviews, kept up to date by refresh_therapist_rating()
+    rating_average numeric(3, 2) null,
+    rating_count integer not null default 0,
+    -- Full-text search over name, specialization and bio (search_therapists())
+    search_vector tsvector generated always as (
+        setweight(to_tsvector('english', coalesce("Name", '')), 'A') ||
+        setweight(to_tsvector('english', coalesce("Specialization", '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(bio, '')), 'B')
+    ) stored,
     created_at timestamp with time zone default now()
 );
 
+-- =====================================================
+-- TABLE: booking_series
+-- Purpose: A recurring run of sessions with the same therapist; each
+-- occurrence is its own Bookings row pointing back here
+-- =====================================================
+create table if not exists public.booking_series (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.profiles(user_id) on delete cascade,
+    therapist_id uuid not null references public."Therapists"(id) on delete cascade,
+    frequency text not null check (frequency in ('weekly', 'biweekly')),
+    occurrence_count integer null check (occurrence_count between 2 and 12),
+    until_date date null,
+    created_at timestamp with time zone default now(),
+    check (occurrence_count is not null or until_date is not null)
+);
+
 -- =====================================================
 -- TABLE: Bookings (Capital B)
 -- Purpose: Stores all therapy session bookings/appointments
@@ -57,29 +105,570 @@ create table if not exists public."Bookings" (
     id uuid primary key default gen_random_uuid(),
     user_id uuid not null references public.profiles(user_id) on delete cascade,
     therapist_id uuid not null references public."Therapists"(id) on delete cascade,
-    session_date date not null,
-    start_time text not null,
-    end_time text null,
+    series_id uuid null references public.booking_series(id) on delete set null,
+    starts_at timestamp with time zone not null,
+    ends_at timestamp with time zone not null,
     amount integer not null check (amount >= 0),
-    status text default 'pending' check (status in ('pending', 'confirmed', 'completed', 'cancelled', 'rejected')),
+    status text default 'pending' check (status in ('pending', 'confirmed', 'completed', 'cancelled', 'rejected', 'no_show')),
+    status_reason text null,  -- reason given with the latest status change, copied into booking_status_history
     patient_name text null,
     patient_email text null,
     problem_description text null,
     meeting_link text null,
     session_notes text null,
     next_session_notes text null,
-    reschedule_requested boolean default false,
-    reschedule_new_date date null,
-    reschedule_new_start_time text null,
-    reschedule_reason text null,
-    therapist_reschedule_requested boolean default false,
-    therapist_reschedule_date date null,
-    therapist_reschedule_time text null,
-    therapist_reschedule_reason text null,
+    calendar_sequence integer not null default 0,  -- iCalendar SEQUENCE, bumped when the event changes
+    cancelled_at timestamp with time zone null,
+    late_cancellation boolean not null default false,
+    fee_cents integer not null default 0 check (fee_cents >= 0),  -- late-cancel / no-show fee kept
+    created_at timestamp with time zone default now(),
+    updated_at timestamp with time zone default now(),
+    check (ends_at > starts_at),
+    -- A therapist can never hold two active sessions that overlap
+    constraint bookings_no_overlap exclude using gist (
+        therapist_id with =,
+        tstzrange(starts_at, ends_at) with &&
+    ) where (status in ('pending', 'confirmed'))
+);
+
+-- =====================================================
+-- TABLE: therapist_availability
+-- Purpose: Recurring weekly working hours for each therapist,
+-- in the therapist's profile time zone
+-- =====================================================
+create table if not exists public.therapist_availability (
+    id uuid primary key default gen_random_uuid(),
+    therapist_id uuid not null references public."Therapists"(id) on delete cascade,
+    day_of_week smallint not null check (day_of_week between 0 and 6),  -- 0 = Sunday
+    start_time time not null,
+    end_time time not null,
+    created_at timestamp with time zone default now(),
+    check (end_time > start_time)
+);
+
+-- =====================================================
+-- TABLE: therapist_availability_exceptions
+-- Purpose: Vacations and one-off blocks that override weekly hours
+-- =====================================================
+create table if not exists public.therapist_availability_exceptions (
+    id uuid primary key default gen_random_uuid(),
+    therapist_id uuid not null references public."Therapists"(id) on delete cascade,
+    start_date date not null,
+    end_date date not null,
+    start_time time null,  -- null start/end time blocks the whole day
+    end_time time null,
+    reason text null,
+    created_at timestamp with time zone default now(),
+    check (end_date >= start_date),
+    check (
+        (start_time is null and end_time is null) or
+        (start_time is not null and end_time is not null and end_time > start_time)
+    )
+);
+
+-- =====================================================
+-- TABLE: therapist_next_slots
+-- Purpose: Each therapist's first open slot, cached so search can sort by
+-- availability without working out every therapist's calendar. Kept up to
+-- date by refresh_next_available_slots().
+-- =====================================================
+create table if not exists public.therapist_next_slots (
+    therapist_id uuid primary key references public."Therapists"(id) on delete cascade,
+    next_slot timestamp with time zone null,  -- null when nothing is open in the next 90 days
+    refreshed_at timestamp with time zone not null default now()
+);
+
+-- =====================================================
+-- TABLE: calendar_feeds
+-- Purpose: Secret token behind each user's subscribable iCalendar feed
+-- =====================================================
+create table if not exists public.calendar_feeds (
+    user_id uuid primary key references public.profiles(user_id) on delete cascade,
+    token text not null unique default replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', ''),
+    created_at timestamp with time zone default now()
+);
+
+-- =====================================================
+-- TABLE: payments
+-- Purpose: One payment per booking. Amounts are stored in cents;
+-- Bookings.amount / Therapists.fee are whole dollars.
+-- =====================================================
+create table if not exists public.payments (
+    id uuid primary key default gen_random_uuid(),
+    booking_id uuid not null unique references public."Bookings"(id) on delete cascade,
+    user_id uuid not null references public.profiles(user_id) on delete cascade,
+    therapist_id uuid not null references public."Therapists"(id) on delete cascade,
+    amount_cents integer not null check (amount_cents >= 0),
+    currency text not null default 'usd',
+    status text not null default 'pending' check (status in ('pending', 'succeeded', 'failed', 'void', 'refunded', 'partially_refunded')),
+    provider text not null default 'mock',
+    provider_payment_id text null,
+    card_last4 text null,
+    failure_reason text null,
+    paid_at timestamp with time zone null,
+    created_at timestamp with time zone default now(),
+    updated_at timestamp with time zone default now()
+);
+
+-- =====================================================
+-- TABLE: invoices
+-- Purpose: Invoice issued for each booking; doubles as the receipt once
+-- the payment succeeds
+-- =====================================================
+create sequence if not exists public.invoice_number_seq;
+
+create table if not exists public.invoices (
+    id uuid primary key default gen_random_uuid(),
+    invoice_number text not null unique
+        default 'INV-' || to_char(now(), 'YYYY') || '-' || lpad(nextval('public.invoice_number_seq')::text, 6, '0'),
+    booking_id uuid not null unique references public."Bookings"(id) on delete cascade,
+    payment_id uuid not null references public.payments(id) on delete cascade,
+    user_id uuid not null references public.profiles(user_id) on delete cascade,
+    therapist_id uuid not null references public."Therapists"(id) on delete cascade,
+    description text not null,
+    amount_cents integer not null check (amount_cents >= 0),
+    issued_at timestamp with time zone default now()
+);
+
+-- =====================================================
+-- TABLE: refunds
+-- Purpose: Money returned against a payment
+-- =====================================================
+create table if not exists public.refunds (
+    id uuid primary key default gen_random_uuid(),
+    payment_id uuid not null references public.payments(id) on delete cascade,
+    booking_id uuid not null references public."Bookings"(id) on delete cascade,
+    amount_cents integer not null check (amount_cents > 0),
+    reason text null,
+    status text not null default 'pending' check (status in ('pending', 'succeeded', 'failed')),
+    provider_refund_id text null,
+    created_at timestamp with time zone default now()
+);
+
+-- =====================================================
+-- TABLE: message_threads
+-- Purpose: One conversation per client/therapist relationship
+-- =====================================================
+create table if not exists public.message_threads (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.profiles(user_id) on delete cascade,
+    therapist_id uuid not null references public."Therapists"(id) on delete cascade,
+    last_message_at timestamp with time zone null,
+    created_at timestamp with time zone default now(),
+    unique (user_id, therapist_id)
+);
+
+-- =====================================================
+-- TABLE: messages
+-- Purpose: Messages in a thread. Attachments live in the private
+-- 'message-attachments' storage bucket under <thread_id>/
+-- =====================================================
+create table if not exists public.messages (
+    id uuid primary key default gen_random_uuid(),
+    thread_id uuid not null references public.message_threads(id) on delete cascade,
+    sender_id uuid not null references public.profiles(user_id) on delete cascade,
+    body text null,
+    attachment_path text null,
+    attachment_name text null,
+    attachment_type text null,
+    attachment_size integer null,
+    read_at timestamp with time zone null,  -- set when the other participant opens the thread
+    created_at timestamp with time zone default now(),
+    check (coalesce(length(trim(body)), 0) > 0 or attachment_path is not null)
+);
+
+-- =====================================================
+-- TABLE: account_actions
+-- Purpose: Admin actions on an account (suspension, reactivation, role
+-- changes, forced sign-out), each with its reason. Written by the account
+-- administration functions only.
+-- =====================================================
+create table if not exists public.account_actions (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.profiles(user_id) on delete cascade,
+    action text not null check (action in ('suspend', 'reactivate', 'change_role', 'sign_out')),
+    reason text not null check (char_length(reason) between 1 and 1000),
+    old_role text null,
+    new_role text null,
+    actor_id uuid null references public.profiles(user_id) on delete set null,
+    created_at timestamp with time zone default now(),
+    login_synced_at timestamp with time zone null  -- sign-in ban applied or lifted by notification-worker.js
+);
+
+-- =====================================================
+-- TABLE: support_tickets
+-- Purpose: Messages sent from the contact page. user_id is set when the
+-- sender was signed in; guests are answered by email.
+-- =====================================================
+create table if not exists public.support_tickets (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid null references public.profiles(user_id) on delete set null,
+    name text not null check (char_length(name) between 1 and 200),
+    email text not null check (char_length(email) between 3 and 320),
+    subject text not null default 'general' check (subject in (
+        'general', 'support', 'billing', 'therapist', 'feedback', 'other'
+    )),
+    message text not null check (char_length(message) between 1 and 5000),
+    status text not null default 'open' check (status in ('open', 'in_progress', 'closed')),
+    priority text not null default 'normal' check (priority in ('low', 'normal', 'high', 'urgent')),
+    assigned_to uuid null references public.profiles(user_id) on delete set null,  -- an admin
+    created_at timestamp with time zone default now(),
+    updated_at timestamp with time zone default now(),
+    closed_at timestamp with time zone null
+);
+
+-- =====================================================
+-- TABLE: support_ticket_replies
+-- Purpose: Conversation on a ticket, between support and the sender
+-- =====================================================
+create table if not exists public.support_ticket_replies (
+    id uuid primary key default gen_random_uuid(),
+    ticket_id uuid not null references public.support_tickets(id) on delete cascade,
+    author_id uuid null references public.profiles(user_id) on delete set null,
+    from_support boolean not null,
+    body text not null check (char_length(body) between 1 and 5000),
+    created_at timestamp with time zone default now()
+);
+
+-- =====================================================
+-- TABLE: notifications
+-- Purpose: Outbox of booking and account events. One row per event per
+-- recipient; it shows in the in-app bell and fans out to the email/SMS rows
+-- in notification_deliveries.
+-- =====================================================
+create table if not exists public.notifications (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.profiles(user_id) on delete cascade,
+    event_type text not null check (event_type in (
+        'booking_requested', 'booking_confirmed', 'booking_rejected', 'booking_cancelled',
+        'booking_completed', 'booking_no_show', 'reschedule_requested', 'reschedule_suggested',
+        'reschedule_accepted', 'reschedule_declined', 'therapist_applied', 'therapist_approved',
+        'therapist_rejected', 'session_reminder', 'assessment_assigned', 'assessment_completed',
+        'assessment_risk', 'license_expiring', 'license_expired', 'account_deletion_requested',
+        'support_ticket_opened', 'support_ticket_replied', 'account_suspended', 'account_reactivated',
+        'risk_flag_raised', 'risk_flag_updated'
+    )),
+    title text not null,
+    body text not null,
+    link text null,
+    booking_id uuid null references public."Bookings"(id) on delete cascade,
+    in_app boolean not null default true,  -- false when the recipient only wants email/SMS
+    read_at timestamp with time zone null,
+    created_at timestamp with time zone default now()
+);
+
+-- =====================================================
+-- TABLE: notification_deliveries
+-- Purpose: Email/SMS sends waiting for notification-worker.js
+-- =====================================================
+create table if not exists public.notification_deliveries (
+    id uuid primary key default gen_random_uuid(),
+    notification_id uuid null references public.notifications(id) on delete cascade,
+    support_reply_id uuid null references public.support_ticket_replies(id) on delete cascade,  -- reply emailed to a guest
+    channel text not null check (channel in ('email', 'sms')),
+    destination text not null,
+    status text not null default 'pending' check (status in ('pending', 'sending', 'sent', 'failed')),
+    attempts integer not null default 0,
+    last_error text null,
+    claimed_at timestamp with time zone null,
+    sent_at timestamp with time zone null,
+    created_at timestamp with time zone default now(),
+    unique (notification_id, channel),
+    unique (support_reply_id, channel),
+    check ((notification_id is null) <> (support_reply_id is null))
+);
+
+-- =====================================================
+-- TABLE: notification_preferences
+-- Purpose: Per-event channel choices. Events without a row use the
+-- defaults: in-app and email on, SMS off.
+-- =====================================================
+create table if not exists public.notification_preferences (
+    user_id uuid not null references public.profiles(user_id) on delete cascade,
+    event_type text not null check (event_type in (
+        'booking_requested', 'booking_confirmed', 'booking_rejected', 'booking_cancelled',
+        'booking_completed', 'booking_no_show', 'reschedule_requested', 'reschedule_suggested',
+        'reschedule_accepted', 'reschedule_declined', 'therapist_applied', 'therapist_approved',
+        'therapist_rejected', 'session_reminder', 'assessment_assigned', 'assessment_completed',
+        'assessment_risk', 'license_expiring', 'license_expired', 'account_deletion_requested',
+        'support_ticket_opened', 'support_ticket_replied', 'account_suspended', 'account_reactivated',
+        'risk_flag_raised', 'risk_flag_updated'
+    )),
+    in_app boolean not null default true,
+    email boolean not null default true,
+    sms boolean not null default false,
+    updated_at timestamp with time zone default now(),
+    primary key (user_id, event_type)
+);
+
+-- =====================================================
+-- TABLE: session_reminders
+-- Purpose: Log of reminders processed by send_due_reminders(), one per
+-- booking, recipient, offset and start time (a moved session gets fresh
+-- reminders)
+-- =====================================================
+create table if not exists public.session_reminders (
+    id uuid primary key default gen_random_uuid(),
+    booking_id uuid not null references public."Bookings"(id) on delete cascade,
+    recipient_id uuid not null references public.profiles(user_id) on delete cascade,
+    offset_minutes integer not null,
+    starts_at timestamp with time zone not null,
+    -- sent: queued as a notification; skipped: a closer reminder was already due;
+    -- muted: the recipient turned reminders off
+    status text not null check (status in ('sent', 'skipped', 'muted')),
+    notification_id uuid null references public.notifications(id) on delete set null,
+    sent_at timestamp with time zone not null,  -- job clock time, which may be simulated
+    unique (booking_id, recipient_id, offset_minutes, starts_at)
+);
+
+-- =====================================================
+-- TABLE: booking_status_transitions
+-- Purpose: The booking lifecycle. Each row is a legal status change and a
+-- role allowed to make it; enforce_booking_lifecycle() rejects anything else.
+-- 'system' covers changes made without a signed-in user (service role).
+-- =====================================================
+create table if not exists public.booking_status_transitions (
+    from_status text not null,
+    to_status text not null,
+    actor_role text not null check (actor_role in ('user', 'therapist', 'admin', 'system')),
+    primary key (from_status, to_status, actor_role)
+);
+
+insert into public.booking_status_transitions (from_status, to_status, actor_role) values
+    ('pending', 'confirmed', 'therapist'),
+    ('pending', 'confirmed', 'admin'),
+    ('pending', 'confirmed', 'system'),
+    ('pending', 'rejected', 'therapist'),
+    ('pending', 'rejected', 'admin'),
+    ('pending', 'rejected', 'system'),
+    ('pending', 'cancelled', 'user'),
+    ('pending', 'cancelled', 'admin'),
+    ('pending', 'cancelled', 'system'),
+    ('confirmed', 'cancelled', 'user'),
+    ('confirmed', 'cancelled', 'therapist'),
+    ('confirmed', 'cancelled', 'admin'),
+    ('confirmed', 'cancelled', 'system'),
+    ('confirmed', 'completed', 'therapist'),
+    ('confirmed', 'completed', 'admin'),
+    ('confirmed', 'completed', 'system'),
+    ('confirmed', 'no_show', 'therapist'),
+    ('confirmed', 'no_show', 'admin')
+on conflict do nothing;
+
+-- =====================================================
+-- TABLE: booking_status_history
+-- Purpose: Append-only log of every booking status change
+-- =====================================================
+create table if not exists public.booking_status_history (
+    id uuid primary key default gen_random_uuid(),
+    booking_id uuid not null references public."Bookings"(id) on delete cascade,
+    actor_id uuid null references public.profiles(user_id) on delete set null,
+    actor_role text not null check (actor_role in ('user', 'therapist', 'admin', 'system')),
+    from_status text null,  -- null when the booking was created
+    to_status text not null,
+    reason text null,
+    created_at timestamp with time zone default now()
+);
+
+-- =====================================================
+-- TABLE: reschedule_proposals
+-- Purpose: Reschedule negotiation on a booking. Each row is one round: either
+-- side proposes one or more start times, and the other side accepts one,
+-- declines, or counter-proposes (which closes this round as 'countered').
+-- At most one proposal per booking is open. Rows are written only through
+-- propose_reschedule(), accept_reschedule() and decline_reschedule().
+-- =====================================================
+create table if not exists public.reschedule_proposals (
+    id uuid primary key default gen_random_uuid(),
+    booking_id uuid not null references public."Bookings"(id) on delete cascade,
+    proposed_by uuid null references public.profiles(user_id) on delete set null,
+    proposer_role text not null check (proposer_role in ('user', 'therapist')),
+    slots timestamp with time zone[] not null check (cardinality(slots) between 1 and 3),
+    scope text not null default 'single' check (scope in ('single', 'following')),
+    reason text null check (char_length(reason) <= 1000),
+    session_starts_at timestamp with time zone not null,  -- session time when proposed
+    status text not null default 'open' check (status in ('open', 'accepted', 'declined', 'countered', 'withdrawn', 'closed')),
+    accepted_starts_at timestamp with time zone null,
+    responded_by uuid null references public.profiles(user_id) on delete set null,
+    responded_at timestamp with time zone null,
+    created_at timestamp with time zone default now()
+);
+
+-- =====================================================
+-- TABLE: audit_log
+-- Purpose: Append-only record of who changed or viewed profiles, Therapists
+-- and Bookings rows. Updates keep only the columns that changed.
+-- =====================================================
+create table if not exists public.audit_log (
+    id uuid primary key default gen_random_uuid(),
+    table_name text not null check (table_name in ('profiles', 'Therapists', 'Bookings')),
+    record_id uuid not null,
+    action text not null check (action in ('insert', 'update', 'delete', 'view', 'export', 'erase')),
+    actor_id uuid null,  -- no foreign key, so entries outlive the account
+    actor_role text not null check (actor_role in ('user', 'therapist', 'admin', 'system')),
+    old_data jsonb null,  -- whole row on delete, changed columns on update
+    new_data jsonb null,  -- whole row on insert, changed columns on update
+    created_at timestamp with time zone default now()
+);
+
+-- =====================================================
+-- TABLE: reviews
+-- Purpose: A client's star rating and optional review of a completed
+-- session. Reviews are public once an admin approves them.
+-- =====================================================
+create table if not exists public.reviews (
+    id uuid primary key default gen_random_uuid(),
+    booking_id uuid not null unique references public."Bookings"(id) on delete cascade,
+    user_id uuid not null references public.profiles(user_id) on delete cascade,
+    therapist_id uuid not null references public."Therapists"(id) on delete cascade,
+    rating integer not null check (rating between 1 and 5),
+    comment text null check (char_length(comment) <= 2000),
+    status text not null default 'pending' check (status in ('pending', 'approved', 'rejected')),
+    moderation_note text null,  -- shown to the client when a review is rejected
+    moderated_by uuid null references public.profiles(user_id) on delete set null,
+    moderated_at timestamp with time zone null,
+    created_at timestamp with time zone default now(),
+    updated_at timestamp with time zone default now()
+);
+
+-- =====================================================
+-- TABLE: assessments
+-- Purpose: A standardized questionnaire (PHQ-9 or GAD-7) a therapist assigns
+-- to a client. score_assessment() scores the answers when the client submits.
+-- =====================================================
+create table if not exists public.assessments (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.profiles(user_id) on delete cascade,
+    therapist_id uuid not null references public."Therapists"(id) on delete cascade,
+    instrument text not null check (instrument in ('phq9', 'gad7')),
+    status text not null default 'assigned' check (status in ('assigned', 'completed', 'cancelled')),
+    due_at timestamp with time zone null,
+    responses integer[] null,  -- one answer (0-3) per item, in questionnaire order
+    score integer null,
+    severity text null check (severity in ('minimal', 'mild', 'moderate', 'moderately_severe', 'severe')),
+    risk_flag boolean not null default false,  -- PHQ-9 item 9 (thoughts of self-harm) answered above 0
+    risk_reviewed_at timestamp with time zone null,  -- set when the therapist acknowledges the flag
+    assigned_at timestamp with time zone default now(),
+    completed_at timestamp with time zone null
+);
+
+-- =====================================================
+-- TABLE: clinical_notes
+-- Purpose: A therapist's private, structured note for one session. Never
+-- visible to the client (their summary is Bookings.next_session_notes).
+-- Editable until signed, or until locks_at; after that only addenda.
+-- =====================================================
+create table if not exists public.clinical_notes (
+    id uuid primary key default gen_random_uuid(),
+    booking_id uuid not null unique references public."Bookings"(id) on delete cascade,
+    therapist_id uuid not null references public."Therapists"(id) on delete cascade,
+    user_id uuid not null references public.profiles(user_id) on delete cascade,
+    template text not null default 'soap' check (template in ('soap', 'dap')),
+    content jsonb not null default '{}',  -- section key -> text, e.g. {"subjective": "..."}
+    signed_at timestamp with time zone null,
+    locks_at timestamp with time zone not null,  -- session end + 72 hours, set by validate_clinical_note()
     created_at timestamp with time zone default now(),
     updated_at timestamp with time zone default now()
 );
 
+-- =====================================================
+-- TABLE: clinical_note_addenda
+-- Purpose: Append-only corrections and additions to a locked clinical note
+-- =====================================================
+create table if not exists public.clinical_note_addenda (
+    id uuid primary key default gen_random_uuid(),
+    note_id uuid not null references public.clinical_notes(id) on delete cascade,
+    therapist_id uuid not null references public."Therapists"(id) on delete cascade,
+    body text not null check (char_length(body) between 1 and 5000),
+    created_at timestamp with time zone default now()
+);
+
+-- =====================================================
+-- TABLE: risk_flags
+-- Purpose: A therapist's concern that a client may be at risk of harm. Admins
+-- are told straight away; what happens next is kept in risk_flag_events.
+-- Never visible to the client.
+-- =====================================================
+create table if not exists public.risk_flags (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.profiles(user_id) on delete cascade,
+    therapist_id uuid null references public."Therapists"(id) on delete set null,  -- who raised it
+    booking_id uuid null references public."Bookings"(id) on delete set null,  -- session it came up in
+    severity text not null check (severity in ('low', 'moderate', 'high', 'imminent')),
+    status text not null default 'open' check (status in ('open', 'resolved')),
+    created_at timestamp with time zone default now(),
+    updated_at timestamp with time zone default now(),  -- last event on the flag
+    resolved_at timestamp with time zone null
+);
+
+-- =====================================================
+-- TABLE: risk_flag_events
+-- Purpose: Append-only escalation trail for a risk flag: who did what, when,
+-- and why. Written only by raise_risk_flag() and update_risk_flag().
+-- =====================================================
+create table if not exists public.risk_flag_events (
+    id uuid primary key default gen_random_uuid(),
+    flag_id uuid not null references public.risk_flags(id) on delete cascade,
+    action text not null check (action in (
+        'raised', 'note', 'severity_changed', 'contacted_client', 'contacted_emergency_contact',
+        'contacted_emergency_services', 'resolved', 'reopened'
+    )),
+    severity text not null check (severity in ('low', 'moderate', 'high', 'imminent')),  -- severity after this event
+    notes text not null check (char_length(notes) between 1 and 5000),
+    actor_id uuid null references public.profiles(user_id) on delete set null,
+    actor_role text not null check (actor_role in ('therapist', 'admin')),
+    created_at timestamp with time zone default now()
+);
+
+-- =====================================================
+-- TABLE: credential_documents
+-- Purpose: License and ID files a therapist uploaded for verification. The
+-- files live in the private credential-documents storage bucket.
+-- =====================================================
+create table if not exists public.credential_documents (
+    id uuid primary key default gen_random_uuid(),
+    therapist_id uuid not null references public."Therapists"(id) on delete cascade,
+    kind text not null check (kind in ('license', 'id')),
+    storage_path text not null unique,  -- '<therapist id>/<uuid>-<file name>'
+    file_name text not null,
+    file_type text not null,
+    file_size integer not null check (file_size > 0),
+    created_at timestamp with time zone default now()
+);
+
+-- =====================================================
+-- TABLE: license_expiry_notices
+-- Purpose: Log of license expiry warnings sent by process_license_expiries(),
+-- one per therapist, expiry date and warning threshold
+-- =====================================================
+create table if not exists public.license_expiry_notices (
+    therapist_id uuid not null references public."Therapists"(id) on delete cascade,
+    expires_on date not null,
+    days_before integer not null,
+    created_at timestamp with time zone default now(),
+    primary key (therapist_id, expires_on, days_before)
+);
+
+-- =====================================================
+-- TABLE: account_deletion_requests
+-- Purpose: A user's request to close their account. It can be cancelled
+-- until scheduled_for, after which an admin completes it with
+-- complete_account_deletion().
+-- =====================================================
+create table if not exists public.account_deletion_requests (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.profiles(user_id) on delete cascade,
+    role text not null check (role in ('user', 'therapist')),
+    reason text null check (char_length(reason) <= 1000),
+    status text not null default 'pending' check (status in ('pending', 'cancelled', 'completed')),
+    requested_at timestamp with time zone not null default now(),
+    scheduled_for timestamp with time zone not null,  -- end of the grace period
+    cancelled_at timestamp with time zone null,
+    completed_at timestamp with time zone null,
+    completed_by uuid null references public.profiles(user_id) on delete set null,
+    login_removed_at timestamp with time zone null  -- sign-in disabled by notification-worker.js
+);
+
 -- =====================================================
 -- INDEXES FOR PERFORMANCE
 -- =====================================================
@@ -94,7 +683,70 @@ create index if not exists idx_therapists_specialization on public."Therapists"(
 create index if not exists idx_bookings_user_id on public."Bookings"(user_id);
 create index if not exists idx_bookings_therapist_id on public."Bookings"(therapist_id);
 create index if not exists idx_bookings_status on public."Bookings"(status);
-create index if not exists idx_bookings_session_date on public."Bookings"(session_date);
+create index if not exists idx_bookings_starts_at on public."Bookings"(starts_at);
+create index if not exists idx_bookings_series_id on public."Bookings"(series_id);
+
+create index if not exists idx_payments_user_id on public.payments(user_id);
+create index if not exists idx_payments_therapist_id on public.payments(therapist_id);
+create index if not exists idx_payments_status on public.payments(status);
+create index if not exists idx_invoices_user_id on public.invoices(user_id);
+create index if not exists idx_refunds_payment_id on public.refunds(payment_id);
+
+create index if not exists idx_message_threads_therapist_id on public.message_threads(therapist_id);
+create index if not exists idx_messages_thread_id on public.messages(thread_id, created_at);
+
+create index if not exists idx_notifications_user_id on public.notifications(user_id, created_at);
+create index if not exists idx_notification_deliveries_pending on public.notification_deliveries(created_at) where status in ('pending', 'sending');
+
+create index if not exists idx_booking_status_history_booking_id on public.booking_status_history(booking_id, created_at);
+create index if not exists idx_reschedule_proposals_booking_id on public.reschedule_proposals(booking_id, created_at);
+create unique index if not exists idx_reschedule_proposals_one_open on public.reschedule_proposals(booking_id) where status = 'open';
+
+create index if not exists idx_therapists_rating on public."Therapists"(rating_average desc nulls last, rating_count desc);
+create index if not exists idx_therapists_fee on public."Therapists"(fee);
+create index if not exists idx_therapists_search on public."Therapists" using gin(search_vector);
+create index if not exists idx_therapists_languages on public."Therapists" using gin(languages);
+create index if not exists idx_therapists_license_expires_on on public."Therapists"(license_expires_on);
+
+create index if not exists idx_credential_documents_therapist_id on public.credential_documents(therapist_id);
+
+create index if not exists idx_reviews_therapist_id on public.reviews(therapist_id, status);
+create index if not exists idx_reviews_user_id on public.reviews(user_id);
+
+create index if not exists idx_audit_log_created_at on public.audit_log(created_at);
+create index if not exists idx_audit_log_record on public.audit_log(table_name, record_id);
+create index if not exists idx_audit_log_actor_id on public.audit_log(actor_id);
+
+create index if not exists idx_assessments_user_id on public.assessments(user_id, status);
+create index if not exists idx_assessments_therapist_id on public.assessments(therapist_id, user_id, completed_at);
+create index if not exists idx_assessments_risk on public.assessments(therapist_id) where risk_flag and risk_reviewed_at is null;
+
+create index if not exists idx_clinical_notes_therapist_id on public.clinical_notes(therapist_id, user_id);
+create index if not exists idx_clinical_note_addenda_note_id on public.clinical_note_addenda(note_id, created_at);
+
+create index if not exists idx_risk_flags_status on public.risk_flags(status, updated_at);
+create index if not exists idx_risk_flags_user_id on public.risk_flags(user_id) where status = 'open';
+create unique index if not exists idx_risk_flags_one_open
+    on public.risk_flags(therapist_id, user_id) where status = 'open';
+create index if not exists idx_risk_flag_events_flag_id on public.risk_flag_events(flag_id, created_at);
+
+create index if not exists idx_session_reminders_booking_id on public.session_reminders(booking_id);
+
+create index if not exists idx_account_deletion_requests_status on public.account_deletion_requests(status, scheduled_for);
+create unique index if not exists idx_account_deletion_requests_one_pending
+    on public.account_deletion_requests(user_id) where status = 'pending';
+
+create index if not exists idx_account_actions_user_id on public.account_actions(user_id, created_at);
+create index if not exists idx_account_actions_login_sync on public.account_actions(created_at)
+    where action in ('suspend', 'reactivate') and login_synced_at is null;
+
+create index if not exists idx_support_tickets_status on public.support_tickets(status, created_at);
+create index if not exists idx_support_tickets_user_id on public.support_tickets(user_id);
+create index if not exists idx_support_tickets_email on public.support_tickets(lower(email), created_at);
+create index if not exists idx_support_ticket_replies_ticket_id on public.support_ticket_replies(ticket_id, created_at);
+
+create index if not exists idx_availability_therapist_id on public.therapist_availability(therapist_id);
+create index if not exists idx_availability_exceptions_therapist_id on public.therapist_availability_exceptions(therapist_id);
 
 -- =====================================================
 -- TRIGGER FUNCTION: auto-update updated_at
@@ -119,18 +771,26 @@ create trigger update_bookings_updated_at
     for each row
     execute function public.update_updated_at_column();
 
+-- Apply trigger to support_tickets
+create trigger update_support_tickets_updated_at
+    before update on public.support_tickets
+    for each row
+    execute function public.update_updated_at_column();
+
 -- =====================================================
 -- TRIGGER: Auto-create profile on auth user creation
 -- =====================================================
 create or replace function public.handle_new_user()
 returns trigger as $$
 begin
-    insert into public.profiles (user_id, email, role, full_name)
+    insert into public.profiles (user_id, email, role, full_name, time_zone)
     values (
         new.id,
         new.email,
-        coalesce(new.raw_user_meta_data->>'role', 'user'),
-        coalesce(new.raw_user_meta_data->>'full_name', split_part(new.email, '@', 1))
+        -- Admins are only ever made by another admin
+        case when new.raw_user_meta_data->>'role' = 'therapist' then 'therapist' else 'user' end,
+        coalesce(new.raw_user_meta_data->>'full_name', split_part(new.email, '@', 1)),
+        coalesce(new.raw_user_meta_data->>'time_zone', 'UTC')
     );
     return new;
 end;
@@ -155,6 +815,70 @@ alter table public."Therapists" enable row level security;
 -- Enable RLS on Bookings
 alter table public."Bookings" enable row level security;
 
+-- Enable RLS on availability tables
+alter table public.therapist_availability enable row level security;
+alter table public.therapist_availability_exceptions enable row level security;
+alter table public.therapist_next_slots enable row level security;
+
+-- Enable RLS on booking_series
+alter table public.booking_series enable row level security;
+
+-- Enable RLS on calendar_feeds
+alter table public.calendar_feeds enable row level security;
+
+-- Enable RLS on payments / invoices / refunds
+alter table public.payments enable row level security;
+alter table public.invoices enable row level security;
+alter table public.refunds enable row level security;
+
+-- Enable RLS on message_threads / messages
+alter table public.message_threads enable row level security;
+alter table public.messages enable row level security;
+
+-- Enable RLS on notification tables
+alter table public.notifications enable row level security;
+alter table public.notification_deliveries enable row level security;
+alter table public.notification_preferences enable row level security;
+
+-- Enable RLS on session_reminders
+alter table public.session_reminders enable row level security;
+
+-- Enable RLS on booking lifecycle tables
+alter table public.booking_status_transitions enable row level security;
+alter table public.booking_status_history enable row level security;
+alter table public.reschedule_proposals enable row level security;
+
+-- Enable RLS on audit_log
+alter table public.audit_log enable row level security;
+
+-- Enable RLS on reviews
+alter table public.reviews enable row level security;
+
+-- Enable RLS on assessments
+alter table public.assessments enable row level security;
+
+-- Enable RLS on clinical notes
+alter table public.clinical_notes enable row level security;
+alter table public.clinical_note_addenda enable row level security;
+
+-- Enable RLS on risk flags
+alter table public.risk_flags enable row level security;
+alter table public.risk_flag_events enable row level security;
+
+-- Enable RLS on credential tables
+alter table public.credential_documents enable row level security;
+alter table public.license_expiry_notices enable row level security;
+
+-- Enable RLS on account_deletion_requests
+alter table public.account_deletion_requests enable row level security;
+
+-- Enable RLS on account_actions
+alter table public.account_actions enable row level security;
+
+-- Enable RLS on support tables
+alter table public.support_tickets enable row level security;
+alter table public.support_ticket_replies enable row level security;
+
 -- =====================================================
 -- RLS POLICIES: profiles
 -- =====================================================
@@ -265,7 +989,7 @@ create policy "Users can view own bookings"
     for select
     using (auth.uid() = user_id);
 
--- Policy: User can update their own bookings (cancel, request reschedule)
+-- Policy: User can update their own bookings (cancel)
 create policy "Users can update own bookings"
     on public."Bookings"
     for update
@@ -317,32 +1041,4946 @@ create policy "Admin can delete bookings"
     );
 
 -- =====================================================
--- HELPER FUNCTIONS
+-- RLS POLICIES: therapist_availability / therapist_availability_exceptions
+-- Clients never read these directly; they go through get_available_slots()
 -- =====================================================
 
--- Function to check if user is admin
-create or replace function public.is_admin(user_uuid uuid)
-returns boolean as $$
-begin
-    return exists (
-        select 1 from public.profiles
-        where user_id = user_uuid and role = 'admin'
+-- Policy: Therapist can manage their own weekly hours
+create policy "Therapist can manage own availability"
+    on public.therapist_availability
+    for all
+    using (auth.uid() = therapist_id)
+    with check (auth.uid() = therapist_id);
+
+-- Policy: Admin can view all weekly hours
+create policy "Admin can view all availability"
+    on public.therapist_availability
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
     );
-end;
-$$ language plpgsql security definer;
 
--- Function to get user role
-create or replace function public.get_user_role(user_uuid uuid)
-returns text as $$
-declare
-    user_role text;
-begin
-    select role into user_role from public.profiles
+-- Policy: Therapist can manage their own exceptions
+create policy "Therapist can manage own availability exceptions"
+    on public.therapist_availability_exceptions
+    for all
+    using (auth.uid() = therapist_id)
+    with check (auth.uid() = therapist_id);
+
+-- Policy: Admin can view all exceptions
+create policy "Admin can view all availability exceptions"
+    on public.therapist_availability_exceptions
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- Policy: Anyone can see when a therapist is next free (written by
+-- refresh_next_available_slots() only)
+create policy "Anyone can view next open slots"
+    on public.therapist_next_slots
+    for select
+    using (true);
+
+-- =====================================================
+-- RLS POLICIES: booking_series
+-- =====================================================
+
+-- Policy: User can create series for themselves
+create policy "Users can insert own series"
+    on public.booking_series
+    for insert
+    with check (auth.uid() = user_id);
+
+-- Policy: User can view their own series
+create policy "Users can view own series"
+    on public.booking_series
+    for select
+    using (auth.uid() = user_id);
+
+-- Policy: Therapist can view series booked with them
+create policy "Therapist can view assigned series"
+    on public.booking_series
+    for select
+    using (auth.uid() = therapist_id);
+
+-- Policy: Admin can view all series
+create policy "Admin can view all series"
+    on public.booking_series
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- =====================================================
+-- RLS POLICIES: calendar_feeds
+-- Tokens are issued and reset through get_calendar_feed_token() /
+-- reset_calendar_feed_token(); users can only read their own
+-- =====================================================
+
+-- Policy: Users can view their own feed token
+create policy "Users can view own calendar feed"
+    on public.calendar_feeds
+    for select
+    using (auth.uid() = user_id);
+
+-- =====================================================
+-- RLS POLICIES: payments / invoices / refunds
+-- Read-only for clients; rows are written by the booking triggers and the
+-- payment provider functions below
+-- =====================================================
+
+-- Policy: User can view their own payments
+create policy "Users can view own payments"
+    on public.payments
+    for select
+    using (auth.uid() = user_id);
+
+-- Policy: Therapist can view payments for their sessions
+create policy "Therapist can view assigned payments"
+    on public.payments
+    for select
+    using (auth.uid() = therapist_id);
+
+-- Policy: Admin can view all payments
+create policy "Admin can view all payments"
+    on public.payments
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- Policy: User can view their own invoices
+create policy "Users can view own invoices"
+    on public.invoices
+    for select
+    using (auth.uid() = user_id);
+
+-- Policy: Therapist can view invoices for their sessions
+create policy "Therapist can view assigned invoices"
+    on public.invoices
+    for select
+    using (auth.uid() = therapist_id);
+
+-- Policy: Admin can view all invoices
+create policy "Admin can view all invoices"
+    on public.invoices
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- Policy: Users and therapists can view refunds on payments they can see
+create policy "Users can view own refunds"
+    on public.refunds
+    for select
+    using (
+        exists (
+            select 1 from public.payments p
+            where p.id = payment_id
+              and (p.user_id = auth.uid() or p.therapist_id = auth.uid())
+        )
+    );
+
+-- Policy: Admin can view all refunds
+create policy "Admin can view all refunds"
+    on public.refunds
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- =====================================================
+-- RLS POLICIES: message_threads / messages
+-- Only the two participants can read a thread; admins can read everything
+-- to handle abuse reports. Threads are opened through open_message_thread()
+-- and read receipts are set through mark_thread_read().
+-- =====================================================
+
+-- Policy: Participants can view their threads
+create policy "Participants can view own threads"
+    on public.message_threads
+    for select
+    using (auth.uid() = user_id or auth.uid() = therapist_id);
+
+-- Policy: Admin can view all threads
+create policy "Admin can view all threads"
+    on public.message_threads
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- Policy: Participants can view messages in their threads
+create policy "Participants can view thread messages"
+    on public.messages
+    for select
+    using (
+        exists (
+            select 1 from public.message_threads t
+            where t.id = thread_id
+              and (t.user_id = auth.uid() or t.therapist_id = auth.uid())
+        )
+    );
+
+-- Policy: Participants can send messages as themselves
+create policy "Participants can send messages"
+    on public.messages
+    for insert
+    with check (
+        auth.uid() = sender_id
+        and read_at is null
+        and exists (
+            select 1 from public.message_threads t
+            where t.id = thread_id
+              and (t.user_id = auth.uid() or t.therapist_id = auth.uid())
+        )
+    );
+
+-- Policy: Admin can view all messages
+create policy "Admin can view all messages"
+    on public.messages
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- =====================================================
+-- RLS POLICIES: notifications / notification_deliveries / notification_preferences
+-- Notifications are written by triggers and marked read through
+-- mark_notifications_read(); deliveries are only touched by the worker.
+-- =====================================================
+
+-- Policy: Users can view their own notifications
+create policy "Users can view own notifications"
+    on public.notifications
+    for select
+    using (user_id = auth.uid());
+
+-- Policy: Admin can view all deliveries (delivery troubleshooting)
+create policy "Admin can view all notification deliveries"
+    on public.notification_deliveries
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- Policy: Users can manage their own preferences
+create policy "Users can manage own notification preferences"
+    on public.notification_preferences
+    for all
+    using (user_id = auth.uid())
+    with check (user_id = auth.uid());
+
+-- =====================================================
+-- RLS POLICIES: session_reminders
+-- Read-only; rows are written by send_due_reminders()
+-- =====================================================
+
+-- Policy: Users can view reminders sent to them
+create policy "Users can view own reminders"
+    on public.session_reminders
+    for select
+    using (recipient_id = auth.uid());
+
+-- Policy: Therapist can view reminders for their sessions (both sides)
+create policy "Therapist can view assigned session reminders"
+    on public.session_reminders
+    for select
+    using (
+        exists (
+            select 1 from public."Bookings" b
+            where b.id = booking_id and b.therapist_id = auth.uid()
+        )
+    );
+
+-- Policy: Admin can view all reminders
+create policy "Admin can view all session reminders"
+    on public.session_reminders
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- =====================================================
+-- RLS POLICIES: booking_status_transitions / booking_status_history
+-- The lifecycle is public reference data. History is written only by the
+-- lifecycle triggers and can never be edited.
+-- =====================================================
+
+-- Policy: Anyone can read the lifecycle rules
+create policy "Anyone can view booking transitions"
+    on public.booking_status_transitions
+    for select
+    using (true);
+
+-- Policy: Users and therapists can view the history of their bookings
+create policy "Participants can view booking history"
+    on public.booking_status_history
+    for select
+    using (
+        exists (
+            select 1 from public."Bookings" b
+            where b.id = booking_id
+              and (b.user_id = auth.uid() or b.therapist_id = auth.uid())
+        )
+    );
+
+-- Policy: Admin can view all booking history
+create policy "Admin can view all booking history"
+    on public.booking_status_history
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- =====================================================
+-- RLS POLICIES: reschedule_proposals
+-- Written only by the reschedule functions, so there are no write policies.
+-- =====================================================
+
+-- Policy: Users and therapists can view the negotiation on their bookings
+create policy "Participants can view reschedule proposals"
+    on public.reschedule_proposals
+    for select
+    using (
+        exists (
+            select 1 from public."Bookings" b
+            where b.id = booking_id
+              and (b.user_id = auth.uid() or b.therapist_id = auth.uid())
+        )
+    );
+
+-- Policy: Admin can view all reschedule proposals
+create policy "Admin can view all reschedule proposals"
+    on public.reschedule_proposals
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- =====================================================
+-- RLS POLICIES: audit_log
+-- Entries are written by the audit triggers and log_record_view() only.
+-- =====================================================
+
+-- Policy: Admin can view the audit log
+create policy "Admin can view audit log"
+    on public.audit_log
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- =====================================================
+-- RLS POLICIES: reviews
+-- validate_review() checks the booking and keeps clients away from the
+-- moderation columns.
+-- =====================================================
+
+-- Policy: Anyone can view approved reviews
+create policy "Public can view approved reviews"
+    on public.reviews
+    for select
+    using (status = 'approved');
+
+-- Policy: Users can view their own reviews
+create policy "Users can view own reviews"
+    on public.reviews
+    for select
+    using (auth.uid() = user_id);
+
+-- Policy: Users can review their own sessions
+create policy "Users can insert own reviews"
+    on public.reviews
+    for insert
+    with check (auth.uid() = user_id);
+
+-- Policy: Users can edit their own reviews
+create policy "Users can update own reviews"
+    on public.reviews
+    for update
+    using (auth.uid() = user_id);
+
+-- Policy: Users can delete their own reviews
+create policy "Users can delete own reviews"
+    on public.reviews
+    for delete
+    using (auth.uid() = user_id);
+
+-- Policy: Admin can view all reviews
+create policy "Admin can view all reviews"
+    on public.reviews
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- Policy: Admin can moderate all reviews
+create policy "Admin can update all reviews"
+    on public.reviews
+    for update
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- Policy: Admin can delete all reviews
+create policy "Admin can delete all reviews"
+    on public.reviews
+    for delete
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- =====================================================
+-- RLS POLICIES: assessments
+-- Clinical answers are visible to the client and their therapist only.
+-- validate_assessment() limits what each of them can change.
+-- =====================================================
+
+-- Policy: Users can view their own assessments
+create policy "Users can view own assessments"
+    on public.assessments
+    for select
+    using (auth.uid() = user_id);
+
+-- Policy: Users can submit their own assessments
+create policy "Users can update own assessments"
+    on public.assessments
+    for update
+    using (auth.uid() = user_id);
+
+-- Policy: Therapists can view assessments they assigned
+create policy "Therapists can view own assessments"
+    on public.assessments
+    for select
+    using (auth.uid() = therapist_id);
+
+-- Policy: Therapists can assign assessments to their clients
+create policy "Therapists can insert own assessments"
+    on public.assessments
+    for insert
+    with check (auth.uid() = therapist_id);
+
+-- Policy: Therapists can cancel or acknowledge assessments they assigned
+create policy "Therapists can update own assessments"
+    on public.assessments
+    for update
+    using (auth.uid() = therapist_id);
+
+-- =====================================================
+-- RLS POLICIES: clinical_notes / clinical_note_addenda
+-- Only the treating therapist; clients and admins have no access. Nothing
+-- can be deleted, and validate_clinical_note() blocks edits once locked.
+-- =====================================================
+
+-- Policy: Therapists can view their own notes
+create policy "Therapists can view own clinical notes"
+    on public.clinical_notes
+    for select
+    using (auth.uid() = therapist_id);
+
+-- Policy: Therapists can write notes for their own sessions
+create policy "Therapists can insert own clinical notes"
+    on public.clinical_notes
+    for insert
+    with check (auth.uid() = therapist_id);
+
+-- Policy: Therapists can edit and sign their own notes
+create policy "Therapists can update own clinical notes"
+    on public.clinical_notes
+    for update
+    using (auth.uid() = therapist_id);
+
+-- Policy: Therapists can view addenda to their own notes
+create policy "Therapists can view own addenda"
+    on public.clinical_note_addenda
+    for select
+    using (auth.uid() = therapist_id);
+
+-- Policy: Therapists can add addenda to their own notes
+create policy "Therapists can insert own addenda"
+    on public.clinical_note_addenda
+    for insert
+    with check (auth.uid() = therapist_id);
+
+-- =====================================================
+-- RLS POLICIES: risk_flags / risk_flag_events
+-- The therapist who raised a flag and admins only; clients have no access.
+-- Written only by the risk escalation functions.
+-- =====================================================
+
+-- Policy: Therapists can view flags they raised
+create policy "Therapists can view own risk flags"
+    on public.risk_flags
+    for select
+    using (auth.uid() = therapist_id);
+
+-- Policy: Admin can view all risk flags
+create policy "Admin can view all risk flags"
+    on public.risk_flags
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- Policy: Therapists can view the trail of flags they raised
+create policy "Therapists can view own risk flag events"
+    on public.risk_flag_events
+    for select
+    using (
+        exists (
+            select 1 from public.risk_flags f
+            where f.id = flag_id and f.therapist_id = auth.uid()
+        )
+    );
+
+-- Policy: Admin can view all risk flag events
+create policy "Admin can view all risk flag events"
+    on public.risk_flag_events
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- =====================================================
+-- RLS POLICIES: credential_documents / license_expiry_notices
+-- =====================================================
+
+-- Policy: Therapists can view their own documents
+create policy "Therapists can view own credential documents"
+    on public.credential_documents
+    for select
+    using (auth.uid() = therapist_id);
+
+-- Policy: Therapists can add documents to their own application
+create policy "Therapists can insert own credential documents"
+    on public.credential_documents
+    for insert
+    with check (auth.uid() = therapist_id and storage_path like auth.uid()::text || '/%');
+
+-- Policy: Therapists can remove their own documents
+create policy "Therapists can delete own credential documents"
+    on public.credential_documents
+    for delete
+    using (auth.uid() = therapist_id);
+
+-- Policy: Admin can view all documents
+create policy "Admin can view all credential documents"
+    on public.credential_documents
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- Policy: Admin can view expiry notices (written by process_license_expiries() only)
+create policy "Admin can view license expiry notices"
+    on public.license_expiry_notices
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- =====================================================
+-- RLS POLICIES: account_deletion_requests
+-- Written only by the privacy functions, so there are no write policies.
+-- =====================================================
+
+-- Policy: Users can view their own deletion requests
+create policy "Users can view own deletion requests"
+    on public.account_deletion_requests
+    for select
+    using (auth.uid() = user_id);
+
+-- Policy: Admin can view all deletion requests
+create policy "Admin can view all deletion requests"
+    on public.account_deletion_requests
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- =====================================================
+-- RLS POLICIES: account_actions
+-- Written only by the account administration functions.
+-- =====================================================
+
+-- Policy: Admin can view all account actions
+create policy "Admin can view all account actions"
+    on public.account_actions
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- =====================================================
+-- RLS POLICIES: support_tickets / support_ticket_replies
+-- Written only by the support functions, so there are no write policies.
+-- =====================================================
+
+-- Policy: Users can view tickets they sent while signed in
+create policy "Users can view own support tickets"
+    on public.support_tickets
+    for select
+    using (auth.uid() = user_id);
+
+-- Policy: Admin can view all support tickets
+create policy "Admin can view all support tickets"
+    on public.support_tickets
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- Policy: Users can view replies on their own tickets
+create policy "Users can view replies on own support tickets"
+    on public.support_ticket_replies
+    for select
+    using (
+        exists (
+            select 1 from public.support_tickets
+            where id = support_ticket_replies.ticket_id and user_id = auth.uid()
+        )
+    );
+
+-- Policy: Admin can view all support ticket replies
+create policy "Admin can view all support ticket replies"
+    on public.support_ticket_replies
+    for select
+    using (
+        exists (
+            select 1 from public.profiles
+            where user_id = auth.uid() and role = 'admin'
+        )
+    );
+
+-- =====================================================
+-- HELPER FUNCTIONS
+-- =====================================================
+
+-- Function to check if user is admin
+create or replace function public.is_admin(user_uuid uuid)
+returns boolean as $$
+begin
+    return exists (
+        select 1 from public.profiles
+        where user_id = user_uuid and role = 'admin'
+    );
+end;
+$$ language plpgsql security definer;
+
+-- Function to get user role
+create or replace function public.get_user_role(user_uuid uuid)
+returns text as $$
+declare
+    user_role text;
+begin
+    select role into user_role from public.profiles
     where user_id = user_uuid;
     return user_role;
 end;
 $$ language plpgsql security definer;
 
+-- =====================================================
+-- SCHEDULING: bookable slots
+-- =====================================================
+
+-- Function to list open session slots for a therapist between two dates
+-- (inclusive, in the therapist's time zone). Slots are cut from weekly hours
+-- in session_length steps, then anything covered by an exception or an
+-- active booking is removed. Slot bounds are returned as absolute instants.
+create or replace function public.get_available_slots(
+    p_therapist_id uuid,
+    p_from date,
+    p_to date
+)
+returns table (slot_start timestamp with time zone, slot_end timestamp with time zone) as $$
+declare
+    v_length integer;
+    v_tz text;
+    v_today date;
+    v_from date;
+    v_to date;
+begin
+    select t.session_length, p.time_zone into v_length, v_tz
+    from public."Therapists" t
+    join public.profiles p on p.user_id = t.user_id
+    where t.id = p_therapist_id
+      and t.approval_status = 'approved'
+      and t."Active" = true;
+
+    if v_length is null then
+        return;
+    end if;
+
+    v_today := (now() at time zone v_tz)::date;
+    v_from := greatest(p_from, v_today);
+    v_to := least(p_to, v_today + 90);
+
+    if v_to < v_from then
+        return;
+    end if;
+
+    return query
+    with days as (
+        select d::date as day
+        from generate_series(v_from, v_to, interval '1 day') d
+    ),
+    candidates as (
+        select
+            days.day,
+            s::time as s_start,
+            (s + make_interval(mins => v_length))::time as s_end,
+            s at time zone v_tz as s_start_at,
+            (s + make_interval(mins => v_length)) at time zone v_tz as s_end_at
+        from days
+        join public.therapist_availability a
+            on a.therapist_id = p_therapist_id
+           and a.day_of_week = extract(dow from days.day)
+        cross join lateral generate_series(
+            days.day + a.start_time,
+            days.day + a.end_time - make_interval(mins => v_length),
+            make_interval(mins => v_length)
+        ) s
+    )
+    select c.s_start_at, c.s_end_at
+    from candidates c
+    where c.s_start_at > now()
+      and not exists (
+          select 1 from public.therapist_availability_exceptions e
+          where e.therapist_id = p_therapist_id
+            and c.day between e.start_date and e.end_date
+            and (e.start_time is null or (c.s_start < e.end_time and c.s_end > e.start_time))
+      )
+      and not exists (
+          select 1 from public."Bookings" b
+          where b.therapist_id = p_therapist_id
+            and b.status in ('pending', 'confirmed')
+            and tstzrange(b.starts_at, b.ends_at) && tstzrange(c.s_start_at, c.s_end_at)
+      )
+    order by c.s_start_at;
+end;
+$$ language plpgsql stable security definer;
+
+-- Function to find the end of the open slot starting at p_starts_at, or null
+-- if the therapist has no open slot starting then
+create or replace function public.open_slot_end(p_therapist_id uuid, p_starts_at timestamp with time zone)
+returns timestamp with time zone as $$
+    -- Pad the date range by a day so the slot is found whatever the
+    -- therapist's offset from UTC
+    select s.slot_end
+    from public.get_available_slots(
+        p_therapist_id,
+        (p_starts_at at time zone 'UTC')::date - 1,
+        (p_starts_at at time zone 'UTC')::date + 1
+    ) s
+    where s.slot_start = p_starts_at;
+$$ language sql stable security definer;
+
+-- Trigger function: new bookings must land on an open slot; ends_at is
+-- filled in from the therapist's session length
+create or replace function public.validate_booking_slot()
+returns trigger as $$
+declare
+    v_slot_end timestamp with time zone := public.open_slot_end(new.therapist_id, new.starts_at);
+begin
+    if v_slot_end is null then
+        raise exception 'The selected time is no longer available. Please choose another slot.';
+    end if;
+
+    new.ends_at = v_slot_end;
+    return new;
+end;
+$$ language plpgsql security definer;
+
+-- Apply trigger to Bookings
+create trigger validate_bookings_slot
+    before insert on public."Bookings"
+    for each row
+    execute function public.validate_booking_slot();
+
+-- Function to check whether a time range clashes with a therapist's other
+-- active sessions
+create or replace function public.booking_conflicts(
+    p_therapist_id uuid,
+    p_starts_at timestamp with time zone,
+    p_ends_at timestamp with time zone,
+    p_exclude_booking_id uuid default null
+)
+returns boolean as $$
+begin
+    return exists (
+        select 1 from public."Bookings" b
+        where b.therapist_id = p_therapist_id
+          and b.status in ('pending', 'confirmed')
+          and (p_exclude_booking_id is null or b.id <> p_exclude_booking_id)
+          and tstzrange(b.starts_at, b.ends_at) && tstzrange(p_starts_at, p_ends_at)
+    );
+end;
+$$ language plpgsql stable security definer;
+
+-- Trigger function: keep session length when a booking is moved. Clashes are
+-- covered by the bookings_no_overlap constraint; proposed times are checked
+-- by propose_reschedule().
+create or replace function public.check_booking_reschedule()
+returns trigger as $$
+begin
+    if new.starts_at is distinct from old.starts_at
+       and new.ends_at is not distinct from old.ends_at then
+        new.ends_at = new.starts_at + (old.ends_at - old.starts_at);
+    end if;
+
+    return new;
+end;
+$$ language plpgsql security definer;
+
+-- Apply trigger to Bookings
+create trigger check_bookings_reschedule
+    before update on public."Bookings"
+    for each row
+    execute function public.check_booking_reschedule();
+
+-- Function to find a therapist's first open slot in the booking window
+create or replace function public.next_available_slot(p_therapist_id uuid)
+returns timestamp with time zone as $$
+    select min(slot_start)
+    from public.get_available_slots(p_therapist_id, current_date - 1, current_date + 90);
+$$ language sql stable;
+
+-- Function to refresh the cached first open slot in therapist_next_slots.
+-- Given a therapist, refreshes that one. Without one (every worker poll), it
+-- refreshes approved therapists whose cached slot has passed or is a day old,
+-- as the 90-day window moves on. Returns the number of therapists refreshed.
+create or replace function public.refresh_next_available_slots(p_therapist_id uuid default null)
+returns integer as $$
+declare
+    v_count integer;
+begin
+    insert into public.therapist_next_slots (therapist_id, next_slot, refreshed_at)
+    select t.id, public.next_available_slot(t.id), now()
+    from public."Therapists" t
+    left join public.therapist_next_slots n on n.therapist_id = t.id
+    where case
+        when p_therapist_id is not null then t.id = p_therapist_id
+        else t.approval_status = 'approved'
+             and t."Active" = true
+             and (n.therapist_id is null
+                  or n.next_slot <= now()
+                  or n.refreshed_at < now() - interval '1 day')
+    end
+    on conflict (therapist_id) do update
+    set next_slot = excluded.next_slot,
+        refreshed_at = excluded.refreshed_at;
+
+    get diagnostics v_count = row_count;
+    return v_count;
+end;
+$$ language plpgsql security definer;
+
+-- Only triggers and the worker (service role) refresh the cache
+revoke execute on function public.refresh_next_available_slots(uuid) from public, anon, authenticated;
+
+-- Trigger function: refresh the cached next slot of a therapist whose
+-- bookings, hours, time off, profile or time zone changed
+create or replace function public.refresh_therapist_next_slot()
+returns trigger as $$
+declare
+    v_key text := case tg_table_name
+        when 'Therapists' then 'id'
+        when 'profiles' then 'user_id'
+        else 'therapist_id'
+    end;
+    v_new_id uuid;
+    v_old_id uuid;
+begin
+    if tg_op <> 'DELETE' then
+        v_new_id := (to_jsonb(new) ->> v_key)::uuid;
+        perform public.refresh_next_available_slots(v_new_id);
+    end if;
+
+    if tg_op <> 'INSERT' then
+        v_old_id := (to_jsonb(old) ->> v_key)::uuid;
+        if v_old_id is distinct from v_new_id then
+            perform public.refresh_next_available_slots(v_old_id);
+        end if;
+    end if;
+
+    return null;
+end;
+$$ language plpgsql security definer;
+
+-- Apply trigger to Bookings
+create trigger refresh_bookings_next_slot
+    after insert or delete or update of therapist_id, starts_at, ends_at, status on public."Bookings"
+    for each row
+    execute function public.refresh_therapist_next_slot();
+
+-- Apply trigger to therapist_availability
+create trigger refresh_availability_next_slot
+    after insert or update or delete on public.therapist_availability
+    for each row
+    execute function public.refresh_therapist_next_slot();
+
+-- Apply trigger to therapist_availability_exceptions
+create trigger refresh_availability_exceptions_next_slot
+    after insert or update or delete on public.therapist_availability_exceptions
+    for each row
+    execute function public.refresh_therapist_next_slot();
+
+-- Apply trigger to Therapists
+create trigger refresh_therapists_next_slot
+    after update of session_length, approval_status, "Active" on public."Therapists"
+    for each row
+    execute function public.refresh_therapist_next_slot();
+
+-- Apply trigger to profiles
+create trigger refresh_profiles_next_slot
+    after update of time_zone on public.profiles
+    for each row
+    execute function public.refresh_therapist_next_slot();
+
+-- =====================================================
+-- THERAPIST SEARCH
+-- =====================================================
+
+-- Function to search approved therapists (therapists.html). p_query is
+-- matched with web-search syntax against name, specialization and bio, and
+-- as a substring of the name. Pages are ordered by a single sort key plus id;
+-- pass the returned next_cursor back to get the following page. The next
+-- open slot comes from the cached therapist_next_slots. A cached slot that is
+-- missing or has passed is worked out afresh: for every match when sorting by
+-- availability, so the order, the cursor and next_available_at all use the
+-- same value, and otherwise for the returned page only.
+-- Returns { "results": [...], "next_cursor": text or null }.
+create or replace function public.search_therapists(
+    p_query text default null,
+    p_specialization text default null,
+    p_min_fee integer default null,
+    p_max_fee integer default null,
+    p_min_experience integer default null,
+    p_gender text default null,
+    p_language text default null,
+    p_sort text default 'relevance',  -- relevance, newest, fee_asc, fee_desc, experience, rating, availability
+    p_cursor text default null,
+    p_limit integer default 12
+)
+returns jsonb as $$
+declare
+    v_text text := nullif(btrim(p_query), '');
+    v_query tsquery := websearch_to_tsquery('english', coalesce(v_text, ''));
+    v_sort text := coalesce(p_sort, 'relevance');
+    v_limit integer := least(greatest(coalesce(p_limit, 12), 1), 50);
+    v_cursor_key double precision;
+    v_cursor_id uuid;
+    v_page jsonb;
+    v_count integer;
+    v_last text;
+begin
+    if v_sort not in ('relevance', 'newest', 'fee_asc', 'fee_desc', 'experience', 'rating', 'availability') then
+        raise exception 'Unknown sort: %', v_sort;
+    end if;
+
+    -- Without search text there is nothing to rank by
+    if v_sort = 'relevance' and v_text is null then
+        v_sort := 'newest';
+    end if;
+
+    if p_cursor is not null then
+        begin
+            v_cursor_key := split_part(p_cursor, '|', 1)::double precision;
+            v_cursor_id := split_part(p_cursor, '|', 2)::uuid;
+        exception when others then
+            raise exception 'Invalid cursor.';
+        end;
+    end if;
+
+    with matches as (
+        select t.*,
+            case when v_text is not null then ts_rank(t.search_vector, v_query) else 0 end as rank,
+            n.next_slot as cached_slot,
+            n.therapist_id is not null and (n.next_slot is null or n.next_slot > now()) as slot_cached
+        from public."Therapists" t
+        left join public.therapist_next_slots n on n.therapist_id = t.id
+        where t.approval_status = 'approved'
+          and t."Active" = true
+          and (v_text is null
+               or t.search_vector @@ v_query
+               or position(lower(v_text) in lower(t."Name")) > 0)
+          and (p_specialization is null or t."Specialization" = p_specialization)
+          and (p_min_fee is null or t.fee >= p_min_fee)
+          and (p_max_fee is null or t.fee <= p_max_fee)
+          and (p_min_experience is null or coalesce(t.experience, 0) >= p_min_experience)
+          and (p_gender is null or t.gender = p_gender)
+          and (p_language is null or p_language = any(t.languages))
+    ),
+    keyed as (
+        select m.*,
+            (case v_sort
+                when 'relevance' then -m.rank::double precision  -- ts_rank is real; keep epochs exact
+                when 'newest' then -extract(epoch from m.created_at)
+                when 'fee_asc' then m.fee
+                when 'fee_desc' then -m.fee
+                when 'experience' then -coalesce(m.experience, 0)
+                when 'rating' then -(coalesce(m.rating_average, 0) * 1000000 + m.rating_count)
+                when 'availability' then coalesce(extract(epoch from m.next_slot), 'Infinity')
+            end)::double precision as sort_key
+        from (
+            select m.*,
+                case
+                    when m.slot_cached then m.cached_slot
+                    when v_sort = 'availability' then public.next_available_slot(m.id)
+                end as next_slot
+            from matches m
+        ) m
+    ),
+    page as (
+        select k.*, row_number() over (order by k.sort_key, k.id) as position
+        from keyed k
+        where v_cursor_id is null or (k.sort_key, k.id) > (v_cursor_key, v_cursor_id)
+        order by k.sort_key, k.id
+        limit v_limit + 1
+    )
+    select
+        coalesce(jsonb_agg(jsonb_build_object(
+            'id', p.id,
+            'Name', p."Name",
+            'Specialization', p."Specialization",
+            'fee', p.fee,
+            'experience', p.experience,
+            'bio', p.bio,
+            'license', p.license,
+            'gender', p.gender,
+            'languages', p.languages,
+            'session_length', p.session_length,
+            'rating_average', p.rating_average,
+            'rating_count', p.rating_count,
+            'created_at', p.created_at,
+            'next_available_at', coalesce(p.next_slot, s.next_slot)
+        ) order by p.position) filter (where p.position <= v_limit), '[]'::jsonb),
+        count(*),
+        (array_agg(p.sort_key::text || '|' || p.id) filter (where p.position = v_limit))[1]
+    into v_page, v_count, v_last
+    from page p
+    left join lateral (
+        select public.next_available_slot(p.id) as next_slot
+        where p.position <= v_limit and not p.slot_cached and v_sort <> 'availability'
+    ) s on true;
+
+    return jsonb_build_object(
+        'results', v_page,
+        'next_cursor', case when v_count > v_limit then v_last end
+    );
+end;
+$$ language plpgsql stable;
+
+-- =====================================================
+-- THERAPIST MATCHING
+-- =====================================================
+
+-- Function to rank therapists for the find-match.html questionnaire.
+-- Budget, gender and language answers rule therapists out; concerns (matched
+-- against Specialization, then the bio), open times in the next two weeks
+-- that fit the client's availability, rating and experience add to the score.
+-- Availability windows are in p_time_zone: weekday_mornings (6am-12pm),
+-- weekday_afternoons (12-5pm), weekday_evenings (5-10pm) and weekends.
+-- Returns the best matches, each with the reasons it was picked.
+create or replace function public.match_therapists(
+    p_concerns text[] default '{}',
+    p_gender text default null,
+    p_language text default null,
+    p_max_fee integer default null,
+    p_availability text[] default '{}',
+    p_time_zone text default 'UTC',
+    p_limit integer default 5
+)
+returns jsonb as $$
+declare
+    v_concerns text[] := coalesce(p_concerns, '{}');
+    v_availability text[] := coalesce(p_availability, '{}');
+    v_concern_query tsquery := websearch_to_tsquery('english', array_to_string(coalesce(p_concerns, '{}'), ' or '));
+    v_result jsonb;
+begin
+    with candidates as (
+        select t.*, a.open_slots, a.first_slot,
+            t."Specialization" = any(v_concerns) as specializes,
+            cardinality(v_concerns) > 0 and t.search_vector @@ v_concern_query as mentions
+        from public."Therapists" t
+        cross join lateral (
+            select count(*)::integer as open_slots, min(s.slot_start) as first_slot
+            from public.get_available_slots(t.id, current_date - 1, current_date + 14) s
+            cross join lateral (select s.slot_start at time zone p_time_zone as local_start) l
+            where cardinality(v_availability) = 0
+               or ('weekends' = any(v_availability) and extract(isodow from l.local_start) >= 6)
+               or (extract(isodow from l.local_start) < 6 and (
+                      ('weekday_mornings' = any(v_availability) and extract(hour from l.local_start) between 6 and 11)
+                   or ('weekday_afternoons' = any(v_availability) and extract(hour from l.local_start) between 12 and 16)
+                   or ('weekday_evenings' = any(v_availability) and extract(hour from l.local_start) between 17 and 21)))
+        ) a
+        where t.approval_status = 'approved'
+          and t."Active" = true
+          and (p_max_fee is null or t.fee <= p_max_fee)
+          and (p_gender is null or t.gender = p_gender)
+          and (p_language is null or p_language = any(t.languages))
+    ),
+    scored as (
+        select c.*,
+            (case when c.specializes then 40 when c.mentions then 20 else 0 end)
+            + least(c.open_slots, 10) * 2
+            + case when c.rating_count > 0 then c.rating_average * 4 else 0 end
+            + least(coalesce(c.experience, 0), 20) as score,
+            array_remove(array[
+                case
+                    when c.specializes then format('Specializes in %s', c."Specialization")
+                    when c.mentions then 'Their bio covers what you are looking for'
+                end,
+                case when p_gender is not null then 'Matches your preferred therapist gender' end,
+                case when p_language is not null then format('Offers sessions in %s', p_language) end,
+                case when p_max_fee is not null then format('$%s per session, within your $%s budget', c.fee, p_max_fee) end,
+                case
+                    when c.open_slots = 0 and cardinality(v_availability) > 0 then 'No open times that fit your schedule in the next two weeks'
+                    when c.open_slots = 0 then 'No open times in the next two weeks'
+                    when cardinality(v_availability) > 0 then format('%s open time%s that fit your schedule in the next two weeks', c.open_slots, case when c.open_slots = 1 then '' else 's' end)
+                    else format('%s open time%s in the next two weeks', c.open_slots, case when c.open_slots = 1 then '' else 's' end)
+                end,
+                case when c.rating_count > 0 then format('Rated %s out of 5 by %s client%s', to_char(c.rating_average, 'FM0.0'), c.rating_count, case when c.rating_count = 1 then '' else 's' end) end,
+                case when coalesce(c.experience, 0) > 0 then format('%s year%s of experience', c.experience, case when c.experience = 1 then '' else 's' end) end
+            ], null) as reasons
+        from candidates c
+    )
+    select coalesce(jsonb_agg(jsonb_build_object(
+        'id', m.id,
+        'Name', m."Name",
+        'Specialization', m."Specialization",
+        'fee', m.fee,
+        'experience', m.experience,
+        'bio', m.bio,
+        'gender', m.gender,
+        'languages', m.languages,
+        'session_length', m.session_length,
+        'rating_average', m.rating_average,
+        'rating_count', m.rating_count,
+        'next_available_at', m.first_slot,
+        'score', m.score,
+        'reasons', to_jsonb(m.reasons)
+    ) order by m.score desc, m.rating_count desc, m.id), '[]'::jsonb)
+    into v_result
+    from (
+        select * from scored
+        order by score desc, rating_count desc, id
+        limit least(greatest(coalesce(p_limit, 5), 1), 20)
+    ) m;
+
+    return v_result;
+end;
+$$ language plpgsql stable;
+
+-- =====================================================
+-- RECURRING SERIES
+-- =====================================================
+
+-- Function to book a weekly or biweekly series for the caller. Occurrences
+-- keep the same wall-clock time in the therapist's time zone across DST
+-- changes. Every occurrence must be an open slot, otherwise nothing is booked.
+-- Runs as the caller, so the usual Bookings policies apply.
+create or replace function public.create_booking_series(
+    p_therapist_id uuid,
+    p_starts_at timestamp with time zone,
+    p_frequency text,
+    p_count integer default null,
+    p_until date default null,
+    p_problem_description text default null
+)
+returns uuid as $$
+declare
+    v_profile public.profiles%rowtype;
+    v_therapist_tz text;
+    v_fee integer;
+    v_series_id uuid;
+    v_step interval;
+    v_local timestamp;
+    v_starts_at timestamp with time zone;
+    v_starts_list timestamp with time zone[] := '{}';
+begin
+    select * into v_profile from public.profiles where user_id = auth.uid();
+    if v_profile.user_id is null then
+        raise exception 'Not authenticated';
+    end if;
+
+    -- The therapist's profile isn't readable by clients; get_time_zones() is
+    select t.fee, tz.time_zone into v_fee, v_therapist_tz
+    from public."Therapists" t
+    join public.get_time_zones(array[t.user_id]) tz on true
+    where t.id = p_therapist_id;
+
+    if v_fee is null then
+        raise exception 'Therapist not found';
+    end if;
+
+    if p_frequency = 'weekly' then
+        v_step := interval '7 days';
+    elsif p_frequency = 'biweekly' then
+        v_step := interval '14 days';
+    else
+        raise exception 'Unknown frequency: %', p_frequency;
+    end if;
+
+    if p_count is null and p_until is null then
+        raise exception 'Choose how many sessions to book or an end date.';
+    end if;
+
+    -- Work out the occurrences, capped at 12
+    v_local := p_starts_at at time zone v_therapist_tz;
+    for i in 0..11 loop
+        exit when p_count is not null and i >= p_count;
+        v_starts_at := (v_local + v_step * i) at time zone v_therapist_tz;
+        exit when p_until is not null
+              and (v_starts_at at time zone v_profile.time_zone)::date > p_until;
+        v_starts_list := v_starts_list || v_starts_at;
+    end loop;
+
+    if coalesce(array_length(v_starts_list, 1), 0) < 2 then
+        raise exception 'A recurring series needs at least 2 sessions.';
+    end if;
+
+    -- Check every occurrence up front so the client gets a useful message
+    foreach v_starts_at in array v_starts_list loop
+        if not exists (
+            select 1 from public.get_available_slots(
+                p_therapist_id,
+                (v_starts_at at time zone v_therapist_tz)::date,
+                (v_starts_at at time zone v_therapist_tz)::date
+            ) s
+            where s.slot_start = v_starts_at
+        ) then
+            raise exception 'The session on % is not available. Try fewer sessions or another time.',
+                to_char(v_starts_at at time zone v_profile.time_zone, 'Mon DD, YYYY');
+        end if;
+    end loop;
+
+    insert into public.booking_series (user_id, therapist_id, frequency, occurrence_count, until_date)
+    values (auth.uid(), p_therapist_id, p_frequency, p_count, p_until)
+    returning id into v_series_id;
+
+    insert into public."Bookings" (
+        user_id, therapist_id, series_id, starts_at, amount, status,
+        patient_name, patient_email, problem_description
+    )
+    select auth.uid(), p_therapist_id, v_series_id, s, v_fee, 'pending',
+           coalesce(v_profile.full_name, ''), coalesce(v_profile.email, ''), p_problem_description
+    from unnest(v_starts_list) s;
+
+    return v_series_id;
+end;
+$$ language plpgsql;
+
+-- =====================================================
+-- RESCHEDULING
+-- Either side proposes up to three times (propose_reschedule); the other side
+-- accepts one (accept_reschedule), declines, or counter-proposes. Proposing
+-- while the other side's proposal is open closes it as 'countered'. The
+-- proposer can withdraw their own proposal with decline_reschedule().
+-- =====================================================
+
+-- Function to propose new times for a booking. Replaces the caller's own open
+-- proposal, or counters the other side's. p_scope 'following' also moves the
+-- later active sessions in the series by the same wall-clock shift.
+create or replace function public.propose_reschedule(
+    p_booking_id uuid,
+    p_slots timestamptz[],
+    p_reason text default null,
+    p_scope text default 'single'
+)
+returns uuid as $$
+declare
+    v_booking public."Bookings"%rowtype;
+    v_role text;
+    v_slot timestamptz;
+    v_open public.reschedule_proposals%rowtype;
+    v_proposal_id uuid;
+begin
+    select * into v_booking from public."Bookings" where id = p_booking_id for update;
+
+    if v_booking.id is null or auth.uid() is null
+       or auth.uid() not in (v_booking.user_id, v_booking.therapist_id) then
+        raise exception 'Booking not found.';
+    end if;
+
+    if v_booking.status not in ('pending', 'confirmed') then
+        raise exception 'A % booking can no longer be rescheduled.', v_booking.status;
+    end if;
+
+    v_role := case when auth.uid() = v_booking.therapist_id then 'therapist' else 'user' end;
+
+    select array_agg(distinct s order by s) into p_slots from unnest(p_slots) s where s is not null;
+
+    if p_slots is null or cardinality(p_slots) > 3 then
+        raise exception 'Propose between one and three times.';
+    end if;
+
+    if p_scope not in ('single', 'following') then
+        raise exception 'Unknown reschedule scope: %', p_scope;
+    end if;
+
+    if p_scope = 'following' and v_booking.series_id is null then
+        raise exception 'Only sessions in a recurring series can move together with the following sessions.';
+    end if;
+
+    foreach v_slot in array p_slots loop
+        if v_slot <= now() then
+            raise exception 'Proposed times must be in the future.';
+        end if;
+        if v_slot = v_booking.starts_at then
+            raise exception 'One of the proposed times is the current session time.';
+        end if;
+        if public.booking_conflicts(v_booking.therapist_id, v_slot,
+                                    v_slot + (v_booking.ends_at - v_booking.starts_at), v_booking.id) then
+            raise exception 'A proposed time overlaps another session with this therapist.'
+                using errcode = '23P01';
+        end if;
+        if public.open_slot_end(v_booking.therapist_id, v_slot) is null then
+            raise exception 'Propose times from the therapist''s open slots. % is not one of them.',
+                public.format_notification_time(v_slot, auth.uid());
+        end if;
+    end loop;
+
+    select * into v_open from public.reschedule_proposals
+    where booking_id = v_booking.id and status = 'open'
+    for update;
+
+    if v_open.id is not null then
+        update public.reschedule_proposals
+        set status = case when v_open.proposed_by = auth.uid() then 'withdrawn' else 'countered' end,
+            responded_by = auth.uid(),
+            responded_at = now()
+        where id = v_open.id;
+    end if;
+
+    insert into public.reschedule_proposals (
+        booking_id, proposed_by, proposer_role, slots, scope, reason, session_starts_at
+    )
+    values (
+        v_booking.id, auth.uid(), v_role, p_slots, p_scope,
+        nullif(btrim(p_reason), ''), v_booking.starts_at
+    )
+    returning id into v_proposal_id;
+
+    return v_proposal_id;
+end;
+$$ language plpgsql security definer;
+
+-- Function to accept one of the times in the other side's open proposal.
+-- Moves the session (and, for 'following', every later active session in its
+-- series by the same wall-clock shift in the therapist's time zone) and closes
+-- the proposal in one transaction. Rows are moved in an order that never
+-- steps on the series' own not-yet-moved occurrences.
+create or replace function public.accept_reschedule(p_proposal_id uuid, p_starts_at timestamptz)
+returns void as $$
+declare
+    v_proposal public.reschedule_proposals%rowtype;
+    v_anchor public."Bookings"%rowtype;
+    v_therapist_tz text;
+    v_shift interval;
+    v_booking record;
+begin
+    select * into v_proposal from public.reschedule_proposals where id = p_proposal_id for update;
+    select * into v_anchor from public."Bookings" where id = v_proposal.booking_id for update;
+
+    if v_proposal.id is null or auth.uid() is null
+       or auth.uid() not in (v_anchor.user_id, v_anchor.therapist_id) then
+        raise exception 'Reschedule proposal not found.';
+    end if;
+
+    if v_proposal.status <> 'open' then
+        raise exception 'This proposal is no longer open.';
+    end if;
+
+    if v_proposal.proposed_by = auth.uid() then
+        raise exception 'You cannot accept your own proposal.';
+    end if;
+
+    if not (p_starts_at = any(v_proposal.slots)) then
+        raise exception 'Choose one of the proposed times.';
+    end if;
+
+    if p_starts_at <= now() then
+        raise exception 'That time has already passed. Propose a new one instead.';
+    end if;
+
+    select p.time_zone into v_therapist_tz
+    from public."Therapists" t
+    join public.profiles p on p.user_id = t.user_id
+    where t.id = v_anchor.therapist_id;
+
+    v_shift := (p_starts_at at time zone v_therapist_tz)
+             - (v_anchor.starts_at at time zone v_therapist_tz);
+
+    -- Lets enforce_booking_lifecycle() accept the move from either side
+    perform set_config('mindspace.accepting_reschedule', 'on', true);
+
+    for v_booking in
+        select b.id, b.starts_at
+        from public."Bookings" b
+        where b.id = v_anchor.id
+           or (v_proposal.scope = 'following'
+               and b.series_id = v_anchor.series_id
+               and b.starts_at > v_anchor.starts_at
+               and b.status in ('pending', 'confirmed'))
+        order by
+            case when v_shift > interval '0' then b.starts_at end desc,
+            b.starts_at asc
+    loop
+        update public."Bookings"
+        set starts_at = ((v_booking.starts_at at time zone v_therapist_tz) + v_shift) at time zone v_therapist_tz,
+            updated_at = now()
+        where id = v_booking.id;
+    end loop;
+
+    perform set_config('mindspace.accepting_reschedule', 'off', true);
+
+    update public.reschedule_proposals
+    set status = 'accepted',
+        accepted_starts_at = p_starts_at,
+        responded_by = auth.uid(),
+        responded_at = now()
+    where id = v_proposal.id;
+end;
+$$ language plpgsql security definer;
+
+-- Function to decline the other side's open proposal, or withdraw your own.
+-- The session keeps its current time.
+create or replace function public.decline_reschedule(p_proposal_id uuid)
+returns void as $$
+declare
+    v_proposal public.reschedule_proposals%rowtype;
+    v_booking public."Bookings"%rowtype;
+begin
+    select * into v_proposal from public.reschedule_proposals where id = p_proposal_id for update;
+    select * into v_booking from public."Bookings" where id = v_proposal.booking_id;
+
+    if v_proposal.id is null or auth.uid() is null
+       or auth.uid() not in (v_booking.user_id, v_booking.therapist_id) then
+        raise exception 'Reschedule proposal not found.';
+    end if;
+
+    if v_proposal.status <> 'open' then
+        raise exception 'This proposal is no longer open.';
+    end if;
+
+    update public.reschedule_proposals
+    set status = case when v_proposal.proposed_by = auth.uid() then 'withdrawn' else 'declined' end,
+        responded_by = auth.uid(),
+        responded_at = now()
+    where id = v_proposal.id;
+end;
+$$ language plpgsql security definer;
+
+-- =====================================================
+-- TIME ZONES
+-- =====================================================
+
+-- Function to look up profile time zones. Only returns rows the caller has a
+-- reason to see: their own, approved therapists, anyone they share a booking
+-- with, or everyone for admins.
+create or replace function public.get_time_zones(p_user_ids uuid[])
+returns table (user_id uuid, time_zone text) as $$
+begin
+    return query
+    select p.user_id, p.time_zone
+    from public.profiles p
+    where p.user_id = any(p_user_ids)
+      and (
+          p.user_id = auth.uid()
+          or public.is_admin(auth.uid())
+          or exists (
+              select 1 from public."Therapists" t
+              where t.user_id = p.user_id
+                and t.approval_status = 'approved'
+                and t."Active" = true
+          )
+          or exists (
+              select 1 from public."Bookings" b
+              where (b.user_id = auth.uid() and b.therapist_id = p.user_id)
+                 or (b.therapist_id = auth.uid() and b.user_id = p.user_id)
+          )
+      );
+end;
+$$ language plpgsql stable security definer;
+
+-- =====================================================
+-- BOOKING LIFECYCLE
+-- =====================================================
+
+-- Function to work out who is changing a booking
+create or replace function public.booking_actor_role(p_user_id uuid, p_therapist_id uuid)
+returns text as $$
+    select case
+        when auth.uid() is null then 'system'
+        when auth.uid() = p_therapist_id then 'therapist'
+        when auth.uid() = p_user_id then 'user'
+        when exists (select 1 from public.profiles where user_id = auth.uid() and role = 'admin') then 'admin'
+        else 'user'  -- anyone else gets the most limited role
+    end;
+$$ language sql stable security definer;
+
+-- Trigger function: enforce the booking lifecycle. Status changes must be
+-- listed in booking_status_transitions for the actor's role, a session cannot
+-- be completed before it starts, and only admins and system jobs can move an
+-- active session directly; clients and therapists move it by accepting a
+-- proposal (accept_reschedule). Clients and therapists can only write their
+-- own side of the booking: clients its status, therapists its status, meeting
+-- link and notes; who, when, how long and the price are fixed once booked. Closing a booking closes any open reschedule proposal.
+create or replace function public.enforce_booking_lifecycle()
+returns trigger as $$
+declare
+    v_role text := public.booking_actor_role(new.user_id, new.therapist_id);
+begin
+    -- Retired: clients can read their bookings, so private notes go in
+    -- clinical_notes
+    if new.session_notes is not null then
+        raise exception 'Write private notes in the session''s clinical note instead.';
+    end if;
+
+    if tg_op = 'INSERT' then
+        if new.status is distinct from 'pending' and v_role not in ('admin', 'system') then
+            raise exception 'New bookings start as pending.';
+        end if;
+        return new;
+    end if;
+
+    if v_role in ('user', 'therapist') then
+        -- The earlier before-update triggers have already run: ends_at
+        -- follows starts_at (check_booking_reschedule), calendar_sequence
+        -- moves on by one when the event changes (bump_booking_calendar_sequence),
+        -- and a status change stamps cancelled_at and works out fee_cents and
+        -- late_cancellation afresh (apply_cancellation_policy)
+        if (new.user_id, new.therapist_id, new.series_id, new.amount, new.created_at,
+            new.patient_name, new.patient_email, new.problem_description)
+           is distinct from (old.user_id, old.therapist_id, old.series_id, old.amount, old.created_at,
+            old.patient_name, old.patient_email, old.problem_description)
+           or new.ends_at - new.starts_at is distinct from old.ends_at - old.starts_at
+           or new.calendar_sequence not in (old.calendar_sequence, old.calendar_sequence + 1)
+           or (new.status is not distinct from old.status
+               and (new.fee_cents, new.late_cancellation, new.cancelled_at)
+                   is distinct from (old.fee_cents, old.late_cancellation, old.cancelled_at))
+           or (new.cancelled_at is distinct from old.cancelled_at and new.status <> 'cancelled') then
+            raise exception 'Booking details cannot be changed once booked. Contact support.';
+        end if;
+
+        if v_role = 'user'
+           and (new.meeting_link, new.next_session_notes)
+               is distinct from (old.meeting_link, old.next_session_notes) then
+            raise exception 'Only your therapist can change the meeting link and session summary.';
+        end if;
+    end if;
+
+    if new.status is distinct from old.status then
+        if not exists (
+            select 1 from public.booking_status_transitions
+            where from_status = old.status and to_status = new.status and actor_role = v_role
+        ) then
+            raise exception 'A % booking cannot be changed to % by the %.',
+                old.status, new.status, replace(v_role, 'user', 'client');
+        end if;
+
+        if new.status = 'completed' and now() < old.starts_at then
+            raise exception 'A session can only be marked as completed once it has started.';
+        end if;
+
+        -- A reason left over from an earlier change does not carry forward
+        if new.status_reason is not distinct from old.status_reason then
+            new.status_reason = null;
+        end if;
+
+        if new.status not in ('pending', 'confirmed') then
+            update public.reschedule_proposals
+            set status = 'closed', responded_at = now()
+            where booking_id = new.id and status = 'open';
+        end if;
+    elsif new.status_reason is distinct from old.status_reason then
+        new.status_reason = old.status_reason;
+    end if;
+
+    if new.starts_at is distinct from old.starts_at then
+        if new.status not in ('pending', 'confirmed') then
+            raise exception 'A % booking can no longer be rescheduled.', new.status;
+        end if;
+
+        if v_role in ('user', 'therapist')
+           and current_setting('mindspace.accepting_reschedule', true) is distinct from 'on' then
+            raise exception 'Propose new times to your % instead of moving the session.',
+                case when v_role = 'user' then 'therapist' else 'client' end;
+        end if;
+    end if;
+
+    return new;
+end;
+$$ language plpgsql security definer;
+
+-- Apply trigger to Bookings
+create trigger enforce_bookings_lifecycle
+    before insert or update on public."Bookings"
+    for each row
+    execute function public.enforce_booking_lifecycle();
+
+-- Trigger function: record every status change in booking_status_history
+create or replace function public.record_booking_status()
+returns trigger as $$
+begin
+    if tg_op = 'UPDATE' and new.status is not distinct from old.status then
+        return new;
+    end if;
+
+    insert into public.booking_status_history (booking_id, actor_id, actor_role, from_status, to_status, reason)
+    values (
+        new.id,
+        auth.uid(),
+        public.booking_actor_role(new.user_id, new.therapist_id),
+        case when tg_op = 'UPDATE' then old.status end,
+        new.status,
+        new.status_reason
+    );
+    return new;
+end;
+$$ language plpgsql security definer;
+
+-- Apply trigger to Bookings
+create trigger record_bookings_status
+    after insert or update on public."Bookings"
+    for each row
+    execute function public.record_booking_status();
+
+-- Trigger function: keep booking_status_history append-only. Rows only go
+-- away with their booking (the cascade runs as a nested trigger).
+create or replace function public.prevent_history_change()
+returns trigger as $$
+begin
+    if tg_op = 'DELETE' and pg_trigger_depth() > 1 then
+        return old;
+    end if;
+    raise exception 'Booking history cannot be changed.';
+end;
+$$ language plpgsql;
+
+-- Apply trigger to booking_status_history
+create trigger prevent_booking_status_history_change
+    before update or delete on public.booking_status_history
+    for each row
+    execute function public.prevent_history_change();
+
+-- =====================================================
+-- CANCELLATION POLICY
+-- =====================================================
+
+-- Trigger function: apply the therapist's cancellation policy when a booking
+-- is cancelled or marked as a no-show. A client cancelling a confirmed
+-- session inside the therapist's window is a late cancellation and owes the
+-- late-cancel fee; a no-show owes the no-show fee. The fee is a share of
+-- what the session was charged at (the payment, or the therapist's fee if
+-- there is none), is recorded on the booking and is settled against the
+-- payment by refund_cancelled_booking(). The fee is worked out again on every
+-- status change, so any other change leaves none. Only admins and system
+-- jobs can change the charge columns themselves; this is the first
+-- before-update trigger on Bookings, so it sees an update as sent.
+create or replace function public.apply_cancellation_policy()
+returns trigger as $$
+declare
+    v_therapist public."Therapists"%rowtype;
+    v_charged_cents integer;
+begin
+    if public.booking_actor_role(old.user_id, old.therapist_id) in ('user', 'therapist')
+       and (new.amount, new.fee_cents, new.late_cancellation)
+           is distinct from (old.amount, old.fee_cents, old.late_cancellation) then
+        raise exception 'The session price and fees cannot be changed.';
+    end if;
+
+    if new.status is not distinct from old.status then
+        return new;
+    end if;
+
+    new.late_cancellation = false;
+    new.fee_cents = 0;
+
+    if new.status in ('cancelled', 'no_show') then
+        select * into v_therapist from public."Therapists" where id = new.therapist_id;
+        select amount_cents into v_charged_cents from public.payments where booking_id = new.id;
+        v_charged_cents := coalesce(v_charged_cents, v_therapist.fee * 100);
+    end if;
+
+    if new.status = 'cancelled' then
+        new.cancelled_at = now();
+
+        if old.status = 'confirmed'
+           and auth.uid() = new.user_id
+           and now() > old.starts_at - make_interval(hours => v_therapist.cancellation_window_hours) then
+            new.late_cancellation = true;
+            new.fee_cents = round(v_charged_cents * v_therapist.late_cancel_fee_percent / 100.0)::integer;
+        end if;
+    elsif new.status = 'no_show' then
+        if auth.uid() = new.user_id then
+            raise exception 'Only the therapist can mark a session as a no-show.';
+        end if;
+
+        if old.status <> 'confirmed' or now() < old.starts_at then
+            raise exception 'A session can only be marked as a no-show once a confirmed session has started.';
+        end if;
+
+        new.fee_cents = round(v_charged_cents * v_therapist.no_show_fee_percent / 100.0)::integer;
+    end if;
+
+    return new;
+end;
+$$ language plpgsql security definer;
+
+-- Apply trigger to Bookings
+create trigger apply_bookings_cancellation_policy
+    before update on public."Bookings"
+    for each row
+    execute function public.apply_cancellation_policy();
+
+-- =====================================================
+-- PAYMENTS
+-- Provider calls are made in the database so the client never marks its own
+-- payment as paid. Only the 'mock' provider exists today: it settles charges
+-- and refunds instantly and is meant for local development. A live provider
+-- would take over mock_charge_payment() and settle refunds from its webhook.
+-- =====================================================
+
+-- Trigger function: open a payment and issue an invoice for every new booking
+create or replace function public.create_booking_payment()
+returns trigger as $$
+declare
+    v_payment_id uuid;
+    v_therapist_name text;
+begin
+    select "Name" into v_therapist_name from public."Therapists" where id = new.therapist_id;
+
+    insert into public.payments (booking_id, user_id, therapist_id, amount_cents)
+    values (new.id, new.user_id, new.therapist_id, new.amount * 100)
+    returning id into v_payment_id;
+
+    insert into public.invoices (booking_id, payment_id, user_id, therapist_id, description, amount_cents)
+    values (
+        new.id, v_payment_id, new.user_id, new.therapist_id,
+        'Therapy session with ' || coalesce(v_therapist_name, 'therapist'),
+        new.amount * 100
+    );
+
+    return new;
+end;
+$$ language plpgsql security definer;
+
+-- Apply trigger to Bookings
+create trigger create_bookings_payment
+    after insert on public."Bookings"
+    for each row
+    execute function public.create_booking_payment();
+
+-- Function to refund part or all of a payment. Mock refunds settle
+-- immediately; anything else stays pending until the provider confirms it.
+create or replace function public.issue_refund(
+    p_payment_id uuid,
+    p_amount_cents integer,
+    p_reason text default null
+)
+returns public.refunds as $$
+declare
+    v_payment public.payments%rowtype;
+    v_refunded integer;
+    v_refund public.refunds%rowtype;
+begin
+    select * into v_payment from public.payments where id = p_payment_id for update;
+
+    if v_payment.id is null or v_payment.status not in ('succeeded', 'partially_refunded') then
+        raise exception 'Only a collected payment can be refunded.';
+    end if;
+
+    select coalesce(sum(amount_cents), 0) into v_refunded
+    from public.refunds
+    where payment_id = p_payment_id and status <> 'failed';
+
+    if p_amount_cents <= 0 or p_amount_cents > v_payment.amount_cents - v_refunded then
+        raise exception 'Refund amount must be between 1 and % cents.', v_payment.amount_cents - v_refunded;
+    end if;
+
+    insert into public.refunds (payment_id, booking_id, amount_cents, reason, status, provider_refund_id)
+    values (
+        p_payment_id, v_payment.booking_id, p_amount_cents, p_reason,
+        case when v_payment.provider = 'mock' then 'succeeded' else 'pending' end,
+        case when v_payment.provider = 'mock' then 'mock_re_' || replace(gen_random_uuid()::text, '-', '') end
+    )
+    returning * into v_refund;
+
+    update public.payments
+    set status = case when v_refunded + p_amount_cents >= amount_cents then 'refunded' else 'partially_refunded' end,
+        updated_at = now()
+    where id = p_payment_id;
+
+    return v_refund;
+end;
+$$ language plpgsql security definer;
+
+-- Only the database itself issues refunds
+revoke execute on function public.issue_refund(uuid, integer, text) from public, anon, authenticated;
+
+-- Trigger function: when a booking is cancelled, rejected or missed, refund
+-- whatever was collected above the policy fee (Bookings.fee_cents). Unpaid
+-- bookings are voided, or left owing just the fee.
+create or replace function public.refund_cancelled_booking()
+returns trigger as $$
+declare
+    v_payment public.payments%rowtype;
+    v_refunded integer;
+    v_fee_label text;
+begin
+    if new.status not in ('cancelled', 'rejected', 'no_show')
+       or old.status in ('cancelled', 'rejected', 'no_show') then
+        return new;
+    end if;
+
+    select * into v_payment from public.payments where booking_id = new.id;
+    if v_payment.id is null then
+        return new;
+    end if;
+
+    v_fee_label := case when new.status = 'no_show' then 'No-show fee' else 'Late cancellation fee' end;
+
+    if v_payment.status in ('pending', 'failed') then
+        if new.fee_cents > 0 then
+            update public.payments
+            set amount_cents = new.fee_cents, updated_at = now()
+            where id = v_payment.id;
+
+            update public.invoices
+            set amount_cents = new.fee_cents,
+                description = v_fee_label || ' (' || description || ')'
+            where payment_id = v_payment.id;
+        else
+            update public.payments set status = 'void', updated_at = now() where id = v_payment.id;
+        end if;
+    elsif v_payment.status in ('succeeded', 'partially_refunded') then
+        select coalesce(sum(amount_cents), 0) into v_refunded
+        from public.refunds
+        where payment_id = v_payment.id and status <> 'failed';
+
+        if v_payment.amount_cents - v_refunded - new.fee_cents > 0 then
+            perform public.issue_refund(
+                v_payment.id,
+                v_payment.amount_cents - v_refunded - new.fee_cents,
+                case
+                    when new.status = 'rejected' then 'Booking rejected by therapist'
+                    when new.fee_cents > 0 then 'Booking ' || replace(new.status, '_', '-') || ', ' || lower(v_fee_label) || ' kept'
+                    else 'Booking cancelled'
+                end
+            );
+        end if;
+    end if;
+
+    return new;
+end;
+$$ language plpgsql security definer;
+
+-- Apply trigger to Bookings
+create trigger refund_bookings_on_cancel
+    after update of status on public."Bookings"
+    for each row
+    execute function public.refund_cancelled_booking();
+
+-- Function for the mock provider to charge the caller's card for a booking.
+-- Card 4000 0000 0000 0002 is always declined, mirroring common test cards.
+create or replace function public.mock_charge_payment(p_payment_id uuid, p_card_number text)
+returns public.payments as $$
+declare
+    v_payment public.payments%rowtype;
+    v_booking_status text;
+    v_fee_cents integer;
+    v_card text := regexp_replace(coalesce(p_card_number, ''), '\D', '', 'g');
+begin
+    select * into v_payment from public.payments where id = p_payment_id for update;
+
+    if v_payment.id is null or v_payment.user_id <> auth.uid() then
+        raise exception 'Payment not found';
+    end if;
+
+    if v_payment.provider <> 'mock' then
+        raise exception 'This payment is not handled by the mock provider.';
+    end if;
+
+    if v_payment.status not in ('pending', 'failed') then
+        raise exception 'This session has already been paid or closed.';
+    end if;
+
+    -- Closed bookings can only be paid when a policy fee is owed
+    select status, fee_cents into v_booking_status, v_fee_cents
+    from public."Bookings" where id = v_payment.booking_id;
+    if v_booking_status = 'rejected'
+       or (v_booking_status in ('cancelled', 'no_show') and v_fee_cents = 0) then
+        raise exception 'This booking is no longer active.';
+    end if;
+
+    if length(v_card) not between 12 and 19 then
+        update public.payments
+        set status = 'failed', failure_reason = 'Invalid card number.', updated_at = now()
+        where id = p_payment_id
+        returning * into v_payment;
+    elsif v_card = '4000000000000002' then
+        update public.payments
+        set status = 'failed', failure_reason = 'Your card was declined.',
+            card_last4 = right(v_card, 4), updated_at = now()
+        where id = p_payment_id
+        returning * into v_payment;
+    else
+        update public.payments
+        set status = 'succeeded',
+            provider_payment_id = 'mock_ch_' || replace(gen_random_uuid()::text, '-', ''),
+            card_last4 = right(v_card, 4),
+            failure_reason = null,
+            paid_at = now(),
+            updated_at = now()
+        where id = p_payment_id
+        returning * into v_payment;
+    end if;
+
+    return v_payment;
+end;
+$$ language plpgsql security definer;
+
+-- =====================================================
+-- MESSAGING
+-- =====================================================
+
+-- Function to open (creating on first use) the thread behind a booking.
+-- Either side of the booking may call it.
+create or replace function public.open_message_thread(p_booking_id uuid)
+returns uuid as $$
+declare
+    v_booking public."Bookings"%rowtype;
+    v_thread_id uuid;
+begin
+    select * into v_booking from public."Bookings" where id = p_booking_id;
+
+    if v_booking.id is null
+       or (auth.uid() is distinct from v_booking.user_id and auth.uid() is distinct from v_booking.therapist_id) then
+        raise exception 'Booking not found';
+    end if;
+
+    insert into public.message_threads (user_id, therapist_id)
+    values (v_booking.user_id, v_booking.therapist_id)
+    on conflict (user_id, therapist_id) do nothing;
+
+    select id into v_thread_id
+    from public.message_threads
+    where user_id = v_booking.user_id and therapist_id = v_booking.therapist_id;
+
+    return v_thread_id;
+end;
+$$ language plpgsql security definer;
+
+-- Function to mark the other participant's messages in a thread as read
+create or replace function public.mark_thread_read(p_thread_id uuid)
+returns void as $$
+begin
+    update public.messages m
+    set read_at = now()
+    from public.message_threads t
+    where t.id = p_thread_id
+      and m.thread_id = t.id
+      and (t.user_id = auth.uid() or t.therapist_id = auth.uid())
+      and m.sender_id <> auth.uid()
+      and m.read_at is null;
+end;
+$$ language plpgsql security definer;
+
+-- Function to count the caller's unread messages per thread
+create or replace function public.get_unread_message_counts()
+returns table (thread_id uuid, user_id uuid, therapist_id uuid, unread bigint) as $$
+begin
+    return query
+    select t.id, t.user_id, t.therapist_id, count(m.id)
+    from public.message_threads t
+    join public.messages m on m.thread_id = t.id
+    where (t.user_id = auth.uid() or t.therapist_id = auth.uid())
+      and m.sender_id <> auth.uid()
+      and m.read_at is null
+    group by t.id, t.user_id, t.therapist_id;
+end;
+$$ language plpgsql stable security definer;
+
+-- Trigger function: keep last_message_at current for thread ordering
+create or replace function public.touch_message_thread()
+returns trigger as $$
+begin
+    update public.message_threads set last_message_at = new.created_at where id = new.thread_id;
+    return new;
+end;
+$$ language plpgsql security definer;
+
+-- Apply trigger to messages
+create trigger touch_messages_thread
+    after insert on public.messages
+    for each row
+    execute function public.touch_message_thread();
+
+-- Private bucket for attachments (10 MB, images and PDFs)
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values (
+    'message-attachments', 'message-attachments', false, 10485760,
+    array['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf']
+)
+on conflict (id) do nothing;
+
+-- Policy: Thread participants can upload into their thread's folder
+create policy "Participants can upload message attachments"
+    on storage.objects
+    for insert
+    with check (
+        bucket_id = 'message-attachments'
+        and exists (
+            select 1 from public.message_threads t
+            where t.id::text = (storage.foldername(name))[1]
+              and (t.user_id = auth.uid() or t.therapist_id = auth.uid())
+        )
+    );
+
+-- Policy: Thread participants and admins can download attachments
+create policy "Participants can read message attachments"
+    on storage.objects
+    for select
+    using (
+        bucket_id = 'message-attachments'
+        and (
+            exists (
+                select 1 from public.message_threads t
+                where t.id::text = (storage.foldername(name))[1]
+                  and (t.user_id = auth.uid() or t.therapist_id = auth.uid())
+            )
+            or exists (
+                select 1 from public.profiles
+                where user_id = auth.uid() and role = 'admin'
+            )
+        )
+    );
+
+-- =====================================================
+-- NOTIFICATIONS
+-- Triggers write events to the outbox; notification-worker.js delivers the
+-- email/SMS rows with the service role key.
+-- =====================================================
+
+-- Function to queue a notification, honouring the recipient's preferences.
+-- Returns the notification id, or null when the recipient muted the event.
+create or replace function public.enqueue_notification(
+    p_user_id uuid,
+    p_event_type text,
+    p_title text,
+    p_body text,
+    p_link text default null,
+    p_booking_id uuid default null
+)
+returns uuid as $$
+declare
+    v_in_app boolean := true;
+    v_email boolean := true;
+    v_sms boolean := false;
+    v_profile public.profiles%rowtype;
+    v_notification_id uuid;
+begin
+    select in_app, email, sms into v_in_app, v_email, v_sms
+    from public.notification_preferences
+    where user_id = p_user_id and event_type = p_event_type;
+
+    if not found then
+        v_in_app := true;
+        v_email := true;
+        v_sms := false;
+    end if;
+
+    if not (v_in_app or v_email or v_sms) then
+        return null;
+    end if;
+
+    select * into v_profile from public.profiles where user_id = p_user_id;
+    if v_profile.user_id is null then
+        return null;
+    end if;
+
+    insert into public.notifications (user_id, event_type, title, body, link, booking_id, in_app)
+    values (p_user_id, p_event_type, p_title, p_body, p_link, p_booking_id, v_in_app)
+    returning id into v_notification_id;
+
+    if v_email and nullif(trim(v_profile.email), '') is not null then
+        insert into public.notification_deliveries (notification_id, channel, destination)
+        values (v_notification_id, 'email', trim(v_profile.email));
+    end if;
+
+    if v_sms and nullif(trim(v_profile.phone), '') is not null then
+        insert into public.notification_deliveries (notification_id, channel, destination)
+        values (v_notification_id, 'sms', trim(v_profile.phone));
+    end if;
+
+    return v_notification_id;
+end;
+$$ language plpgsql security definer;
+
+-- Only triggers queue notifications
+revoke execute on function public.enqueue_notification(uuid, text, text, text, text, uuid) from public, anon, authenticated;
+
+-- Format a session time for a notification, in the recipient's time zone
+create or replace function public.format_notification_time(p_instant timestamptz, p_user_id uuid)
+returns text as $$
+    select to_char(p_instant at time zone tz, 'Dy, Mon FMDD "at" FMHH12:MI AM') || ' (' || tz || ')'
+    from (
+        select coalesce(
+            (select time_zone from public.profiles where user_id = p_user_id),
+            'UTC'
+        ) as tz
+    ) z;
+$$ language sql stable security definer;
+
+-- Trigger function: queue notifications for booking lifecycle events. A new
+-- series notifies once, for its first occurrence. Whoever made the change is
+-- never notified about it.
+create or replace function public.notify_booking_change()
+returns trigger as $$
+declare
+    v_therapist_name text;
+    v_client_name text;
+    v_client_link text := 'user-dashboard.html';
+    v_therapist_link text := 'therapist-dashboard.html';
+begin
+    select "Name" into v_therapist_name from public."Therapists" where id = new.therapist_id;
+    select full_name into v_client_name from public.profiles where user_id = new.user_id;
+    v_therapist_name := coalesce(v_therapist_name, 'Your therapist');
+    v_client_name := coalesce(nullif(v_client_name, ''), new.patient_name, 'Your client');
+
+    if tg_op = 'INSERT' then
+        -- A series is inserted in one statement, so every occurrence is
+        -- visible here; only the earliest one notifies
+        if new.series_id is null
+           or not exists (
+               select 1 from public."Bookings"
+               where series_id = new.series_id and starts_at < new.starts_at
+           ) then
+            perform public.enqueue_notification(
+                new.therapist_id, 'booking_requested', 'New booking request',
+                format('%s requested a session on %s%s.', v_client_name,
+                       public.format_notification_time(new.starts_at, new.therapist_id),
+                       case when new.series_id is not null then ', repeating as a series' else '' end),
+                v_therapist_link, new.id
+            );
+        end if;
+        return new;
+    end if;
+
+    if new.status is distinct from old.status then
+        if new.status = 'confirmed' then
+            perform public.enqueue_notification(
+                new.user_id, 'booking_confirmed', 'Session confirmed',
+                format('%s confirmed your session on %s.', v_therapist_name,
+                       public.format_notification_time(new.starts_at, new.user_id)),
+                v_client_link, new.id
+            );
+        elsif new.status = 'rejected' then
+            perform public.enqueue_notification(
+                new.user_id, 'booking_rejected', 'Session declined',
+                format('%s is unable to take your session on %s.', v_therapist_name,
+                       public.format_notification_time(new.starts_at, new.user_id)),
+                v_client_link, new.id
+            );
+        elsif new.status = 'completed' then
+            perform public.enqueue_notification(
+                new.user_id, 'booking_completed', 'Session completed',
+                format('Your session with %s on %s is complete.%s', v_therapist_name,
+                       public.format_notification_time(new.starts_at, new.user_id),
+                       case when new.next_session_notes is not null then ' Your therapist left notes for you.' else '' end),
+                v_client_link, new.id
+            );
+        elsif new.status = 'no_show' then
+            perform public.enqueue_notification(
+                new.user_id, 'booking_no_show', 'Missed session',
+                format('You were marked as absent from your session with %s on %s.', v_therapist_name,
+                       public.format_notification_time(new.starts_at, new.user_id)),
+                v_client_link, new.id
+            );
+        elsif new.status = 'cancelled' then
+            if auth.uid() is distinct from new.user_id then
+                perform public.enqueue_notification(
+                    new.user_id, 'booking_cancelled', 'Session cancelled',
+                    format('Your session with %s on %s was cancelled.', v_therapist_name,
+                           public.format_notification_time(new.starts_at, new.user_id)),
+                    v_client_link, new.id
+                );
+            end if;
+            if auth.uid() is distinct from new.therapist_id then
+                perform public.enqueue_notification(
+                    new.therapist_id, 'booking_cancelled', 'Session cancelled',
+                    format('%s cancelled their session on %s%s.', v_client_name,
+                           public.format_notification_time(new.starts_at, new.therapist_id),
+                           case when new.late_cancellation then ' (late cancellation)' else '' end),
+                    v_therapist_link, new.id
+                );
+            end if;
+        end if;
+    end if;
+
+    return new;
+end;
+$$ language plpgsql security definer;
+
+-- Apply trigger to Bookings
+create trigger notify_bookings_change
+    after insert or update on public."Bookings"
+    for each row
+    execute function public.notify_booking_change();
+
+-- Trigger function: tell the other side about a new proposal (including a
+-- counter-proposal), and the proposer when it is accepted or declined.
+-- Withdrawn and closed proposals send nothing.
+create or replace function public.notify_reschedule_proposal()
+returns trigger as $$
+declare
+    v_booking public."Bookings"%rowtype;
+    v_by_therapist boolean;  -- whether the therapist made this change
+    v_actor_name text;
+    v_recipient uuid;
+    v_link text;
+begin
+    if tg_op = 'INSERT' then
+        v_by_therapist := new.proposer_role = 'therapist';
+    elsif new.status in ('accepted', 'declined') and old.status = 'open' then
+        v_by_therapist := new.proposer_role <> 'therapist';
+    else
+        return new;
+    end if;
+
+    select * into v_booking from public."Bookings" where id = new.booking_id;
+
+    if v_by_therapist then
+        select "Name" into v_actor_name from public."Therapists" where id = v_booking.therapist_id;
+        v_actor_name := coalesce(v_actor_name, 'Your therapist');
+        v_recipient := v_booking.user_id;
+        v_link := 'user-dashboard.html';
+    else
+        select full_name into v_actor_name from public.profiles where user_id = v_booking.user_id;
+        v_actor_name := coalesce(nullif(v_actor_name, ''), v_booking.patient_name, 'Your client');
+        v_recipient := v_booking.therapist_id;
+        v_link := 'therapist-dashboard.html';
+    end if;
+
+    if tg_op = 'INSERT' then
+        perform public.enqueue_notification(
+            v_recipient,
+            case when v_by_therapist then 'reschedule_suggested' else 'reschedule_requested' end,
+            case when v_by_therapist then 'New times suggested' else 'Reschedule requested' end,
+            format('%s proposed moving the session on %s%s to %s.', v_actor_name,
+                   public.format_notification_time(new.session_starts_at, v_recipient),
+                   case when new.scope = 'following' then ' and the following sessions' else '' end,
+                   (select string_agg(public.format_notification_time(t, v_recipient), ' or ' order by t)
+                    from unnest(new.slots) t)),
+            v_link, new.booking_id
+        );
+    elsif new.status = 'accepted' then
+        perform public.enqueue_notification(
+            v_recipient, 'reschedule_accepted', 'New time accepted',
+            format('%s accepted %s. The session has moved.', v_actor_name,
+                   public.format_notification_time(new.accepted_starts_at, v_recipient)),
+            v_link, new.booking_id
+        );
+    else
+        perform public.enqueue_notification(
+            v_recipient, 'reschedule_declined', 'Proposed times declined',
+            format('%s kept the session on %s.', v_actor_name,
+                   public.format_notification_time(v_booking.starts_at, v_recipient)),
+            v_link, new.booking_id
+        );
+    end if;
+
+    return new;
+end;
+$$ language plpgsql security definer;
+
+-- Apply trigger to reschedule_proposals
+create trigger notify_reschedule_proposals_change
+    after insert or update on public.reschedule_proposals
+    for each row
+    execute function public.notify_reschedule_proposal();
+
+-- Trigger function: tell admins about new therapist applications and
+-- approved therapists whose license details changed, and therapists about the
+-- review outcome
+create or replace function public.notify_therapist_review()
+returns trigger as $$
+declare
+    v_admin record;
+begin
+    if tg_op = 'INSERT' then
+        if new.approval_status = 'pending' then
+            for v_admin in select user_id from public.profiles where role = 'admin' loop
+                perform public.enqueue_notification(
+                    v_admin.user_id, 'therapist_applied', 'New therapist application',
+                    format('%s applied to join as a %s therapist.', new."Name", coalesce(new."Specialization", '')),
+                    'admin-dashboard.html'
+                );
+            end loop;
+        end if;
+        return new;
+    end if;
+
+    if new.approval_status is distinct from old.approval_status then
+        if new.approval_status = 'pending' and old.approval_status = 'approved' then
+            for v_admin in select user_id from public.profiles where role = 'admin' loop
+                perform public.enqueue_notification(
+                    v_admin.user_id, 'therapist_applied', 'License details changed',
+                    format('%s changed their license details and is off search until approved again.', new."Name"),
+                    'admin-dashboard.html'
+                );
+            end loop;
+        elsif new.approval_status = 'approved' then
+            perform public.enqueue_notification(
+                new.id, 'therapist_approved', 'Application approved',
+                'Your therapist profile is approved. Clients can now book sessions with you.',
+                'therapist-dashboard.html'
+            );
+        elsif new.approval_status = 'rejected' then
+            perform public.enqueue_notification(
+                new.id, 'therapist_rejected', 'Application not approved',
+                'Your therapist application was not approved. Please contact support for details.',
+                'therapist-dashboard.html'
+            );
+        end if;
+    end if;
+    return new;
+end;
+$$ language plpgsql security definer;
+
+-- Apply trigger to Therapists
+-- Not "update of approval_status": check_therapist_license() can set it
+create trigger notify_therapists_review
+    after insert or update on public."Therapists"
+    for each row
+    execute function public.notify_therapist_review();
+
+-- Function to mark the caller's notifications as read (all of them when no
+-- ids are given)
+create or replace function public.mark_notifications_read(p_ids uuid[] default null)
+returns void as $$
+begin
+    update public.notifications
+    set read_at = now()
+    where user_id = auth.uid()
+      and read_at is null
+      and (p_ids is null or id = any(p_ids));
+end;
+$$ language plpgsql security definer;
+
+-- Function for the worker to claim a batch of email/SMS deliveries. Rows a
+-- crashed worker left in 'sending' are picked up again after 10 minutes.
+create or replace function public.claim_notification_deliveries(p_limit integer default 20)
+returns table (
+    delivery_id uuid,
+    channel text,
+    destination text,
+    event_type text,
+    title text,
+    body text,
+    link text,
+    attempts integer
+) as $$
+begin
+    return query
+    with claimed as (
+        select d.id
+        from public.notification_deliveries d
+        where d.status = 'pending'
+           or (d.status = 'sending' and d.claimed_at < now() - interval '10 minutes')
+        order by d.created_at
+        limit p_limit
+        for update skip locked
+    ),
+    -- Replies to guests' support tickets have no notification row
+    content as (
+        select
+            c.id,
+            coalesce(n.event_type, 'support_ticket_replied') as event_type,
+            coalesce(n.title, 'Reply to your message to MindSpace') as title,
+            coalesce(n.body, format(E'%s\n\nYou wrote:\n%s\n\nTo follow up, send a new message from the contact page.', r.body, t.message)) as body,
+            n.link
+        from claimed c
+        join public.notification_deliveries d on d.id = c.id
+        left join public.notifications n on n.id = d.notification_id
+        left join public.support_ticket_replies r on r.id = d.support_reply_id
+        left join public.support_tickets t on t.id = r.ticket_id
+    )
+    update public.notification_deliveries d
+    set status = 'sending', claimed_at = now(), attempts = d.attempts + 1
+    from content
+    where d.id = content.id
+    returning d.id, d.channel, d.destination, content.event_type, content.title, content.body, content.link, d.attempts;
+end;
+$$ language plpgsql security definer;
+
+-- Function for the worker to record a send. Failed sends are retried until
+-- the fifth attempt.
+create or replace function public.complete_notification_delivery(p_delivery_id uuid, p_error text default null)
+returns void as $$
+begin
+    update public.notification_deliveries
+    set status = case
+            when p_error is null then 'sent'
+            when attempts >= 5 then 'failed'
+            else 'pending'
+        end,
+        sent_at = case when p_error is null then now() else null end,
+        last_error = p_error
+    where id = p_delivery_id;
+end;
+$$ language plpgsql security definer;
+
+-- Only the worker (service role) drains the outbox
+revoke execute on function public.claim_notification_deliveries(integer) from public, anon, authenticated;
+revoke execute on function public.complete_notification_delivery(uuid, text) from public, anon, authenticated;
+
+-- =====================================================
+-- SESSION REMINDERS
+-- send_due_reminders() is run by notification-worker.js on every poll. It
+-- takes the current time as a parameter so the job can be run against a
+-- simulated clock. With pg_cron it can also be scheduled in the database:
+--   select cron.schedule('session-reminders', '*/5 * * * *', 'select public.send_due_reminders()');
+-- =====================================================
+
+-- Describe a reminder offset, e.g. 'in 24 hours'
+create or replace function public.describe_reminder_offset(p_minutes integer)
+returns text as $$
+    select case
+        when p_minutes >= 2880 and p_minutes % 1440 = 0 then format('in %s days', p_minutes / 1440)
+        when p_minutes = 60 then 'in 1 hour'
+        when p_minutes % 60 = 0 then format('in %s hours', p_minutes / 60)
+        else format('in %s minutes', p_minutes)
+    end;
+$$ language sql immutable;
+
+-- Function to queue every reminder that is due at p_now for confirmed
+-- sessions, for both the client and the therapist. When several offsets are
+-- due at once (e.g. a session confirmed an hour before it starts) only the
+-- closest one is sent and the rest are logged as skipped. Returns the number
+-- of reminders sent.
+create or replace function public.send_due_reminders(p_now timestamptz default now())
+returns integer as $$
+declare
+    v_due record;
+    v_body text;
+    v_notification_id uuid;
+    v_sent integer := 0;
+begin
+    for v_due in
+        with due as (
+            select
+                b.id as booking_id,
+                b.user_id,
+                b.therapist_id,
+                b.starts_at,
+                b.meeting_link,
+                b.patient_name,
+                t."Name" as therapist_name,
+                t.cancellation_window_hours,
+                t.late_cancel_fee_percent,
+                r.recipient_id,
+                o.offset_minutes,
+                o.offset_minutes = min(o.offset_minutes) over (partition by b.id, r.recipient_id) as is_closest
+            from public."Bookings" b
+            join public."Therapists" t on t.id = b.therapist_id
+            cross join lateral unnest(t.reminder_offsets_minutes) as o(offset_minutes)
+            cross join lateral (values (b.user_id), (b.therapist_id)) as r(recipient_id)
+            where b.status = 'confirmed'
+              and b.starts_at > p_now
+              and b.starts_at - make_interval(mins => o.offset_minutes) <= p_now
+        )
+        select due.*, p.full_name as client_name
+        from due
+        left join public.profiles p on p.user_id = due.user_id
+        where not exists (
+            select 1 from public.session_reminders sr
+            where sr.booking_id = due.booking_id
+              and sr.recipient_id = due.recipient_id
+              and sr.offset_minutes = due.offset_minutes
+              and sr.starts_at = due.starts_at
+        )
+        order by due.starts_at, due.offset_minutes desc
+    loop
+        if not v_due.is_closest then
+            insert into public.session_reminders (booking_id, recipient_id, offset_minutes, starts_at, status, sent_at)
+            values (v_due.booking_id, v_due.recipient_id, v_due.offset_minutes, v_due.starts_at, 'skipped', p_now);
+            continue;
+        end if;
+
+        if v_due.recipient_id = v_due.user_id then
+            v_body := format('Your session with %s is %s: %s.', v_due.therapist_name,
+                             public.describe_reminder_offset(v_due.offset_minutes),
+                             public.format_notification_time(v_due.starts_at, v_due.recipient_id))
+                || ' Need to cancel? Use Cancel on the session in your dashboard'
+                || case when v_due.cancellation_window_hours > 0 and v_due.late_cancel_fee_percent > 0
+                        then format(' at least %s hours before it starts to avoid a %s%% late cancellation fee.',
+                                    v_due.cancellation_window_hours, v_due.late_cancel_fee_percent)
+                        else '.' end
+                || case when v_due.meeting_link is not null
+                        then format(' Join: %s', v_due.meeting_link)
+                        else ' Your therapist will share the meeting link before the session.' end;
+        else
+            v_body := format('Your session with %s is %s: %s.',
+                             coalesce(nullif(v_due.client_name, ''), v_due.patient_name, 'your client'),
+                             public.describe_reminder_offset(v_due.offset_minutes),
+                             public.format_notification_time(v_due.starts_at, v_due.recipient_id))
+                || ' To cancel or move it, use your dashboard.'
+                || case when v_due.meeting_link is not null
+                        then format(' Join: %s', v_due.meeting_link)
+                        else ' No meeting link has been added yet.' end;
+        end if;
+
+        v_notification_id := public.enqueue_notification(
+            v_due.recipient_id, 'session_reminder', 'Session reminder', v_body,
+            case when v_due.recipient_id = v_due.user_id then 'user-dashboard.html' else 'therapist-dashboard.html' end,
+            v_due.booking_id
+        );
+
+        insert into public.session_reminders (booking_id, recipient_id, offset_minutes, starts_at, status, notification_id, sent_at)
+        values (v_due.booking_id, v_due.recipient_id, v_due.offset_minutes, v_due.starts_at,
+                case when v_notification_id is null then 'muted' else 'sent' end,
+                v_notification_id, p_now);
+
+        if v_notification_id is not null then
+            v_sent := v_sent + 1;
+        end if;
+    end loop;
+
+    return v_sent;
+end;
+$$ language plpgsql security definer;
+
+-- Only the job runner (service role) sends reminders
+revoke execute on function public.send_due_reminders(timestamptz) from public, anon, authenticated;
+
+-- =====================================================
+-- CALENDAR FEED
+-- =====================================================
+
+-- Trigger function to bump the iCalendar SEQUENCE whenever a change would
+-- matter to a subscribed calendar (time, status or meeting link)
+create or replace function public.bump_booking_calendar_sequence()
+returns trigger as $$
+begin
+    if new.starts_at is distinct from old.starts_at
+       or new.ends_at is distinct from old.ends_at
+       or new.status is distinct from old.status
+       or new.meeting_link is distinct from old.meeting_link then
+        new.calendar_sequence = old.calendar_sequence + 1;
+    else
+        new.calendar_sequence = old.calendar_sequence;
+    end if;
+    return new;
+end;
+$$ language plpgsql;
+
+-- Apply trigger to Bookings
+create trigger bump_bookings_calendar_sequence
+    before update on public."Bookings"
+    for each row
+    execute function public.bump_booking_calendar_sequence();
+
+-- Function to get (creating on first use) the caller's feed token
+create or replace function public.get_calendar_feed_token()
+returns text as $$
+declare
+    v_token text;
+begin
+    if auth.uid() is null then
+        raise exception 'Not authenticated';
+    end if;
+
+    insert into public.calendar_feeds (user_id)
+    values (auth.uid())
+    on conflict (user_id) do nothing;
+
+    select token into v_token from public.calendar_feeds where user_id = auth.uid();
+    return v_token;
+end;
+$$ language plpgsql security definer;
+
+-- Function to replace the caller's feed token, cutting off old subscriptions
+create or replace function public.reset_calendar_feed_token()
+returns text as $$
+declare
+    v_token text;
+begin
+    if auth.uid() is null then
+        raise exception 'Not authenticated';
+    end if;
+
+    insert into public.calendar_feeds (user_id)
+    values (auth.uid())
+    on conflict (user_id) do update
+        set token = excluded.token, created_at = now()
+    returning token into v_token;
+
+    return v_token;
+end;
+$$ language plpgsql security definer;
+
+-- Escape a value for an iCalendar TEXT property (RFC 5545 3.3.11)
+create or replace function public.ics_escape(p_value text)
+returns text as $$
+    select replace(replace(replace(replace(replace(coalesce(p_value, ''),
+        '\', '\\'), ';', '\;'), ',', '\,'), E'\r', ''), E'\n', '\n');
+$$ language sql immutable;
+
+-- Fold a content line at 75 octets (RFC 5545 3.1)
+create or replace function public.ics_fold(p_line text)
+returns text as $$
+declare
+    v_result text := '';
+    v_octets integer := 0;
+    v_char text;
+begin
+    for i in 1..char_length(p_line) loop
+        v_char := substr(p_line, i, 1);
+        if v_octets + octet_length(v_char) > 75 then
+            v_result := v_result || E'\r\n ';
+            v_octets := 1;
+        end if;
+        v_result := v_result || v_char;
+        v_octets := v_octets + octet_length(v_char);
+    end loop;
+    return v_result || E'\r\n';
+end;
+$$ language plpgsql immutable;
+
+-- Domain so PostgREST serves calendar_feed() as text/calendar
+create domain "text/calendar" as text;
+
+-- Function to render a user's bookings as an iCalendar feed. Called without a
+-- session by calendar apps, so the token is the only credential:
+--   GET /rest/v1/rpc/calendar_feed?token=...&apikey=<anon key>
+-- Every booking keeps the UID booking-<id>@mindspace, so reschedules update
+-- the existing event and cancellations, rejections and no-shows show up as
+-- CANCELLED.
+create or replace function public.calendar_feed(token text)
+returns "text/calendar" as $$
+declare
+    v_user_id uuid;
+    v_body text := '';
+    v_booking record;
+    v_summary text;
+    v_description text;
+begin
+    select f.user_id into v_user_id
+    from public.calendar_feeds f
+    where f.token = calendar_feed.token;
+
+    if v_user_id is null then
+        raise exception 'Calendar feed not found' using errcode = 'P0002';
+    end if;
+
+    for v_booking in
+        select b.*, t."Name" as therapist_name
+        from public."Bookings" b
+        join public."Therapists" t on t.id = b.therapist_id
+        where b.user_id = v_user_id or b.therapist_id = v_user_id
+        order by b.starts_at
+    loop
+        if v_booking.therapist_id = v_user_id then
+            v_summary := 'Session with ' || coalesce(v_booking.patient_name, 'client');
+        else
+            v_summary := 'Therapy session with ' || coalesce(v_booking.therapist_name, 'your therapist');
+        end if;
+
+        v_description := 'MindSpace therapy session';
+        if v_booking.meeting_link is not null then
+            v_description := v_description || E'\nJoin: ' || v_booking.meeting_link;
+        end if;
+
+        v_body := v_body
+            || public.ics_fold('BEGIN:VEVENT')
+            || public.ics_fold('UID:booking-' || v_booking.id || '@mindspace')
+            || public.ics_fold('DTSTAMP:' || to_char(coalesce(v_booking.updated_at, v_booking.created_at) at time zone 'UTC', 'YYYYMMDD"T"HH24MISS"Z"'))
+            || public.ics_fold('DTSTART:' || to_char(v_booking.starts_at at time zone 'UTC', 'YYYYMMDD"T"HH24MISS"Z"'))
+            || public.ics_fold('DTEND:' || to_char(v_booking.ends_at at time zone 'UTC', 'YYYYMMDD"T"HH24MISS"Z"'))
+            || public.ics_fold('SEQUENCE:' || v_booking.calendar_sequence)
+            || public.ics_fold('STATUS:' || case v_booking.status
+                   when 'pending' then 'TENTATIVE'
+                   when 'cancelled' then 'CANCELLED'
+                   when 'rejected' then 'CANCELLED'
+                   when 'no_show' then 'CANCELLED'
+                   else 'CONFIRMED'
+               end)
+            || public.ics_fold('SUMMARY:' || public.ics_escape(v_summary))
+            || public.ics_fold('DESCRIPTION:' || public.ics_escape(v_description))
+            || case when v_booking.meeting_link is not null
+                   then public.ics_fold('URL:' || v_booking.meeting_link)
+                        || public.ics_fold('LOCATION:' || public.ics_escape(v_booking.meeting_link))
+                   else ''
+               end
+            || public.ics_fold('END:VEVENT');
+    end loop;
+
+    return public.ics_fold('BEGIN:VCALENDAR')
+        || public.ics_fold('VERSION:2.0')
+        || public.ics_fold('PRODID:-//MindSpace//Sessions//EN')
+        || public.ics_fold('CALSCALE:GREGORIAN')
+        || public.ics_fold('METHOD:PUBLISH')
+        || public.ics_fold('X-WR-CALNAME:MindSpace Sessions')
+        || v_body
+        || public.ics_fold('END:VCALENDAR');
+end;
+$$ language plpgsql stable security definer;
+
+-- =====================================================
+-- AUDIT LOG
+-- =====================================================
+
+-- Function to work out the role of whoever is signed in
+create or replace function public.audit_actor_role()
+returns text as $$
+    select case
+        when auth.uid() is null then 'system'
+        else coalesce((select role from public.profiles where user_id = auth.uid()), 'user')
+    end;
+$$ language sql stable security definer;
+
+-- Trigger function: log inserts, updates and deletes. Updates record only
+-- the columns that changed (updated_at alone is not a change) and are
+-- skipped when nothing did.
+create or replace function public.record_audit()
+returns trigger as $$
+declare
+    -- search_vector is derived from other columns, so it is left out
+    v_old jsonb := case when tg_op in ('UPDATE', 'DELETE') then to_jsonb(old) - 'search_vector' end;
+    v_new jsonb := case when tg_op in ('INSERT', 'UPDATE') then to_jsonb(new) - 'search_vector' end;
+    v_record_id uuid;
+begin
+    -- complete_account_deletion() logs the scrub once, without the values
+    if current_setting('mindspace.erasing_account', true) = 'on' then
+        return null;
+    end if;
+
+    if tg_table_name = 'profiles' then
+        v_record_id := coalesce(v_new, v_old)->>'user_id';
+    else
+        v_record_id := coalesce(v_new, v_old)->>'id';
+    end if;
+
+    if tg_op = 'UPDATE' then
+        select jsonb_object_agg(n.key, v_old->n.key), jsonb_object_agg(n.key, n.value)
+        into v_old, v_new
+        from jsonb_each(v_new) n
+        where n.key <> 'updated_at'
+          and n.value is distinct from v_old->n.key;
+
+        if v_new is null then
+            return null;
+        end if;
+    end if;
+
+    insert into public.audit_log (table_name, record_id, action, actor_id, actor_role, old_data, new_data)
+    values (tg_table_name, v_record_id, lower(tg_op), auth.uid(), public.audit_actor_role(), v_old, v_new);
+    return null;
+end;
+$$ language plpgsql security definer;
+
+-- Apply trigger to profiles
+create trigger audit_profiles
+    after insert or update or delete on public.profiles
+    for each row
+    execute function public.record_audit();
+
+-- Apply trigger to Therapists
+create trigger audit_therapists
+    after insert or update or delete on public."Therapists"
+    for each row
+    execute function public.record_audit();
+
+-- Apply trigger to Bookings
+create trigger audit_bookings
+    after insert or update or delete on public."Bookings"
+    for each row
+    execute function public.record_audit();
+
+-- Trigger function: keep audit_log append-only
+create or replace function public.prevent_audit_change()
+returns trigger as $$
+begin
+    -- complete_account_deletion() strips personal details from old entries
+    if tg_op = 'UPDATE' and current_setting('mindspace.erasing_account', true) = 'on' then
+        return new;
+    end if;
+
+    raise exception 'The audit log cannot be changed.';
+end;
+$$ language plpgsql;
+
+-- Apply trigger to audit_log
+create trigger prevent_audit_log_change
+    before update or delete on public.audit_log
+    for each row
+    execute function public.prevent_audit_change();
+
+-- Function to record that the signed-in user opened a record. Pages call it
+-- when showing a record's details. Admins can log any record; anyone else
+-- only their own records and those of the people they have sessions with.
+create or replace function public.log_record_view(p_table_name text, p_record_id uuid)
+returns void as $$
+declare
+    v_visible boolean;
+begin
+    if auth.uid() is null then
+        raise exception 'You must be signed in.';
+    end if;
+
+    if p_table_name = 'profiles' then
+        v_visible := exists (select 1 from public.profiles where user_id = p_record_id)
+            and (p_record_id = auth.uid() or exists (
+                select 1 from public."Bookings"
+                where (user_id = auth.uid() and therapist_id = p_record_id)
+                   or (therapist_id = auth.uid() and user_id = p_record_id)
+            ));
+    elsif p_table_name = 'Therapists' then
+        v_visible := exists (
+            select 1 from public."Therapists"
+            where id = p_record_id
+              and (id = auth.uid() or (approval_status = 'approved' and "Active" = true))
+        );
+    elsif p_table_name = 'Bookings' then
+        v_visible := exists (
+            select 1 from public."Bookings"
+            where id = p_record_id
+              and (user_id = auth.uid() or therapist_id = auth.uid())
+        );
+    else
+        raise exception 'Unknown table: %', p_table_name;
+    end if;
+
+    if not v_visible and public.audit_actor_role() <> 'admin' then
+        raise exception 'Record not found.';
+    end if;
+
+    insert into public.audit_log (table_name, record_id, action, actor_id, actor_role)
+    values (p_table_name, p_record_id, 'view', auth.uid(), public.audit_actor_role());
+end;
+$$ language plpgsql security definer;
+
+-- =====================================================
+-- REVIEWS
+-- =====================================================
+
+-- Trigger function: clients may review only their own completed sessions,
+-- and editing a review sends it back for moderation. Admins only moderate;
+-- they cannot change what the client wrote.
+create or replace function public.validate_review()
+returns trigger as $$
+declare
+    v_booking public."Bookings"%rowtype;
+begin
+    new.updated_at = now();
+
+    -- complete_account_deletion() clears the text of a closed account's reviews
+    if tg_op = 'UPDATE' and current_setting('mindspace.erasing_account', true) = 'on' then
+        return new;
+    end if;
+
+    if tg_op = 'UPDATE' and public.audit_actor_role() in ('admin', 'system') then
+        new.booking_id = old.booking_id;
+        new.user_id = old.user_id;
+        new.therapist_id = old.therapist_id;
+        new.rating = old.rating;
+        new.comment = old.comment;
+        if new.status is distinct from old.status then
+            new.moderated_by = auth.uid();
+            new.moderated_at = now();
+        end if;
+        if new.status <> 'rejected' then
+            new.moderation_note = null;
+        end if;
+        return new;
+    end if;
+
+    if tg_op = 'INSERT' then
+        select * into v_booking from public."Bookings" where id = new.booking_id;
+
+        if v_booking.id is null or v_booking.user_id is distinct from auth.uid() then
+            raise exception 'You can only review your own sessions.';
+        end if;
+        if v_booking.status <> 'completed' then
+            raise exception 'You can review a session once it has been completed.';
+        end if;
+
+        new.user_id = v_booking.user_id;
+        new.therapist_id = v_booking.therapist_id;
+    else
+        new.booking_id = old.booking_id;
+        new.user_id = old.user_id;
+        new.therapist_id = old.therapist_id;
+        new.created_at = old.created_at;
+    end if;
+
+    new.comment = nullif(btrim(new.comment), '');
+
+    -- New and edited reviews wait for moderation
+    if tg_op = 'INSERT' or new.rating is distinct from old.rating or new.comment is distinct from old.comment then
+        new.status = 'pending';
+        new.moderation_note = null;
+        new.moderated_by = null;
+        new.moderated_at = null;
+    else
+        new.status = old.status;
+        new.moderation_note = old.moderation_note;
+        new.moderated_by = old.moderated_by;
+        new.moderated_at = old.moderated_at;
+    end if;
+
+    return new;
+end;
+$$ language plpgsql security definer;
+
+-- Apply trigger to reviews
+create trigger validate_reviews
+    before insert or update on public.reviews
+    for each row
+    execute function public.validate_review();
+
+-- Trigger function: recalculate a therapist's rating from approved reviews
+create or replace function public.refresh_therapist_rating()
+returns trigger as $$
+begin
+    update public."Therapists" t
+    set rating_average = r.average,
+        rating_count = r.total
+    from (
+        select round(avg(rating), 2) as average, count(*)::integer as total
+        from public.reviews
+        where therapist_id = coalesce(new.therapist_id, old.therapist_id) and status = 'approved'
+    ) r
+    where t.id = coalesce(new.therapist_id, old.therapist_id);
+    return null;
+end;
+$$ language plpgsql security definer;
+
+-- Apply trigger to reviews
+create trigger refresh_reviews_rating
+    after insert or update or delete on public.reviews
+    for each row
+    execute function public.refresh_therapist_rating();
+
+-- Trigger function: ratings can only be set by refresh_therapist_rating(),
+-- which runs as a nested trigger; direct writes keep the current values
+create or replace function public.protect_therapist_rating()
+returns trigger as $$
+begin
+    if pg_trigger_depth() = 1 then
+        if tg_op = 'INSERT' then
+            new.rating_average = null;
+            new.rating_count = 0;
+        else
+            new.rating_average = old.rating_average;
+            new.rating_count = old.rating_count;
+        end if;
+    end if;
+    return new;
+end;
+$$ language plpgsql;
+
+-- Apply trigger to Therapists
+create trigger protect_therapists_rating
+    before insert or update on public."Therapists"
+    for each row
+    execute function public.protect_therapist_rating();
+
+-- =====================================================
+-- ASSESSMENTS
+-- PHQ-9 and GAD-7 are scored here, not in the browser, so the score, the
+-- severity band and the risk flag can be trusted.
+-- =====================================================
+
+-- Severity band for a questionnaire score
+create or replace function public.assessment_severity(p_instrument text, p_score integer)
+returns text as $$
+    select case
+        when p_score is null then null
+        when p_score <= 4 then 'minimal'
+        when p_score <= 9 then 'mild'
+        when p_score <= 14 then 'moderate'
+        when p_instrument = 'gad7' then 'severe'
+        when p_score <= 19 then 'moderately_severe'
+        else 'severe'
+    end;
+$$ language sql immutable;
+
+-- Trigger function: therapists assign questionnaires to their own clients;
+-- the client answers once and the answers are scored. Therapists can then
+-- only cancel an open questionnaire or acknowledge a risk flag.
+create or replace function public.validate_assessment()
+returns trigger as $$
+declare
+    v_item_count integer := case new.instrument when 'phq9' then 9 else 7 end;
+begin
+    if tg_op = 'INSERT' then
+        if public.audit_actor_role() <> 'system' and not exists (
+            select 1 from public."Bookings"
+            where therapist_id = new.therapist_id and user_id = new.user_id
+        ) then
+            raise exception 'You can only send questionnaires to your own clients.';
+        end if;
+        if new.due_at is not null and new.due_at <= now() then
+            raise exception 'The due date must be in the future.';
+        end if;
+
+        new.status = 'assigned';
+        new.responses = null;
+        new.score = null;
+        new.severity = null;
+        new.risk_flag = false;
+        new.risk_reviewed_at = null;
+        new.assigned_at = now();
+        new.completed_at = null;
+        return new;
+    end if;
+
+    new.user_id = old.user_id;
+    new.therapist_id = old.therapist_id;
+    new.instrument = old.instrument;
+    new.assigned_at = old.assigned_at;
+
+    if auth.uid() = old.user_id then
+        if old.status <> 'assigned' then
+            raise exception 'This questionnaire is no longer open.';
+        end if;
+        if new.responses is null
+           or cardinality(new.responses) <> v_item_count
+           or array_position(new.responses, null) is not null
+           or exists (select 1 from unnest(new.responses) r where r not between 0 and 3) then
+            raise exception 'Please answer every question.';
+        end if;
+
+        new.due_at = old.due_at;
+        new.risk_reviewed_at = null;
+        new.score = (select sum(r) from unnest(new.responses) r);
+        new.severity = public.assessment_severity(new.instrument, new.score);
+        new.risk_flag = new.instrument = 'phq9' and new.responses[9] > 0;
+        new.status = 'completed';
+        new.completed_at = now();
+        return new;
+    end if;
+
+    -- Answers belong to the client
+    new.responses = old.responses;
+    new.score = old.score;
+    new.severity = old.severity;
+    new.risk_flag = old.risk_flag;
+    new.completed_at = old.completed_at;
+
+    if new.status <> old.status and not (old.status = 'assigned' and new.status = 'cancelled') then
+        raise exception 'Only an open questionnaire can be cancelled.';
+    end if;
+    if old.status <> 'assigned' then
+        new.due_at = old.due_at;
+    end if;
+
+    if not old.risk_flag or old.risk_reviewed_at is not null then
+        new.risk_reviewed_at = old.risk_reviewed_at;
+    elsif new.risk_reviewed_at is not null then
+        new.risk_reviewed_at = now();
+    end if;
+
+    return new;
+end;
+$$ language plpgsql security definer;
+
+-- Apply trigger to assessments
+create trigger validate_assessments
+    before insert or update on public.assessments
+    for each row
+    execute function public.validate_assessment();
+
+-- Trigger function: tell the client about a new questionnaire and the
+-- therapist about a completed one. A risk answer is sent as its own event,
+-- which the preferences screen does not offer to mute.
+create or replace function public.notify_assessment_change()
+returns trigger as $$
+declare
+    v_instrument text := case new.instrument when 'phq9' then 'PHQ-9' else 'GAD-7' end;
+    v_therapist_name text;
+    v_client_name text;
+begin
+    select "Name" into v_therapist_name from public."Therapists" where id = new.therapist_id;
+    select full_name into v_client_name from public.profiles where user_id = new.user_id;
+    v_therapist_name := coalesce(v_therapist_name, 'Your therapist');
+    v_client_name := coalesce(nullif(v_client_name, ''), 'Your client');
+
+    if tg_op = 'INSERT' then
+        perform public.enqueue_notification(
+            new.user_id, 'assessment_assigned', 'New questionnaire',
+            format('%s asked you to complete the %s questionnaire%s.', v_therapist_name, v_instrument,
+                   case when new.due_at is not null
+                        then ' by ' || public.format_notification_time(new.due_at, new.user_id)
+                        else '' end),
+            'user-dashboard.html'
+        );
+    elsif new.status = 'completed' and old.status <> 'completed' then
+        if new.risk_flag then
+            perform public.enqueue_notification(
+                new.therapist_id, 'assessment_risk', 'Urgent: safety concern',
+                format('%s reported thoughts of being better off dead or of self-harm on the PHQ-9 (score %s, %s). Please review and follow your safety protocol.',
+                       v_client_name, new.score, replace(new.severity, '_', ' ')),
+                'therapist-dashboard.html'
+            );
+        else
+            perform public.enqueue_notification(
+                new.therapist_id, 'assessment_completed', 'Questionnaire completed',
+                format('%s completed the %s: score %s (%s).',
+                       v_client_name, v_instrument, new.score, replace(new.severity, '_', ' ')),
+                'therapist-dashboard.html'
+            );
+        end if;
+    end if;
+
+    return null;
+end;
+$$ language plpgsql security definer;
+
+-- Apply trigger to assessments
+create trigger notify_assessments_change
+    after insert or update on public.assessments
+    for each row
+    execute function public.notify_assessment_change();
+
+-- =====================================================
+-- CLINICAL NOTES
+-- Notes lock when the therapist signs them or 72 hours after the session
+-- ends, whichever comes first. Locked notes only take addenda.
+-- =====================================================
+
+-- Sections each note template may contain
+create or replace function public.clinical_note_sections(p_template text)
+returns text[] as $$
+    select case p_template
+        when 'soap' then array['subjective', 'objective', 'assessment', 'plan']
+        when 'dap' then array['data', 'assessment', 'plan']
+    end;
+$$ language sql immutable;
+
+-- Trigger function: a note belongs to one of the therapist's own sessions,
+-- holds only its template's sections, and cannot change once locked
+create or replace function public.validate_clinical_note()
+returns trigger as $$
+declare
+    v_booking public."Bookings"%rowtype;
+    v_key text;
+begin
+    if tg_op = 'INSERT' then
+        select * into v_booking from public."Bookings" where id = new.booking_id;
+
+        if v_booking.id is null
+           or (public.audit_actor_role() <> 'system' and v_booking.therapist_id is distinct from auth.uid()) then
+            raise exception 'You can only write notes for your own sessions.';
+        end if;
+        if v_booking.status in ('pending', 'rejected') then
+            raise exception 'Notes can be written once the session is confirmed.';
+        end if;
+
+        new.therapist_id = v_booking.therapist_id;
+        new.user_id = v_booking.user_id;
+        new.locks_at = v_booking.ends_at + interval '72 hours';
+        new.created_at = now();
+    else
+        if old.signed_at is not null or now() >= old.locks_at then
+            raise exception 'This note is locked. Add an addendum instead.';
+        end if;
+
+        new.booking_id = old.booking_id;
+        new.therapist_id = old.therapist_id;
+        new.user_id = old.user_id;
+        new.locks_at = old.locks_at;
+        new.created_at = old.created_at;
+    end if;
+
+    if jsonb_typeof(new.content) <> 'object' then
+        raise exception 'Note content must be an object of sections.';
+    end if;
+    for v_key in select jsonb_object_keys(new.content) loop
+        if not v_key = any(public.clinical_note_sections(new.template)) then
+            raise exception 'Section "%" is not part of the % template.', v_key, upper(new.template);
+        end if;
+        if jsonb_typeof(new.content->v_key) <> 'string' or char_length(new.content->>v_key) > 10000 then
+            raise exception 'Each section must be text of up to 10000 characters.';
+        end if;
+    end loop;
+
+    if new.signed_at is not null then
+        new.signed_at = now();
+    end if;
+    new.updated_at = now();
+
+    return new;
+end;
+$$ language plpgsql security definer;
+
+-- Apply trigger to clinical_notes
+create trigger validate_clinical_notes
+    before insert or update on public.clinical_notes
+    for each row
+    execute function public.validate_clinical_note();
+
+-- Trigger function: addenda are only for locked notes, by the note's author
+create or replace function public.validate_clinical_note_addendum()
+returns trigger as $$
+declare
+    v_note public.clinical_notes%rowtype;
+begin
+    select * into v_note from public.clinical_notes where id = new.note_id;
+
+    if v_note.id is null
+       or (public.audit_actor_role() <> 'system' and v_note.therapist_id is distinct from auth.uid()) then
+        raise exception 'You can only add to your own notes.';
+    end if;
+    if v_note.signed_at is null and now() < v_note.locks_at then
+        raise exception 'This note is still a draft. Edit it instead.';
+    end if;
+
+    new.therapist_id = v_note.therapist_id;
+    new.body = btrim(new.body);
+    new.created_at = now();
+    return new;
+end;
+$$ language plpgsql security definer;
+
+-- Apply trigger to clinical_note_addenda
+create trigger validate_clinical_note_addenda
+    before insert on public.clinical_note_addenda
+    for each row
+    execute function public.validate_clinical_note_addendum();
+
+-- Trigger function: notes are never deleted and addenda never change. An
+-- unsigned draft still open for editing goes away with its booking (the
+-- cascade runs as a nested trigger); a signed or locked note keeps its
+-- booking from being deleted.
+create or replace function public.prevent_clinical_note_change()
+returns trigger as $$
+begin
+    if tg_op = 'DELETE' and pg_trigger_depth() > 1 and tg_table_name = 'clinical_notes' then
+        if old.signed_at is null and now() < old.locks_at then
+            return old;
+        end if;
+    end if;
+    if pg_trigger_depth() > 1 then
+        raise exception 'This session has a signed or locked clinical note, so it cannot be deleted. Cancel it instead.';
+    end if;
+    raise exception 'Clinical records cannot be deleted or rewritten.';
+end;
+$$ language plpgsql;
+
+-- Apply trigger to clinical_notes
+create trigger prevent_clinical_notes_delete
+    before delete on public.clinical_notes
+    for each row
+    execute function public.prevent_clinical_note_change();
+
+-- Apply trigger to clinical_note_addenda
+create trigger prevent_clinical_note_addenda_change
+    before update or delete on public.clinical_note_addenda
+    for each row
+    execute function public.prevent_clinical_note_change();
+
+-- Retire Bookings.session_notes. Clients can read their own bookings, so
+-- private notes written there before clinical notes existed move into the
+-- therapist's clinical notes (a new note for the session, or an addendum or
+-- draft section on the existing one) and the column is cleared. Sessions
+-- that never went ahead (pending or rejected) cannot hold a note; their
+-- old notes are dropped.
+insert into public.clinical_notes (booking_id, template, content)
+select b.id, 'soap', jsonb_build_object('subjective', left(b.session_notes, 10000))
+from public."Bookings" b
+where nullif(btrim(b.session_notes), '') is not null
+  and b.status not in ('pending', 'rejected')
+  and not exists (select 1 from public.clinical_notes n where n.booking_id = b.id);
+
+insert into public.clinical_note_addenda (note_id, body)
+select n.id, left('Moved from the old session notes: ' || b.session_notes, 5000)
+from public.clinical_notes n
+join public."Bookings" b on b.id = n.booking_id
+where nullif(btrim(b.session_notes), '') is not null
+  and (n.signed_at is not null or now() >= n.locks_at)
+  and n.content ->> 'subjective' is distinct from left(b.session_notes, 10000);
+
+update public.clinical_notes n
+set content = n.content || jsonb_build_object(
+        case when n.template = 'dap' then 'data' else 'subjective' end,
+        left(concat_ws(E'\n\n',
+            n.content ->> case when n.template = 'dap' then 'data' else 'subjective' end,
+            b.session_notes), 10000))
+from public."Bookings" b
+where b.id = n.booking_id
+  and nullif(btrim(b.session_notes), '') is not null
+  and n.signed_at is null and now() < n.locks_at
+  and n.content ->> 'subjective' is distinct from left(b.session_notes, 10000);
+
+-- Clear the column and the copies in the audit log without logging the
+-- notes again
+select set_config('mindspace.erasing_account', 'on', false);
+
+update public."Bookings"
+set session_notes = null
+where session_notes is not null;
+
+update public.audit_log
+set old_data = old_data - 'session_notes',
+    new_data = new_data - 'session_notes'
+where table_name = 'Bookings'
+  and (old_data ? 'session_notes' or new_data ? 'session_notes');
+
+select set_config('mindspace.erasing_account', 'off', false);
+
+-- =====================================================
+-- CREDENTIALS
+-- Admins approve an application only with license details and a license
+-- document on file. process_license_expiries() is run by
+-- notification-worker.js on every poll; with pg_cron:
+--   select cron.schedule('license-expiries', '0 * * * *', 'select public.process_license_expiries()');
+-- =====================================================
+
+-- Private bucket for credential documents (10 MB, images and PDFs), one
+-- folder per therapist
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values (
+    'credential-documents', 'credential-documents', false, 10485760,
+    array['image/png', 'image/jpeg', 'application/pdf']
+)
+on conflict (id) do nothing;
+
+-- Policy: Therapists can upload into their own folder
+create policy "Therapists can upload credential documents"
+    on storage.objects
+    for insert
+    with check (
+        bucket_id = 'credential-documents'
+        and (storage.foldername(name))[1] = auth.uid()::text
+    );
+
+-- Policy: Therapists can remove files from their own folder
+create policy "Therapists can delete credential documents"
+    on storage.objects
+    for delete
+    using (
+        bucket_id = 'credential-documents'
+        and (storage.foldername(name))[1] = auth.uid()::text
+    );
+
+-- Policy: Therapists and admins can download credential documents
+create policy "Therapists and admins can read credential documents"
+    on storage.objects
+    for select
+    using (
+        bucket_id = 'credential-documents'
+        and (
+            (storage.foldername(name))[1] = auth.uid()::text
+            or exists (
+                select 1 from public.profiles
+                where user_id = auth.uid() and role = 'admin'
+            )
+        )
+    );
+
+-- Trigger function: only admins approve therapists, verify licenses and
+-- make a deactivated profile active again. Changing the license details
+-- clears the verification, and a therapist doing so is taken off search and
+-- booking (back to pending) until an admin approves again; approval needs complete, current details and a
+-- license document; a lapsed license or a suspended account cannot be made
+-- active again.
+create or replace function public.check_therapist_license()
+returns trigger as $$
+declare
+    v_today date := (now() at time zone 'UTC')::date;
+begin
+    if public.audit_actor_role() not in ('admin', 'system') then
+        if tg_op = 'INSERT' then
+            if new.approval_status is distinct from 'pending' then
+                raise exception 'New therapist profiles start out pending review.';
+            end if;
+            new.license_verified_at = null;
+            new.license_verified_by = null;
+        else
+            if new.approval_status is distinct from old.approval_status then
+                raise exception 'Only admins can approve or reject therapist profiles.';
+            end if;
+            if (new.license_verified_at, new.license_verified_by)
+               is distinct from (old.license_verified_at, old.license_verified_by) then
+                raise exception 'Only admins can verify licenses.';
+            end if;
+            if new."Active" = true and old."Active" is distinct from true then
+                raise exception 'Only admins can make a deactivated profile active again. Contact support.';
+            end if;
+        end if;
+    end if;
+
+    if tg_op = 'UPDATE'
+       and (new.license, new.license_number, new.license_issuer, new.license_expires_on)
+           is distinct from (old.license, old.license_number, old.license_issuer, old.license_expires_on) then
+        new.license_verified_at = null;
+        new.license_verified_by = null;
+
+        if public.audit_actor_role() not in ('admin', 'system') and old.approval_status = 'approved' then
+            new.approval_status = 'pending';
+        end if;
+    end if;
+
+    if tg_op = 'UPDATE' and new.approval_status = 'approved' and old.approval_status is distinct from 'approved' then
+        if nullif(btrim(new.license_number), '') is null
+           or nullif(btrim(new.license_issuer), '') is null
+           or new.license_expires_on is null then
+            raise exception 'The license number, issuing state or board and expiry date are required before approval.';
+        end if;
+        if not exists (
+            select 1 from public.credential_documents
+            where therapist_id = new.id and kind = 'license'
+        ) then
+            raise exception 'A license document is required before approval.';
+        end if;
+        new.license_verified_at = now();
+        -- Approvals run from SQL (no signed-in user) have no verifier to record
+        new.license_verified_by = case when public.audit_actor_role() = 'admin' then auth.uid() end;
+    end if;
+
+    if new."Active" = true
+       and (tg_op = 'INSERT' or old."Active" is distinct from true)
+       and exists (select 1 from public.profiles where user_id = new.user_id and status = 'suspended') then
+        raise exception 'This account is suspended. Reactivate it first.';
+    end if;
+
+    if new.license_expires_on < v_today
+       and new."Active" = true
+       and (tg_op = 'INSERT' or old."Active" is distinct from true) then
+        raise exception 'The license expired on %. Update the expiry date first.', to_char(new.license_expires_on, 'FMMonth FMDD, YYYY');
+    end if;
+
+    return new;
+end;
+$$ language plpgsql security definer;
+
+-- Apply trigger to Therapists
+create trigger check_therapists_license
+    before insert or update on public."Therapists"
+    for each row
+    execute function public.check_therapist_license();
+
+-- Function to warn therapists and admins 30 and 7 days before a license
+-- expires, and to deactivate therapists whose license has lapsed (the day
+-- after the expiry date, UTC). Returns the number of therapists warned or
+-- deactivated.
+create or replace function public.process_license_expiries(p_now timestamptz default now())
+returns integer as $$
+declare
+    v_today date := (p_now at time zone 'UTC')::date;
+    v_therapist record;
+    v_admin record;
+    v_body text;
+    v_count integer := 0;
+begin
+    -- Closest threshold due for each license; earlier thresholds are logged too
+    for v_therapist in
+        select t.id, t."Name", t.license_expires_on,
+               case when t.license_expires_on - v_today <= 7 then 7 else 30 end as days_before
+        from public."Therapists" t
+        where t.approval_status = 'approved'
+          and t."Active" = true
+          and t.license_expires_on between v_today and v_today + 30
+    loop
+        continue when exists (
+            select 1 from public.license_expiry_notices
+            where therapist_id = v_therapist.id
+              and expires_on = v_therapist.license_expires_on
+              and days_before = v_therapist.days_before
+        );
+
+        insert into public.license_expiry_notices (therapist_id, expires_on, days_before)
+        select v_therapist.id, v_therapist.license_expires_on, d
+        from unnest(array[30, 7]) d
+        where d >= v_therapist.days_before
+        on conflict do nothing;
+
+        perform public.enqueue_notification(
+            v_therapist.id, 'license_expiring', 'License expiring soon',
+            format('Your license expires on %s. Update the expiry date and upload the renewed license in your profile, or your listing will be deactivated when it lapses.',
+                   to_char(v_therapist.license_expires_on, 'FMMonth FMDD, YYYY')),
+            'therapist-dashboard.html'
+        );
+        for v_admin in select user_id from public.profiles where role = 'admin' loop
+            perform public.enqueue_notification(
+                v_admin.user_id, 'license_expiring', 'Therapist license expiring',
+                format('%s''s license expires on %s.', v_therapist."Name",
+                       to_char(v_therapist.license_expires_on, 'FMMonth FMDD, YYYY')),
+                'admin-dashboard.html'
+            );
+        end loop;
+        v_count := v_count + 1;
+    end loop;
+
+    for v_therapist in
+        update public."Therapists"
+        set "Active" = false
+        where "Active" = true
+          and license_expires_on < v_today
+        returning id, "Name", license_expires_on
+    loop
+        v_body := format('expired on %s, so the profile has been deactivated and no longer takes bookings.',
+                         to_char(v_therapist.license_expires_on, 'FMMonth FMDD, YYYY'));
+        perform public.enqueue_notification(
+            v_therapist.id, 'license_expired', 'License expired',
+            format('Your license %s Update the expiry date and upload the renewed license in your profile, then contact support to reactivate.', v_body),
+            'therapist-dashboard.html'
+        );
+        for v_admin in select user_id from public.profiles where role = 'admin' loop
+            perform public.enqueue_notification(
+                v_admin.user_id, 'license_expired', 'Therapist license expired',
+                format('%s''s license %s', v_therapist."Name", v_body),
+                'admin-dashboard.html'
+            );
+        end loop;
+        v_count := v_count + 1;
+    end loop;
+
+    return v_count;
+end;
+$$ language plpgsql security definer;
+
+-- Only the job runner (service role) processes expiries
+revoke execute on function public.process_license_expiries(timestamptz) from public, anon, authenticated;
+
+-- =====================================================
+-- PRIVACY
+-- Self-service data export and account deletion. A deletion request waits
+-- out a 30-day grace period, then an admin completes it. Completing it
+-- cancels upcoming sessions, scrubs the person's name and contact details
+-- from their profile, therapist row, bookings and the audit log, and clears
+-- what they wrote to support, their review text and stored card digits.
+-- Care and money records are kept as they are: sessions, payments, invoices
+-- and refunds (accounting), clinical notes, questionnaires and risk flags
+-- (the therapist's clinical record), messages and their attachments (the
+-- other participant's conversation) and a therapist's credential documents
+-- (who was verified). The profile row stays, marked deleted, so those
+-- records keep their references.
+-- =====================================================
+
+-- Columns holding personal details, scrubbed when an account closes. The
+-- same keys are removed from the account's audit entries.
+create or replace function public.erased_columns()
+returns text[] as $$
+    select array[
+        'email', 'full_name', 'phone', 'date_of_birth', 'gender', 'city', 'address',
+        'emergency_contact_name', 'emergency_contact_phone', 'profile_picture_url',
+        'Name', 'bio', 'patient_name', 'patient_email', 'problem_description'
+    ];
+$$ language sql immutable;
+
+-- Function to export everything held about the caller as one JSON document.
+-- Clients get the same rows they can see in the app, so no clinical notes or
+-- risk flags; therapists also get their clinical notes, risk flags, hours and
+-- credential documents.
+-- Each export is recorded in the audit log.
+create or replace function public.export_my_data()
+returns jsonb as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_result jsonb;
+begin
+    if v_user_id is null then
+        raise exception 'You must be signed in.';
+    end if;
+
+    select jsonb_build_object(
+        'exported_at', now(),
+        'profile', (select to_jsonb(p) from public.profiles p where p.user_id = v_user_id),
+        'therapist', (select to_jsonb(t) - 'search_vector' from public."Therapists" t where t.id = v_user_id),
+        'bookings', (
+            select coalesce(jsonb_agg(
+                case when b.therapist_id = v_user_id then to_jsonb(b) else to_jsonb(b) - 'session_notes' end
+                order by b.starts_at
+            ), '[]'::jsonb)
+            from public."Bookings" b
+            where b.user_id = v_user_id or b.therapist_id = v_user_id
+        ),
+        'reschedule_proposals', (
+            select coalesce(jsonb_agg(to_jsonb(r) order by r.created_at), '[]'::jsonb)
+            from public.reschedule_proposals r
+            join public."Bookings" b on b.id = r.booking_id
+            where b.user_id = v_user_id or b.therapist_id = v_user_id
+        ),
+        'payments', (
+            select coalesce(jsonb_agg(to_jsonb(p) order by p.created_at), '[]'::jsonb)
+            from public.payments p
+            where p.user_id = v_user_id or p.therapist_id = v_user_id
+        ),
+        'invoices', (
+            select coalesce(jsonb_agg(to_jsonb(i) order by i.issued_at), '[]'::jsonb)
+            from public.invoices i
+            where i.user_id = v_user_id or i.therapist_id = v_user_id
+        ),
+        'refunds', (
+            select coalesce(jsonb_agg(to_jsonb(r) order by r.created_at), '[]'::jsonb)
+            from public.refunds r
+            join public.payments p on p.id = r.payment_id
+            where p.user_id = v_user_id or p.therapist_id = v_user_id
+        ),
+        'messages', (
+            select coalesce(jsonb_agg(to_jsonb(m) || jsonb_build_object('sent_by_me', m.sender_id = v_user_id) order by m.created_at), '[]'::jsonb)
+            from public.messages m
+            join public.message_threads t on t.id = m.thread_id
+            where t.user_id = v_user_id or t.therapist_id = v_user_id
+        ),
+        'assessments', (
+            select coalesce(jsonb_agg(to_jsonb(a) order by a.assigned_at), '[]'::jsonb)
+            from public.assessments a
+            where a.user_id = v_user_id or a.therapist_id = v_user_id
+        ),
+        'clinical_notes', (
+            select coalesce(jsonb_agg(to_jsonb(n) || jsonb_build_object(
+                'addenda', (
+                    select coalesce(jsonb_agg(to_jsonb(d) order by d.created_at), '[]'::jsonb)
+                    from public.clinical_note_addenda d
+                    where d.note_id = n.id
+                )
+            ) order by n.created_at), '[]'::jsonb)
+            from public.clinical_notes n
+            where n.therapist_id = v_user_id
+        ),
+        'risk_flags', (
+            select coalesce(jsonb_agg(to_jsonb(f) || jsonb_build_object(
+                'events', (
+                    select coalesce(jsonb_agg(to_jsonb(e) order by e.created_at), '[]'::jsonb)
+                    from public.risk_flag_events e
+                    where e.flag_id = f.id
+                )
+            ) order by f.created_at), '[]'::jsonb)
+            from public.risk_flags f
+            where f.therapist_id = v_user_id
+        ),
+        'reviews', (
+            select coalesce(jsonb_agg(to_jsonb(r) order by r.created_at), '[]'::jsonb)
+            from public.reviews r
+            where r.user_id = v_user_id
+        ),
+        'availability', (
+            select coalesce(jsonb_agg(to_jsonb(a) order by a.day_of_week, a.start_time), '[]'::jsonb)
+            from public.therapist_availability a
+            where a.therapist_id = v_user_id
+        ),
+        'availability_exceptions', (
+            select coalesce(jsonb_agg(to_jsonb(e) order by e.start_date), '[]'::jsonb)
+            from public.therapist_availability_exceptions e
+            where e.therapist_id = v_user_id
+        ),
+        'credential_documents', (
+            select coalesce(jsonb_agg(to_jsonb(d) order by d.created_at), '[]'::jsonb)
+            from public.credential_documents d
+            where d.therapist_id = v_user_id
+        ),
+        'notifications', (
+            select coalesce(jsonb_agg(to_jsonb(n) order by n.created_at), '[]'::jsonb)
+            from public.notifications n
+            where n.user_id = v_user_id
+        ),
+        'notification_preferences', (
+            select coalesce(jsonb_agg(to_jsonb(p) order by p.event_type), '[]'::jsonb)
+            from public.notification_preferences p
+            where p.user_id = v_user_id
+        ),
+        'support_tickets', (
+            select coalesce(jsonb_agg(to_jsonb(t) - 'assigned_to' || jsonb_build_object(
+                'replies', (
+                    select coalesce(jsonb_agg(jsonb_build_object(
+                        'from_support', r.from_support, 'body', r.body, 'created_at', r.created_at
+                    ) order by r.created_at), '[]'::jsonb)
+                    from public.support_ticket_replies r
+                    where r.ticket_id = t.id
+                )
+            ) order by t.created_at), '[]'::jsonb)
+            from public.support_tickets t
+            where t.user_id = v_user_id
+        ),
+        'account_deletion_requests', (
+            select coalesce(jsonb_agg(to_jsonb(r) order by r.requested_at), '[]'::jsonb)
+            from public.account_deletion_requests r
+            where r.user_id = v_user_id
+        )
+    )
+    into v_result;
+
+    insert into public.audit_log (table_name, record_id, action, actor_id, actor_role)
+    values ('profiles', v_user_id, 'export', v_user_id, public.audit_actor_role());
+
+    return v_result;
+end;
+$$ language plpgsql security definer;
+
+-- Function to ask for the caller's account to be closed. Returns the request
+-- id. Admin accounts are not closed through self-service.
+create or replace function public.request_account_deletion(p_reason text default null)
+returns uuid as $$
+declare
+    v_profile public.profiles;
+    v_id uuid;
+    v_scheduled_for timestamp with time zone := now() + interval '30 days';
+begin
+    select * into v_profile
+    from public.profiles
+    where user_id = auth.uid() and deleted_at is null;
+
+    if v_profile.user_id is null then
+        raise exception 'You must be signed in.';
+    end if;
+
+    if v_profile.role = 'admin' then
+        raise exception 'Admin accounts are closed by another admin.';
+    end if;
+
+    if exists (
+        select 1 from public.account_deletion_requests
+        where user_id = v_profile.user_id and status = 'pending'
+    ) then
+        raise exception 'Your account is already scheduled to close.';
+    end if;
+
+    insert into public.account_deletion_requests (user_id, role, reason, scheduled_for)
+    values (v_profile.user_id, v_profile.role, nullif(trim(p_reason), ''), v_scheduled_for)
+    returning id into v_id;
+
+    perform public.enqueue_notification(
+        v_profile.user_id,
+        'account_deletion_requested',
+        'Account deletion scheduled',
+        format('Your account will close on %s. You can cancel from your profile until then, and download your data if you want a copy.',
+            public.format_notification_time(v_scheduled_for, v_profile.user_id)),
+        case when v_profile.role = 'therapist' then 'therapist-dashboard.html' else 'user-dashboard.html' end,
+        null
+    );
+
+    perform public.enqueue_notification(
+        a.user_id,
+        'account_deletion_requested',
+        'Account deletion requested',
+        format('%s (%s) asked to close their account. It can be completed from %s.',
+            coalesce(v_profile.full_name, v_profile.email),
+            case when v_profile.role = 'therapist' then 'therapist' else 'client' end,
+            public.format_notification_time(v_scheduled_for, a.user_id)),
+        'admin-dashboard.html',
+        null
+    )
+    from public.profiles a
+    where a.role = 'admin';
+
+    return v_id;
+end;
+$$ language plpgsql security definer;
+
+-- Function to cancel the caller's pending deletion request
+create or replace function public.cancel_account_deletion()
+returns void as $$
+begin
+    update public.account_deletion_requests
+    set status = 'cancelled',
+        cancelled_at = now()
+    where user_id = auth.uid() and status = 'pending';
+
+    if not found then
+        raise exception 'There is no pending deletion request to cancel.';
+    end if;
+end;
+$$ language plpgsql security definer;
+
+-- Function for admins to complete a deletion request once its grace period
+-- is over. Upcoming sessions are cancelled (refunds and notices follow from
+-- the booking triggers), personal details are scrubbed as described above,
+-- and notifications, preferences, the calendar feed and weekly hours are
+-- removed. Sign-in is disabled afterwards by notification-worker.js.
+create or replace function public.complete_account_deletion(p_request_id uuid)
+returns void as $$
+declare
+    v_request public.account_deletion_requests;
+    v_user_id uuid;
+begin
+    if not exists (select 1 from public.profiles where user_id = auth.uid() and role = 'admin') then
+        raise exception 'Only admins can complete deletion requests.';
+    end if;
+
+    select * into v_request
+    from public.account_deletion_requests
+    where id = p_request_id
+    for update;
+
+    if v_request.id is null then
+        raise exception 'Deletion request not found.';
+    end if;
+
+    if v_request.status <> 'pending' then
+        raise exception 'This request is already %.', v_request.status;
+    end if;
+
+    if v_request.scheduled_for > now() then
+        raise exception 'This request is in its grace period until %.',
+            to_char(v_request.scheduled_for at time zone 'UTC', 'Mon DD, YYYY HH24:MI "UTC"');
+    end if;
+
+    v_user_id := v_request.user_id;
+
+    update public."Bookings"
+    set status = 'cancelled',
+        status_reason = 'The account was closed.'
+    where (user_id = v_user_id or therapist_id = v_user_id)
+      and status in ('pending', 'confirmed')
+      and starts_at > now();
+
+    -- Scrub without copying the removed values into the audit log, and strip
+    -- them from the account's earlier entries
+    perform set_config('mindspace.erasing_account', 'on', true);
+
+    update public.profiles
+    set email = 'deleted-' || v_user_id || '@deleted.invalid',
+        full_name = 'Deleted user',
+        phone = null,
+        date_of_birth = null,
+        gender = null,
+        city = null,
+        address = null,
+        emergency_contact_name = null,
+        emergency_contact_phone = null,
+        profile_picture_url = null,
+        deleted_at = now()
+    where user_id = v_user_id;
+
+    update public."Therapists"
+    set "Name" = 'Deleted therapist',
+        email = 'deleted-' || v_user_id || '@deleted.invalid',
+        phone = null,
+        bio = null,
+        gender = null,
+        "Active" = false
+    where id = v_user_id;
+
+    update public."Bookings"
+    set patient_name = 'Deleted user',
+        patient_email = null,
+        problem_description = null
+    where user_id = v_user_id;
+
+    update public.support_tickets
+    set name = 'Deleted user',
+        email = 'deleted-' || v_user_id || '@deleted.invalid',
+        message = 'Removed when the account was closed.'
+    where user_id = v_user_id;
+
+    update public.support_ticket_replies
+    set body = 'Removed when the account was closed.'
+    where author_id = v_user_id and not from_support;
+
+    -- The rating still counts; the text could identify the client
+    update public.reviews
+    set comment = null
+    where user_id = v_user_id;
+
+    update public.payments
+    set card_last4 = null
+    where user_id = v_user_id;
+
+    update public.account_deletion_requests
+    set reason = null
+    where user_id = v_user_id;
+
+    update public.audit_log
+    set old_data = old_data - public.erased_columns(),
+        new_data = new_data - public.erased_columns()
+    where (table_name in ('profiles', 'Therapists') and record_id = v_user_id)
+       or (table_name = 'Bookings' and record_id in (
+              select id from public."Bookings" where user_id = v_user_id
+          ));
+
+    insert into public.audit_log (table_name, record_id, action, actor_id, actor_role)
+    values ('profiles', v_user_id, 'erase', auth.uid(), public.audit_actor_role());
+
+    perform set_config('mindspace.erasing_account', 'off', true);
+
+    delete from public.notifications where user_id = v_user_id;
+    delete from public.notification_preferences where user_id = v_user_id;
+    delete from public.calendar_feeds where user_id = v_user_id;
+    delete from public.therapist_availability where therapist_id = v_user_id;
+    delete from public.therapist_availability_exceptions where therapist_id = v_user_id;
+
+    update public.account_deletion_requests
+    set status = 'completed',
+        completed_at = now(),
+        completed_by = auth.uid()
+    where id = p_request_id;
+end;
+$$ language plpgsql security definer;
+
+-- Function for the worker to list closed accounts that can still sign in
+create or replace function public.get_pending_login_removals()
+returns table (request_id uuid, user_id uuid, email text) as $$
+    select r.id, r.user_id, p.email
+    from public.account_deletion_requests r
+    join public.profiles p on p.user_id = r.user_id
+    where r.status = 'completed'
+      and r.login_removed_at is null
+    order by r.completed_at;
+$$ language sql stable security definer;
+
+-- Function for the worker to record that a closed account's sign-in is disabled
+create or replace function public.mark_login_removed(p_request_id uuid)
+returns void as $$
+    update public.account_deletion_requests
+    set login_removed_at = now()
+    where id = p_request_id;
+$$ language sql security definer;
+
+-- Only the worker (service role) removes logins
+revoke execute on function public.get_pending_login_removals() from public, anon, authenticated;
+revoke execute on function public.mark_login_removed(uuid) from public, anon, authenticated;
+
+-- =====================================================
+-- ANALYTICS
+-- Admin reporting for admin-dashboard.html. Sessions are counted on their
+-- session date (starts_at in the admin's time zone), not when they were booked.
+-- =====================================================
+
+-- Function to report on the sessions dated p_from to p_to (inclusive), for
+-- admins only. p_interval ('day', 'week' or 'month') sets the trend buckets.
+-- A session counts as confirmed once it reached confirmed, completed or
+-- no_show, whatever happened next. Revenue is money collected net of refunds,
+-- in cents. Utilization compares booked time (confirmed, completed and
+-- no-show sessions) with the therapist's current weekly hours, less
+-- exceptions, on the same dates. Weekly hours are read in each therapist's
+-- own time zone. New clients are clients whose first confirmed session falls
+-- in the bucket.
+create or replace function public.get_admin_analytics(
+    p_from date,
+    p_to date,
+    p_time_zone text default 'UTC',
+    p_interval text default 'month'
+)
+returns jsonb as $$
+declare
+    v_result jsonb;
+begin
+    if not exists (select 1 from public.profiles where user_id = auth.uid() and role = 'admin') then
+        raise exception 'Only admins can view analytics.';
+    end if;
+
+    if p_from is null or p_to is null or p_to < p_from then
+        raise exception 'Choose a start date on or before the end date.';
+    end if;
+
+    if p_to - p_from > 731 then
+        raise exception 'Choose a range of two years or less.';
+    end if;
+
+    if p_interval is null or p_interval not in ('day', 'week', 'month') then
+        raise exception 'Unknown interval: %', p_interval;
+    end if;
+
+    with sessions as (
+        select b.id, b.user_id, b.therapist_id, b.status, b.late_cancellation,
+            (b.starts_at at time zone p_time_zone)::date as session_date,
+            date_trunc(p_interval, b.starts_at at time zone p_time_zone)::date as period_start,
+            extract(epoch from (b.ends_at - b.starts_at)) / 60 as minutes,
+            exists (
+                select 1 from public.booking_status_history h
+                where h.booking_id = b.id
+                  and h.to_status in ('confirmed', 'completed', 'no_show')
+            ) as was_confirmed,
+            coalesce((
+                select p.amount_cents - coalesce((
+                    select sum(r.amount_cents) from public.refunds r
+                    where r.payment_id = p.id and r.status <> 'failed'
+                ), 0)
+                from public.payments p
+                where p.booking_id = b.id
+                  and p.status in ('succeeded', 'partially_refunded', 'refunded')
+            ), 0) as collected_cents
+        from public."Bookings" b
+        where (b.starts_at at time zone p_time_zone)::date between p_from and p_to
+    ),
+    first_sessions as (
+        select b.user_id, date_trunc(p_interval, min(b.starts_at) at time zone p_time_zone)::date as period_start
+        from public."Bookings" b
+        where exists (
+            select 1 from public.booking_status_history h
+            where h.booking_id = b.id
+              and h.to_status in ('confirmed', 'completed', 'no_show')
+        )
+        group by b.user_id
+        having (min(b.starts_at) at time zone p_time_zone)::date between p_from and p_to
+    ),
+    periods as (
+        select d::date as period_start
+        from generate_series(
+            date_trunc(p_interval, p_from::timestamp),
+            p_to::timestamp,
+            ('1 ' || p_interval)::interval
+        ) d
+    ),
+    offered as (
+        select a.therapist_id,
+            sum(greatest(
+                extract(epoch from (a.end_time - a.start_time)) / 60 - coalesce(blocked.minutes, 0),
+                0
+            )) as minutes
+        from public.therapist_availability a
+        join public."Therapists" t on t.id = a.therapist_id
+        join public.profiles tp on tp.user_id = t.user_id
+        -- Weekly hours are in the therapist's own zone, so walk their local
+        -- days and keep the windows that start on one of the report's dates.
+        cross join lateral generate_series((p_from - 1)::timestamp, (p_to + 1)::timestamp, interval '1 day') d
+        cross join lateral (
+            select case
+                when bool_or(e.start_time is null) then extract(epoch from (a.end_time - a.start_time)) / 60
+                else sum(greatest(extract(epoch from (least(e.end_time, a.end_time) - greatest(e.start_time, a.start_time))) / 60, 0))
+            end as minutes
+            from public.therapist_availability_exceptions e
+            where e.therapist_id = a.therapist_id
+              and d::date between e.start_date and e.end_date
+        ) blocked
+        where a.day_of_week = extract(dow from d)
+          and (((d::date + a.start_time) at time zone tp.time_zone) at time zone p_time_zone)::date between p_from and p_to
+        group by a.therapist_id
+    ),
+    therapist_rows as (
+        select t.id, t."Name" as name, t."Specialization" as specialization,
+            count(s.id) as bookings,
+            count(s.id) filter (where s.was_confirmed) as confirmed,
+            count(s.id) filter (where s.status = 'completed') as completed,
+            count(s.id) filter (where s.status = 'cancelled') as cancelled,
+            count(s.id) filter (where s.status = 'rejected') as rejected,
+            count(s.id) filter (where s.status = 'no_show') as no_show,
+            count(s.id) filter (where s.late_cancellation) as late_cancellations,
+            coalesce(sum(s.minutes) filter (where s.status in ('confirmed', 'completed', 'no_show')), 0) as booked_minutes,
+            coalesce(max(o.minutes), 0) as offered_minutes,
+            coalesce(sum(s.collected_cents), 0) as revenue_cents
+        from public."Therapists" t
+        left join sessions s on s.therapist_id = t.id
+        left join offered o on o.therapist_id = t.id
+        group by t.id
+        having count(s.id) > 0 or (t.approval_status = 'approved' and t."Active" = true)
+    )
+    select jsonb_build_object(
+        'summary', (
+            select jsonb_build_object(
+                'bookings', count(*),
+                'confirmed', count(*) filter (where s.was_confirmed),
+                'completed', count(*) filter (where s.status = 'completed'),
+                'cancelled', count(*) filter (where s.status = 'cancelled'),
+                'rejected', count(*) filter (where s.status = 'rejected'),
+                'no_show', count(*) filter (where s.status = 'no_show'),
+                'late_cancellations', count(*) filter (where s.late_cancellation),
+                'active_clients', count(distinct s.user_id) filter (where s.was_confirmed),
+                'new_clients', (select count(*) from first_sessions),
+                'revenue_cents', coalesce(sum(s.collected_cents), 0),
+                'utilization', (
+                    select round(sum(tr.booked_minutes) / nullif(sum(tr.offered_minutes), 0), 4)
+                    from therapist_rows tr
+                )
+            )
+            from sessions s
+        ),
+        'periods', (
+            select coalesce(jsonb_agg(jsonb_build_object(
+                'period_start', p.period_start,
+                'bookings', (select count(*) from sessions s where s.period_start = p.period_start),
+                'confirmed', (select count(*) from sessions s where s.period_start = p.period_start and s.was_confirmed),
+                'completed', (select count(*) from sessions s where s.period_start = p.period_start and s.status = 'completed'),
+                'cancelled', (select count(*) from sessions s where s.period_start = p.period_start and s.status = 'cancelled'),
+                'rejected', (select count(*) from sessions s where s.period_start = p.period_start and s.status = 'rejected'),
+                'new_clients', (select count(*) from first_sessions f where f.period_start = p.period_start),
+                'revenue_cents', (select coalesce(sum(s.collected_cents), 0) from sessions s where s.period_start = p.period_start)
+            ) order by p.period_start), '[]'::jsonb)
+            from periods p
+        ),
+        'therapists', (
+            select coalesce(jsonb_agg(jsonb_build_object(
+                'therapist_id', tr.id,
+                'name', tr.name,
+                'specialization', tr.specialization,
+                'bookings', tr.bookings,
+                'confirmed', tr.confirmed,
+                'completed', tr.completed,
+                'cancelled', tr.cancelled,
+                'rejected', tr.rejected,
+                'no_show', tr.no_show,
+                'late_cancellations', tr.late_cancellations,
+                'cancellation_rate', round(tr.cancelled::numeric / nullif(tr.bookings, 0), 4),
+                'rejection_rate', round(tr.rejected::numeric / nullif(tr.bookings, 0), 4),
+                'booked_minutes', round(tr.booked_minutes),
+                'offered_minutes', round(tr.offered_minutes),
+                'utilization', round(tr.booked_minutes / nullif(tr.offered_minutes, 0), 4),
+                'revenue_cents', tr.revenue_cents
+            ) order by tr.revenue_cents desc, tr.bookings desc, tr.name), '[]'::jsonb)
+            from therapist_rows tr
+        ),
+        'specializations', (
+            select coalesce(jsonb_agg(jsonb_build_object(
+                'specialization', sp.specialization,
+                'bookings', sp.bookings,
+                'revenue_cents', sp.revenue_cents
+            ) order by sp.revenue_cents desc, sp.bookings desc), '[]'::jsonb)
+            from (
+                select coalesce(tr.specialization, 'Unknown') as specialization,
+                    sum(tr.bookings) as bookings,
+                    sum(tr.revenue_cents) as revenue_cents
+                from therapist_rows tr
+                group by 1
+                having sum(tr.bookings) > 0
+            ) sp
+        )
+    )
+    into v_result;
+
+    return v_result;
+end;
+$$ language plpgsql stable security definer;
+
+-- =====================================================
+-- SUPPORT
+-- The contact page files a support ticket; admins triage, assign, answer and
+-- close tickets from admin-dashboard.html. Signed-in senders follow the
+-- conversation from their dashboard; guests get each reply by email through
+-- notification_deliveries.support_reply_id.
+-- =====================================================
+
+-- Describe a ticket subject for notifications, as on the contact form
+create or replace function public.support_subject_label(p_subject text)
+returns text as $$
+    select case p_subject
+        when 'support' then 'technical support'
+        when 'billing' then 'billing'
+        when 'therapist' then 'a therapist application'
+        when 'feedback' then 'feedback'
+        when 'other' then 'something else'
+        else 'a general inquiry'
+    end;
+$$ language sql immutable;
+
+-- Function to file a message from the contact page. Open to guests; the
+-- caller's account is attached when they are signed in. Each address can
+-- send up to 5 messages an hour. Returns the ticket id.
+create or replace function public.submit_support_ticket(
+    p_name text,
+    p_email text,
+    p_subject text,
+    p_message text
+)
+returns uuid as $$
+declare
+    v_user_id uuid;
+    v_name text := trim(coalesce(p_name, ''));
+    v_email text := trim(coalesce(p_email, ''));
+    v_subject text := coalesce(nullif(trim(p_subject), ''), 'general');
+    v_message text := trim(coalesce(p_message, ''));
+    v_id uuid;
+begin
+    select user_id into v_user_id
+    from public.profiles
+    where user_id = auth.uid() and deleted_at is null;
+
+    if v_name = '' or v_email = '' or v_message = '' then
+        raise exception 'Please fill in all required fields.';
+    end if;
+
+    if v_email !~ '^[^\s@]+@[^\s@]+\.[^\s@]+$' then
+        raise exception 'Please enter a valid email address.';
+    end if;
+
+    if v_subject not in ('general', 'support', 'billing', 'therapist', 'feedback', 'other') then
+        raise exception 'Unknown subject: %', v_subject;
+    end if;
+
+    if char_length(v_message) > 5000 then
+        raise exception 'Please keep your message under 5000 characters.';
+    end if;
+
+    if (
+        select count(*) from public.support_tickets
+        where lower(email) = lower(v_email)
+          and created_at > now() - interval '1 hour'
+    ) >= 5 then
+        raise exception 'You have sent several messages recently. Please wait a while before sending another.';
+    end if;
+
+    insert into public.support_tickets (user_id, name, email, subject, message)
+    values (v_user_id, left(v_name, 200), v_email, v_subject, v_message)
+    returning id into v_id;
+
+    perform public.enqueue_notification(
+        a.user_id,
+        'support_ticket_opened',
+        'New support message',
+        format('%s wrote in about %s: "%s"', left(v_name, 200), public.support_subject_label(v_subject), left(v_message, 140)),
+        'admin-dashboard.html',
+        null
+    )
+    from public.profiles a
+    where a.role = 'admin';
+
+    return v_id;
+end;
+$$ language plpgsql security definer;
+
+-- Function for admins to triage a ticket: status, priority and the admin
+-- handling it (null to unassign)
+create or replace function public.update_support_ticket(
+    p_ticket_id uuid,
+    p_status text,
+    p_priority text,
+    p_assigned_to uuid default null
+)
+returns void as $$
+begin
+    if not exists (select 1 from public.profiles where user_id = auth.uid() and role = 'admin') then
+        raise exception 'Only admins can update support tickets.';
+    end if;
+
+    if p_assigned_to is not null and not exists (
+        select 1 from public.profiles where user_id = p_assigned_to and role = 'admin'
+    ) then
+        raise exception 'Tickets can only be assigned to admins.';
+    end if;
+
+    update public.support_tickets
+    set status = p_status,
+        priority = p_priority,
+        assigned_to = p_assigned_to,
+        closed_at = case when p_status = 'closed' then coalesce(closed_at, now()) else null end
+    where id = p_ticket_id;
+
+    if not found then
+        raise exception 'Support ticket not found.';
+    end if;
+end;
+$$ language plpgsql security definer;
+
+-- Function to add a reply to a ticket, by an admin or by the signed-in
+-- sender. A support reply moves an open ticket to in progress, assigns it to
+-- the replying admin if nobody has it, and reaches the sender in the app or,
+-- for guests, by email. A sender's reply notifies the assigned admin, or all
+-- admins when the ticket is unassigned. Senders cannot reply once a ticket is
+-- closed. Returns the reply id.
+create or replace function public.reply_to_support_ticket(p_ticket_id uuid, p_body text)
+returns uuid as $$
+declare
+    v_ticket public.support_tickets;
+    v_is_admin boolean;
+    v_body text := trim(coalesce(p_body, ''));
+    v_sender_role text;
+    v_id uuid;
+begin
+    v_is_admin := exists (select 1 from public.profiles where user_id = auth.uid() and role = 'admin');
+
+    select * into v_ticket
+    from public.support_tickets
+    where id = p_ticket_id
+    for update;
+
+    if v_ticket.id is null or not (v_is_admin or coalesce(v_ticket.user_id = auth.uid(), false)) then
+        raise exception 'Support ticket not found.';
+    end if;
+
+    if v_body = '' then
+        raise exception 'Write a reply first.';
+    end if;
+
+    if char_length(v_body) > 5000 then
+        raise exception 'Please keep your reply under 5000 characters.';
+    end if;
+
+    if not v_is_admin and v_ticket.status = 'closed' then
+        raise exception 'This conversation is closed. Send a new message from the contact page.';
+    end if;
+
+    insert into public.support_ticket_replies (ticket_id, author_id, from_support, body)
+    values (v_ticket.id, auth.uid(), v_is_admin, v_body)
+    returning id into v_id;
+
+    if v_is_admin then
+        update public.support_tickets
+        set status = case when status = 'open' then 'in_progress' else status end,
+            assigned_to = coalesce(assigned_to, auth.uid())
+        where id = v_ticket.id;
+
+        select role into v_sender_role
+        from public.profiles
+        where user_id = v_ticket.user_id and deleted_at is null;
+
+        if v_sender_role is not null then
+            perform public.enqueue_notification(
+                v_ticket.user_id,
+                'support_ticket_replied',
+                'Support replied to your message',
+                left(v_body, 200),
+                case v_sender_role
+                    when 'therapist' then 'therapist-dashboard.html'
+                    when 'admin' then 'admin-dashboard.html'
+                    else 'user-dashboard.html'
+                end,
+                null
+            );
+        else
+            insert into public.notification_deliveries (support_reply_id, channel, destination)
+            values (v_id, 'email', v_ticket.email);
+        end if;
+    else
+        update public.support_tickets
+        set updated_at = now()
+        where id = v_ticket.id;
+
+        perform public.enqueue_notification(
+            a.user_id,
+            'support_ticket_replied',
+            'Reply on a support ticket',
+            format('%s replied: "%s"', v_ticket.name, left(v_body, 140)),
+            'admin-dashboard.html',
+            null
+        )
+        from public.profiles a
+        where a.role = 'admin'
+          and (v_ticket.assigned_to is null or a.user_id = v_ticket.assigned_to);
+    end if;
+
+    return v_id;
+end;
+$$ language plpgsql security definer;
+
+-- =====================================================
+-- ACCOUNT ADMINISTRATION
+-- Admins suspend and reactivate client and therapist accounts, change roles
+-- and force sign-out, always with a reason, through the functions below.
+-- Every action is kept in account_actions. Signing out deletes the
+-- account's sessions; notification-worker.js bans or unbans sign-in through
+-- the Supabase admin API to match the account status.
+-- =====================================================
+
+-- Trigger function: role, status and closure columns change only through
+-- the account administration and privacy functions, or from SQL with no
+-- signed-in user (e.g. when creating the first admin)
+create or replace function public.protect_profile_account_columns()
+returns trigger as $$
+begin
+    if public.audit_actor_role() = 'system'
+       or current_setting('mindspace.account_admin', true) = 'on'
+       or current_setting('mindspace.erasing_account', true) = 'on' then
+        return new;
+    end if;
+
+    if (new.role, new.status, new.status_reason, new.status_changed_at, new.status_changed_by, new.deleted_at)
+       is distinct from
+       (old.role, old.status, old.status_reason, old.status_changed_at, old.status_changed_by, old.deleted_at) then
+        raise exception 'Roles and account status are changed by admins from the admin dashboard.';
+    end if;
+
+    return new;
+end;
+$$ language plpgsql security definer;
+
+-- Apply trigger to profiles
+create trigger protect_profiles_account_columns
+    before update on public.profiles
+    for each row
+    execute function public.protect_profile_account_columns();
+
+-- Check that the caller is an admin acting on someone else's open account
+-- with a reason, and lock that account's profile. Returns the profile.
+create or replace function public.lock_account_for_admin(p_user_id uuid, p_reason text)
+returns public.profiles as $$
+declare
+    v_profile public.profiles;
+begin
+    if not exists (select 1 from public.profiles where user_id = auth.uid() and role = 'admin') then
+        raise exception 'Only admins can manage accounts.';
+    end if;
+
+    if p_user_id = auth.uid() then
+        raise exception 'You cannot change your own account this way.';
+    end if;
+
+    if nullif(trim(p_reason), '') is null then
+        raise exception 'Give a reason.';
+    end if;
+
+    if char_length(trim(p_reason)) > 1000 then
+        raise exception 'Please keep the reason under 1000 characters.';
+    end if;
+
+    select * into v_profile
+    from public.profiles
+    where user_id = p_user_id
+    for update;
+
+    if v_profile.user_id is null then
+        raise exception 'Account not found.';
+    end if;
+
+    if v_profile.deleted_at is not null then
+        raise exception 'This account is closed.';
+    end if;
+
+    return v_profile;
+end;
+$$ language plpgsql;
+
+-- Function for admins to suspend a client or therapist account. The account
+-- is signed out and told why by email; a therapist is also taken off the
+-- directory. Upcoming sessions are left for the admin to handle.
+create or replace function public.suspend_account(p_user_id uuid, p_reason text)
+returns void as $$
+declare
+    v_profile public.profiles;
+begin
+    v_profile := public.lock_account_for_admin(p_user_id, p_reason);
+
+    if v_profile.role = 'admin' then
+        raise exception 'Admins cannot be suspended. Change their role first.';
+    end if;
+
+    if v_profile.status = 'suspended' then
+        raise exception 'This account is already suspended.';
+    end if;
+
+    perform set_config('mindspace.account_admin', 'on', true);
+
+    update public.profiles
+    set status = 'suspended',
+        status_reason = trim(p_reason),
+        status_changed_at = now(),
+        status_changed_by = auth.uid()
+    where user_id = p_user_id;
+
+    perform set_config('mindspace.account_admin', 'off', true);
+
+    update public."Therapists"
+    set "Active" = false
+    where user_id = p_user_id and "Active" = true;
+
+    insert into public.account_actions (user_id, action, reason, actor_id)
+    values (p_user_id, 'suspend', trim(p_reason), auth.uid());
+
+    delete from auth.sessions where user_id = p_user_id;
+
+    perform public.enqueue_notification(
+        p_user_id,
+        'account_suspended',
+        'Your account is suspended',
+        format('Your MindSpace account has been suspended. Reason: %s. Contact support if you have questions.', trim(p_reason)),
+        'contact.html',
+        null
+    );
+end;
+$$ language plpgsql security definer;
+
+-- Function for admins to reactivate a suspended account. An approved
+-- therapist with a current license is listed again.
+create or replace function public.reactivate_account(p_user_id uuid, p_reason text)
+returns void as $$
+declare
+    v_profile public.profiles;
+begin
+    v_profile := public.lock_account_for_admin(p_user_id, p_reason);
+
+    if v_profile.status <> 'suspended' then
+        raise exception 'This account is not suspended.';
+    end if;
+
+    perform set_config('mindspace.account_admin', 'on', true);
+
+    update public.profiles
+    set status = 'active',
+        status_reason = trim(p_reason),
+        status_changed_at = now(),
+        status_changed_by = auth.uid()
+    where user_id = p_user_id;
+
+    perform set_config('mindspace.account_admin', 'off', true);
+
+    if v_profile.role = 'therapist' then
+        update public."Therapists"
+        set "Active" = true
+        where user_id = p_user_id
+          and approval_status = 'approved'
+          and (license_expires_on is null or license_expires_on >= (now() at time zone 'UTC')::date);
+    end if;
+
+    insert into public.account_actions (user_id, action, reason, actor_id)
+    values (p_user_id, 'reactivate', trim(p_reason), auth.uid());
+
+    perform public.enqueue_notification(
+        p_user_id,
+        'account_reactivated',
+        'Your account is active again',
+        'Your MindSpace account has been reactivated. You can sign in again.',
+        case when v_profile.role = 'therapist' then 'therapist-dashboard.html' else 'user-dashboard.html' end,
+        null
+    );
+end;
+$$ language plpgsql security definer;
+
+-- Function for admins to change an account's role. Accounts with upcoming
+-- sessions keep their role until those are resolved; only people who applied
+-- as therapists can be made therapists. A therapist who changes role is taken
+-- off the directory, and a former admin's support tickets are unassigned.
+create or replace function public.change_account_role(p_user_id uuid, p_role text, p_reason text)
+returns void as $$
+declare
+    v_profile public.profiles;
+    v_upcoming integer;
+begin
+    v_profile := public.lock_account_for_admin(p_user_id, p_reason);
+
+    if p_role not in ('user', 'therapist', 'admin') then
+        raise exception 'Unknown role: %', p_role;
+    end if;
+
+    if p_role = v_profile.role then
+        raise exception 'This account already has that role.';
+    end if;
+
+    if p_role = 'admin' and v_profile.status = 'suspended' then
+        raise exception 'Reactivate the account before making it an admin.';
+    end if;
+
+    select count(*) into v_upcoming
+    from public."Bookings"
+    where (user_id = p_user_id or therapist_id = p_user_id)
+      and status in ('pending', 'confirmed')
+      and starts_at > now();
+
+    if v_upcoming > 0 then
+        raise exception 'This account has % upcoming session(s). Cancel or complete them first.', v_upcoming;
+    end if;
+
+    if p_role = 'therapist' and not exists (
+        select 1 from public."Therapists" where user_id = p_user_id
+    ) then
+        raise exception 'Only people who applied as therapists can be made therapists.';
+    end if;
+
+    perform set_config('mindspace.account_admin', 'on', true);
+
+    update public.profiles
+    set role = p_role
+    where user_id = p_user_id;
+
+    perform set_config('mindspace.account_admin', 'off', true);
+
+    if v_profile.role = 'therapist' then
+        update public."Therapists"
+        set "Active" = false
+        where user_id = p_user_id and "Active" = true;
+    end if;
+
+    if p_role = 'therapist' and v_profile.status = 'active' then
+        update public."Therapists"
+        set "Active" = true
+        where user_id = p_user_id
+          and approval_status = 'approved'
+          and (license_expires_on is null or license_expires_on >= (now() at time zone 'UTC')::date);
+    end if;
+
+    if v_profile.role = 'admin' then
+        update public.support_tickets
+        set assigned_to = null
+        where assigned_to = p_user_id and status <> 'closed';
+    end if;
+
+    insert into public.account_actions (user_id, action, reason, old_role, new_role, actor_id)
+    values (p_user_id, 'change_role', trim(p_reason), v_profile.role, p_role, auth.uid());
+
+    delete from auth.sessions where user_id = p_user_id;
+end;
+$$ language plpgsql security definer;
+
+-- Function for admins to sign an account out everywhere. Access tokens
+-- already issued stay valid until they expire (an hour by default), but
+-- cannot be refreshed.
+create or replace function public.force_sign_out(p_user_id uuid, p_reason text)
+returns void as $$
+begin
+    perform public.lock_account_for_admin(p_user_id, p_reason);
+
+    delete from auth.sessions where user_id = p_user_id;
+
+    insert into public.account_actions (user_id, action, reason, actor_id)
+    values (p_user_id, 'sign_out', trim(p_reason), auth.uid());
+end;
+$$ language plpgsql security definer;
+
+-- Function for the worker to list suspensions and reactivations whose
+-- sign-in ban has not been applied or lifted yet, oldest first
+create or replace function public.get_pending_login_bans()
+returns table (action_id uuid, user_id uuid, banned boolean) as $$
+    select a.id, a.user_id, a.action = 'suspend'
+    from public.account_actions a
+    where a.action in ('suspend', 'reactivate')
+      and a.login_synced_at is null
+    order by a.created_at;
+$$ language sql stable security definer;
+
+-- Function for the worker to record that a ban was applied or lifted
+create or replace function public.mark_login_ban_synced(p_action_id uuid)
+returns void as $$
+    update public.account_actions
+    set login_synced_at = now()
+    where id = p_action_id;
+$$ language sql security definer;
+
+-- Only the worker (service role) syncs sign-in bans
+revoke execute on function public.get_pending_login_bans() from public, anon, authenticated;
+revoke execute on function public.mark_login_ban_synced(uuid) from public, anon, authenticated;
+
+-- =====================================================
+-- RISK ESCALATION
+-- A therapist raises a risk flag on a client with a severity and notes. All
+-- admins are notified, the client's emergency contact is made available to
+-- the therapist and admins, and every step taken is kept in
+-- risk_flag_events. The client only learns that crisis resources are shown
+-- on their dashboard (has_open_risk_flag()), never the notes.
+-- =====================================================
+
+-- Label for an escalation step, as used in notifications
+create or replace function public.risk_flag_action_label(p_action text)
+returns text as $$
+    select case p_action
+        when 'raised' then 'raised the flag'
+        when 'note' then 'added a note'
+        when 'severity_changed' then 'changed the severity'
+        when 'contacted_client' then 'contacted the client'
+        when 'contacted_emergency_contact' then 'contacted the emergency contact'
+        when 'contacted_emergency_services' then 'contacted emergency services'
+        when 'resolved' then 'resolved the flag'
+        when 'reopened' then 'reopened the flag'
+        else p_action
+    end;
+$$ language sql immutable;
+
+-- Check a severity and the notes that go with it
+create or replace function public.check_risk_flag_entry(p_severity text, p_notes text)
+returns void as $$
+begin
+    if p_severity is null or p_severity not in ('low', 'moderate', 'high', 'imminent') then
+        raise exception 'Unknown severity: %', p_severity;
+    end if;
+
+    if nullif(trim(p_notes), '') is null then
+        raise exception 'Describe what you saw and what you did.';
+    end if;
+
+    if char_length(trim(p_notes)) > 5000 then
+        raise exception 'Please keep the notes under 5000 characters.';
+    end if;
+end;
+$$ language plpgsql immutable;
+
+-- Notify everyone on a flag except the person acting: all admins, and the
+-- therapist who raised it
+create or replace function public.notify_risk_flag(p_flag public.risk_flags, p_event_type text, p_title text, p_body text)
+returns void as $$
+begin
+    perform public.enqueue_notification(
+        a.user_id, p_event_type, p_title, p_body, 'admin-dashboard.html', null
+    )
+    from public.profiles a
+    where a.role = 'admin'
+      and a.user_id is distinct from auth.uid();
+
+    if p_flag.therapist_id is not null and p_flag.therapist_id is distinct from auth.uid() then
+        perform public.enqueue_notification(
+            p_flag.therapist_id, p_event_type, p_title, p_body, 'therapist-dashboard.html', null
+        );
+    end if;
+end;
+$$ language plpgsql security definer;
+
+-- Only the risk escalation functions notify about flags
+revoke execute on function public.notify_risk_flag(public.risk_flags, text, text, text) from public, anon, authenticated;
+
+-- Function for therapists to flag one of their own clients as at risk,
+-- optionally against the session it came up in. One open flag per client per
+-- therapist; later steps go on that flag. Returns the new flag's ID.
+create or replace function public.raise_risk_flag(
+    p_user_id uuid,
+    p_severity text,
+    p_notes text,
+    p_booking_id uuid default null
+)
+returns uuid as $$
+declare
+    v_flag public.risk_flags;
+    v_therapist_name text;
+    v_client_name text;
+begin
+    select "Name" into v_therapist_name from public."Therapists" where id = auth.uid();
+
+    if not found then
+        raise exception 'Only therapists can raise risk flags.';
+    end if;
+
+    if not exists (
+        select 1 from public."Bookings"
+        where therapist_id = auth.uid() and user_id = p_user_id
+    ) then
+        raise exception 'You can only flag your own clients.';
+    end if;
+
+    if p_booking_id is not null and not exists (
+        select 1 from public."Bookings"
+        where id = p_booking_id and therapist_id = auth.uid() and user_id = p_user_id
+    ) then
+        raise exception 'Booking not found.';
+    end if;
+
+    perform public.check_risk_flag_entry(p_severity, p_notes);
+
+    if exists (
+        select 1 from public.risk_flags
+        where therapist_id = auth.uid() and user_id = p_user_id and status = 'open'
+    ) then
+        raise exception 'You already have an open risk flag for this client. Add to it instead.';
+    end if;
+
+    insert into public.risk_flags (user_id, therapist_id, booking_id, severity)
+    values (p_user_id, auth.uid(), p_booking_id, p_severity)
+    returning * into v_flag;
+
+    insert into public.risk_flag_events (flag_id, action, severity, notes, actor_id, actor_role)
+    values (v_flag.id, 'raised', p_severity, trim(p_notes), auth.uid(), 'therapist');
+
+    select full_name into v_client_name from public.profiles where user_id = p_user_id;
+
+    perform public.notify_risk_flag(
+        v_flag,
+        'risk_flag_raised',
+        case when p_severity in ('high', 'imminent') then 'Urgent: client at risk' else 'Client risk flag' end,
+        format('%s flagged %s as %s risk. Open the flag for the notes and emergency contact.%s',
+               coalesce(v_therapist_name, 'A therapist'), coalesce(nullif(v_client_name, ''), 'a client'), p_severity,
+               case when p_severity = 'imminent'
+                    then ' If nobody can reach the client, contact emergency services.'
+                    else '' end)
+    );
+
+    return v_flag.id;
+end;
+$$ language plpgsql security definer;
+
+-- Function for the therapist who raised a flag, or an admin, to record the
+-- next step: a note, a new severity, who was contacted, or resolving and
+-- reopening the flag. Everyone else on the flag is notified.
+create or replace function public.update_risk_flag(
+    p_flag_id uuid,
+    p_action text,
+    p_notes text,
+    p_severity text default null
+)
+returns void as $$
+declare
+    v_flag public.risk_flags;
+    v_is_admin boolean;
+    v_severity text;
+    v_actor_name text;
+    v_client_name text;
+begin
+    v_is_admin := exists (select 1 from public.profiles where user_id = auth.uid() and role = 'admin');
+
+    select * into v_flag
+    from public.risk_flags
+    where id = p_flag_id
+    for update;
+
+    if v_flag.id is null or not (v_is_admin or coalesce(v_flag.therapist_id = auth.uid(), false)) then
+        raise exception 'Risk flag not found.';
+    end if;
+
+    if p_action is null or p_action not in (
+        'note', 'severity_changed', 'contacted_client', 'contacted_emergency_contact',
+        'contacted_emergency_services', 'resolved', 'reopened'
+    ) then
+        raise exception 'Unknown action: %', p_action;
+    end if;
+
+    v_severity := case when p_action = 'severity_changed' then p_severity else v_flag.severity end;
+    perform public.check_risk_flag_entry(v_severity, p_notes);
+
+    if p_action = 'severity_changed' and v_severity = v_flag.severity then
+        raise exception 'The flag is already at that severity.';
+    end if;
+
+    if p_action = 'reopened' then
+        if v_flag.status <> 'resolved' then
+            raise exception 'This flag is still open.';
+        end if;
+        if exists (
+            select 1 from public.risk_flags
+            where therapist_id = v_flag.therapist_id and user_id = v_flag.user_id and status = 'open'
+        ) then
+            raise exception 'There is already an open flag for this client. Add to it instead.';
+        end if;
+    elsif v_flag.status = 'resolved' then
+        raise exception 'This flag is resolved. Reopen it first.';
+    end if;
+
+    update public.risk_flags
+    set severity = v_severity,
+        status = case p_action when 'resolved' then 'resolved' when 'reopened' then 'open' else status end,
+        resolved_at = case p_action when 'resolved' then now() when 'reopened' then null else resolved_at end,
+        updated_at = now()
+    where id = p_flag_id
+    returning * into v_flag;
+
+    insert into public.risk_flag_events (flag_id, action, severity, notes, actor_id, actor_role)
+    values (p_flag_id, p_action, v_severity, trim(p_notes), auth.uid(),
+            case when v_is_admin then 'admin' else 'therapist' end);
+
+    if v_is_admin then
+        select coalesce(nullif(full_name, ''), 'An admin') into v_actor_name from public.profiles where user_id = auth.uid();
+    else
+        select "Name" into v_actor_name from public."Therapists" where id = auth.uid();
+    end if;
+    select full_name into v_client_name from public.profiles where user_id = v_flag.user_id;
+
+    perform public.notify_risk_flag(
+        v_flag,
+        'risk_flag_updated',
+        case
+            when p_action = 'resolved' then 'Risk flag resolved'
+            when v_severity in ('high', 'imminent') then 'Urgent: risk flag updated'
+            else 'Risk flag updated'
+        end,
+        format('%s %s for %s (%s risk): "%s"',
+               coalesce(v_actor_name, 'Someone'), public.risk_flag_action_label(p_action),
+               coalesce(nullif(v_client_name, ''), 'a client'), v_severity, left(trim(p_notes), 140))
+    );
+end;
+$$ language plpgsql security definer;
+
+-- Function for the therapist who raised a flag, or an admin, to read the
+-- client's contact details and emergency contact. Each read is logged as a
+-- view of the client's profile.
+create or replace function public.get_risk_flag_contact(p_flag_id uuid)
+returns table (
+    full_name text,
+    email text,
+    phone text,
+    city text,
+    time_zone text,
+    emergency_contact_name text,
+    emergency_contact_phone text
+) as $$
+declare
+    v_flag public.risk_flags;
+begin
+    select * into v_flag from public.risk_flags where id = p_flag_id;
+
+    if v_flag.id is null or not (
+        coalesce(v_flag.therapist_id = auth.uid(), false)
+        or exists (select 1 from public.profiles where user_id = auth.uid() and role = 'admin')
+    ) then
+        raise exception 'Risk flag not found.';
+    end if;
+
+    insert into public.audit_log (table_name, record_id, action, actor_id, actor_role)
+    values ('profiles', v_flag.user_id, 'view', auth.uid(), public.audit_actor_role());
+
+    return query
+    select p.full_name, p.email, p.phone, p.city, p.time_zone,
+           p.emergency_contact_name, p.emergency_contact_phone
+    from public.profiles p
+    where p.user_id = v_flag.user_id;
+end;
+$$ language plpgsql security definer;
+
+-- Function for a client's dashboard: whether any therapist has an open risk
+-- flag on them, so crisis resources stay on screen. Nothing else is shared.
+create or replace function public.has_open_risk_flag()
+returns boolean as $$
+    select exists (
+        select 1 from public.risk_flags
+        where user_id = auth.uid() and status = 'open'
+    );
+$$ language sql stable security definer;
+
+-- =====================================================
+-- REALTIME
+-- Dashboards subscribe to changes on these tables. Realtime applies the RLS
+-- policies above, so each subscriber only receives rows they can select.
+-- =====================================================
+alter publication supabase_realtime add table public."Bookings", public."Therapists", public.notifications, public.assessments, public.reschedule_proposals, public.support_tickets, public.risk_flags;
+
 -- =====================================================
 -- SAMPLE DATA (Optional - for testing)
 -- =====================================================